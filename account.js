@@ -0,0 +1,117 @@
+// Account settings
+// Changes people make after onboarding: profile details, imperfection answers and email.
+// Imperfection answers are versioned: the answers being replaced are kept in
+// imperfection_answer_history, and the compatibility scores worked out from them are
+// cleared, so discovery scores each pair again from the new answers.
+const pool = require("./db");
+const logger = require("./logger");
+const { sendMail } = require("./mailer");
+const { sendVerificationEmail } = require("./verification");
+
+async function updateProfile(userId, { name, age, gender }) {
+  await pool.query(
+    "UPDATE users SET name = $1, age = $2, gender = $3 WHERE id = $4",
+    [name, age, gender, userId]
+  );
+  logger.info(`User ${userId} updated their profile`);
+}
+
+// Saves new answers as the next version. Returns { changed }.
+async function updateImperfections(user, { imperfection_1, imperfection_2 }) {
+  if (imperfection_1 === user.imperfection_1 && imperfection_2 === user.imperfection_2) {
+    return { changed: false };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const current = await client.query(
+      "SELECT imperfection_1, imperfection_2, imperfections_version FROM users WHERE id = $1 FOR UPDATE",
+      [user.id]
+    );
+    const previous = current.rows[0];
+    await client.query(
+      `INSERT INTO imperfection_answer_history (user_id, version, imperfection_1, imperfection_2)
+       VALUES ($1, $2, $3, $4)`,
+      [user.id, previous.imperfections_version, previous.imperfection_1, previous.imperfection_2]
+    );
+    await client.query(
+      `UPDATE users SET imperfection_1 = $1, imperfection_2 = $2,
+        imperfections_version = imperfections_version + 1, answers_updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3`,
+      [imperfection_1, imperfection_2, user.id]
+    );
+    await client.query(
+      "UPDATE compatibility_signals SET imperfection_compatibility = NULL WHERE user1_id = $1 OR user2_id = $1",
+      [user.id]
+    );
+    await client.query("COMMIT");
+    logger.info(`User ${user.id} updated their imperfection answers (version ${previous.imperfections_version + 1})`);
+    return { changed: true };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Moves the account to a new email, which has to be verified again before the profile is
+// suggested in discovery. Links already sent to the old address stop working, and the old
+// address is told about the change. Returns { error } if the email belongs to someone
+// else, otherwise { verification } with the result of sending the new link.
+async function changeEmail(user, newEmail, appUrl) {
+  const email = newEmail.toLowerCase();
+  if (email === user.email) {
+    return { error: "That's already your email" };
+  }
+  const taken = await pool.query("SELECT 1 FROM users WHERE email = $1", [email]);
+  if (taken.rows.length > 0) {
+    return { error: "That email belongs to another account" };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query(
+      "UPDATE users SET email = $1, email_verified = FALSE, email_verified_at = NULL WHERE id = $2",
+      [email, user.id]
+    );
+    await client.query(
+      "UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL",
+      [user.id]
+    );
+    await client.query(
+      "UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL",
+      [user.id]
+    );
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    // Someone else took the address in the meantime
+    if (error.code === "23505") {
+      return { error: "That email belongs to another account" };
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+  logger.info(`User ${user.id} changed their email`);
+
+  sendMail({
+    to: user.email,
+    subject: "Your Connect email was changed",
+    text: `The email for your Connect account was just changed to ${email}, so we'll write to that address from now on.
+
+If you didn't make this change, someone may know your password. Please get in touch with us straight away.`
+  }).catch((error) => logger.error(`Couldn't send the email change notice for user ${user.id}`, error));
+
+  const verification = await sendVerificationEmail({ id: user.id, email, email_verified: false }, appUrl);
+  return { verification };
+}
+
+module.exports = {
+  updateProfile,
+  updateImperfections,
+  changeEmail
+};
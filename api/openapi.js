@@ -0,0 +1,95 @@
+// OpenAPI document builder
+// Generates an OpenAPI 3.0 document from the route definitions in api/v1.js,
+// so the published document can't drift from the routes that are actually mounted.
+
+// Express "/connections/:connectionId/messages" -> OpenAPI "/connections/{connectionId}/messages"
+function toOpenApiPath(expressPath) {
+  return expressPath.replace(/:(\w+)/g, "{$1}");
+}
+
+function pathParameters(expressPath) {
+  return [...expressPath.matchAll(/:(\w+)/g)].map(([, name]) => ({
+    name,
+    in: "path",
+    required: true,
+    schema: { type: "integer" }
+  }));
+}
+
+function queryParameters(query = {}) {
+  return Object.entries(query).map(([name, definition]) => ({
+    name,
+    in: "query",
+    required: false,
+    description: definition.description,
+    schema: definition.schema
+  }));
+}
+
+function operation(route) {
+  const op = {
+    operationId: route.operationId,
+    summary: route.summary,
+    tags: route.tags,
+    parameters: [...pathParameters(route.path), ...queryParameters(route.query)],
+    responses: {}
+  };
+
+  if (route.description) {
+    op.description = route.description;
+  }
+
+  if (route.auth === "none") {
+    op.security = [];
+  }
+
+  if (route.body) {
+    op.requestBody = {
+      required: true,
+      content: { "application/json": { schema: route.body } }
+    };
+  }
+
+  Object.entries(route.responses).forEach(([status, response]) => {
+    op.responses[status] = { description: response.description };
+    if (response.schema) {
+      op.responses[status].content = { "application/json": { schema: response.schema } };
+    }
+  });
+
+  // Every route can fail with the standard error body
+  op.responses.default = {
+    description: "Error",
+    content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } }
+  };
+
+  return op;
+}
+
+function buildOpenApiDocument({ info, serverUrl, routes, schemas }) {
+  const paths = {};
+  routes.forEach((route) => {
+    const openApiPath = toOpenApiPath(route.path);
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][route.method] = operation(route);
+  });
+
+  return {
+    openapi: "3.0.3",
+    info,
+    servers: [{ url: serverUrl }],
+    security: [{ bearerAuth: [] }, { cookieAuth: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", description: "Token from /auth/login or /auth/register" },
+        cookieAuth: { type: "apiKey", in: "cookie", name: "connect.sid", description: "Web session cookie" }
+      },
+      schemas
+    }
+  };
+}
+
+module.exports = {
+  buildOpenApiDocument
+};
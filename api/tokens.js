@@ -0,0 +1,45 @@
+// API bearer tokens
+// Tokens are random and shown to the client once; only their SHA-256 hash is stored.
+const crypto = require("crypto");
+const pool = require("../db");
+
+const TOKEN_TTL_DAYS = 30; // Same lifetime as the web session cookie
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+async function issueToken(userId) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await pool.query(
+    `INSERT INTO api_tokens (user_id, token_hash, expires_at)
+     VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(days => $3))`,
+    [userId, hashToken(token), TOKEN_TTL_DAYS]
+  );
+  return token;
+}
+
+// Returns the user id for a valid token, or null
+async function findUserIdByToken(token) {
+  const result = await pool.query(
+    `UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING user_id`,
+    [hashToken(token)]
+  );
+  return result.rows[0]?.user_id || null;
+}
+
+async function revokeToken(token) {
+  await pool.query(
+    "UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE token_hash = $1 AND revoked_at IS NULL",
+    [hashToken(token)]
+  );
+}
+
+module.exports = {
+  TOKEN_TTL_DAYS,
+  issueToken,
+  findUserIdByToken,
+  revokeToken
+};
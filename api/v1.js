@@ -0,0 +1,1167 @@
+// JSON API, version 1 (mounted at /api/v1)
+// Each route is defined once below; the same definitions register the Express
+// handlers and generate the OpenAPI document served at /api/v1/openapi.json.
+//
+// Auth: "Authorization: Bearer <token>" (from /auth/login or /auth/register),
+// or the web session cookie for someone already signed in on the site. With the cookie,
+// requests that change something also need the page's CSRF token in X-CSRF-Token.
+// Errors: { "error": { "code": "...", "message": "..." } }
+const express = require("express");
+const bcrypt = require("bcryptjs");
+const pool = require("../db");
+const logger = require("../logger");
+const tokens = require("./tokens");
+const { buildOpenApiDocument } = require("./openapi");
+const { SAFE_METHODS, hasValidCsrfToken } = require("../web/csrf");
+const { getNextProfileToView, saveDiscoveryPreferences, recordSkip } = require("../discovery");
+const {
+  startConnection,
+  recordConnectionActivity,
+  KIND_GOODBYE_MESSAGE,
+  sendMessage,
+  endConnection
+} = require("../conversations");
+const { listNotices, dismissNotice } = require("../notices");
+const { findBlock, blockUser, unblockUser, createReport } = require("../safety");
+const { appUrl } = require("../mailer");
+const { requestPasswordReset, resetPassword } = require("../passwords");
+const { setAvailability } = require("../availability");
+const { verifySecondFactor } = require("../twofactor");
+const { sendVerificationEmail, verifyEmail } = require("../verification");
+const { ACCOUNT_DELETION_GRACE_DAYS, FORMER_MEMBER, exportUserData, scheduleAccountDeletion } = require("../privacy");
+const {
+  validateEmail,
+  validatePassword,
+  sanitizeLongText,
+  validateNameAndAge,
+  validateGender,
+  validateImperfectionAnswer,
+  GENDER_CATEGORIES,
+  INTENTS,
+  validateDiscoveryPreferences,
+  REPORT_CATEGORIES,
+  validateReport,
+  AVAILABILITY_MODES,
+  validateAvailability,
+  CLOSING_NOTES,
+  validateClosingNote
+} = require("../validation");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Archived connections, and those where either person blocked the other, are closed.
+// Open ones are paused while either person is hibernating.
+const CONNECTION_CLOSED_SQL = `(c.connection_state = 'archived' OR c.user1_id IS NULL OR c.user2_id IS NULL OR EXISTS (
+  SELECT 1 FROM user_blocks b
+  WHERE (b.blocker_id = c.user1_id AND b.blocked_id = c.user2_id)
+  OR (b.blocker_id = c.user2_id AND b.blocked_id = c.user1_id)
+)) as closed,
+EXISTS (
+  SELECT 1 FROM users h WHERE h.id IN (c.user1_id, c.user2_id) AND h.availability = 'hibernating'
+) as paused`;
+
+class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// ===== SERIALIZERS =====
+
+function onboardingStep(user) {
+  if (!user.name || !user.age) return 1;
+  if (!user.gender) return 2;
+  if (!user.imperfection_1) return 3;
+  if (!user.imperfection_2) return 4;
+  if (!user.onboarding_complete) return 5;
+  return null;
+}
+
+function serializeSelf(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    email_verified: user.email_verified,
+    name: user.name,
+    age: user.age,
+    gender: user.gender,
+    gender_category: user.gender_category,
+    interested_in: user.interested_in,
+    preferred_age_min: user.preferred_age_min,
+    preferred_age_max: user.preferred_age_max,
+    intent: user.intent,
+    avatar_evolution: parseFloat(user.avatar_evolution) || 0,
+    onboarding_complete: user.onboarding_complete,
+    onboarding_step: onboardingStep(user),
+    availability: user.availability,
+    resume_at: user.resume_at,
+    two_factor_enabled: Boolean(user.totp_enabled_at)
+  };
+}
+
+// What other people may see: never email, imperfection answers or photos
+function serializeProfile(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    age: user.age,
+    gender: user.gender,
+    intent: user.intent,
+    avatar_evolution: parseFloat(user.avatar_evolution) || 0
+  };
+}
+
+function serializeConnection(connection) {
+  return {
+    id: connection.id,
+    other_user: { id: connection.other_id, name: connection.other_name || FORMER_MEMBER },
+    connection_state: connection.connection_state,
+    message_count: connection.message_count,
+    conversation_quality_score: parseFloat(connection.conversation_quality_score) || 0,
+    conversation_quality_factors: connection.conversation_quality_factors || null,
+    mutual_avatar_evolution: parseFloat(connection.mutual_avatar_evolution) || 0,
+    photo_reveal_state: connection.photo_reveal_state,
+    closed: connection.closed,
+    paused: !connection.closed && connection.paused,
+    archived_reason: connection.archived_reason,
+    last_message_at: connection.last_message_at,
+    created_at: connection.created_at
+  };
+}
+
+// Messages removed by a moderator keep their place in the conversation, without the text
+function serializeMessage(message) {
+  return {
+    id: message.id,
+    sender_id: message.sender_id,
+    sender_name: message.sender_name || FORMER_MEMBER,
+    message_text: message.removed_at ? null : message.message_text,
+    removed: Boolean(message.removed_at),
+    created_at: message.created_at
+  };
+}
+
+// ===== HELPERS =====
+
+function parseId(value) {
+  const id = parseInt(value, 10);
+  if (isNaN(id)) {
+    throw new ApiError(400, "invalid_id", "Invalid id");
+  }
+  return id;
+}
+
+function check(result) {
+  if (result.error) {
+    throw new ApiError(400, "validation_error", result.error);
+  }
+  return result.values || result.value;
+}
+
+function requireOnboardingOpen(user) {
+  if (user.onboarding_complete) {
+    throw new ApiError(409, "onboarding_complete", "Onboarding is already complete");
+  }
+}
+
+// The :userId of a request, checked to be someone other than the caller who exists
+async function requireOtherUser(req) {
+  const otherUserId = parseId(req.params.userId);
+  if (otherUserId === req.user.id) {
+    throw new ApiError(400, "invalid_id", "That's your own profile");
+  }
+  const result = await pool.query("SELECT 1 FROM users WHERE id = $1", [otherUserId]);
+  if (result.rows.length === 0) {
+    throw new ApiError(404, "not_found", "Profile not found");
+  }
+  return otherUserId;
+}
+
+async function loadUser(userId) {
+  const result = await pool.query("SELECT * FROM users WHERE id = $1", [userId]);
+  return result.rows[0];
+}
+
+async function loadConnection(connectionId, userId) {
+  const result = await pool.query(
+    `SELECT c.*,
+      CASE WHEN c.user1_id = $1 THEN u2.name ELSE u1.name END as other_name,
+      CASE WHEN c.user1_id = $1 THEN u2.id ELSE u1.id END as other_id,
+      ${CONNECTION_CLOSED_SQL}
+     FROM connections c
+     LEFT JOIN users u1 ON c.user1_id = u1.id
+     LEFT JOIN users u2 ON c.user2_id = u2.id
+     WHERE c.id = $2 AND (c.user1_id = $1 OR c.user2_id = $1)`,
+    [userId, connectionId]
+  );
+  if (result.rows.length === 0) {
+    throw new ApiError(404, "not_found", "Connection not found");
+  }
+  return result.rows[0];
+}
+
+function bearerToken(req) {
+  const header = req.get("Authorization") || "";
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// ===== SCHEMAS (OpenAPI components) =====
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const schemas = {
+  Error: {
+    type: "object",
+    properties: {
+      error: {
+        type: "object",
+        properties: { code: { type: "string" }, message: { type: "string" } },
+        required: ["code", "message"]
+      }
+    }
+  },
+  Self: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      email: { type: "string" },
+      email_verified: { type: "boolean", description: "Only people with a confirmed email are suggested in discovery" },
+      name: { type: "string", nullable: true },
+      age: { type: "integer", nullable: true },
+      gender: { type: "string", nullable: true },
+      gender_category: { type: "string", enum: Object.keys(GENDER_CATEGORIES), nullable: true },
+      interested_in: { type: "array", items: { type: "string", enum: Object.keys(GENDER_CATEGORIES) } },
+      preferred_age_min: { type: "integer" },
+      preferred_age_max: { type: "integer" },
+      intent: { type: "string", enum: Object.keys(INTENTS), nullable: true },
+      avatar_evolution: { type: "number" },
+      onboarding_complete: { type: "boolean" },
+      onboarding_step: { type: "integer", nullable: true, description: "Next onboarding step (1-5), or null when complete" },
+      availability: {
+        type: "string",
+        enum: Object.keys(AVAILABILITY_MODES),
+        description: "paused: not suggested to anyone and not shown suggestions; hibernating: also pauses conversations"
+      },
+      resume_at: { type: "string", format: "date-time", nullable: true, description: "When a break ends on its own" },
+      two_factor_enabled: { type: "boolean", description: "Signing in also takes a code from an authenticator app (set up on the website)" }
+    }
+  },
+  Profile: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      name: { type: "string" },
+      age: { type: "integer" },
+      gender: { type: "string" },
+      intent: { type: "string", nullable: true },
+      avatar_evolution: { type: "number" }
+    }
+  },
+  Connection: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      other_user: {
+        type: "object",
+        description: "id is null and name is \"a former member\" once the other person has deleted their account",
+        properties: { id: { type: "integer", nullable: true }, name: { type: "string" } }
+      },
+      connection_state: { type: "string", enum: ["exploring", "connected", "archived"] },
+      message_count: { type: "integer" },
+      conversation_quality_score: { type: "number", description: "0.0 to 1.0, from how both people take part in the conversation" },
+      conversation_quality_factors: {
+        type: "object",
+        nullable: true,
+        description: "What the score is made of, each 0.0 to 1.0; null until the first message",
+        properties: {
+          depth: { type: "number" },
+          balance: { type: "number" },
+          questions: { type: "number" },
+          responsiveness: { type: "number" },
+          trajectory: { type: "number" }
+        }
+      },
+      mutual_avatar_evolution: { type: "number" },
+      photo_reveal_state: { type: "string" },
+      closed: { type: "boolean", description: "True when archived, either person has blocked the other or the other person has deleted their account; no new messages can be sent" },
+      paused: { type: "boolean", description: "True while either person is hibernating; no new messages can be sent until they're back" },
+      archived_reason: { type: "string", enum: ["moderator", "went_quiet", "closed_kindly", "account_deleted"], nullable: true },
+      last_message_at: { type: "string", format: "date-time", nullable: true },
+      created_at: { type: "string", format: "date-time" }
+    }
+  },
+  Message: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      sender_id: { type: "integer", nullable: true, description: "null when the sender has deleted their account" },
+      sender_name: { type: "string" },
+      message_text: { type: "string", nullable: true, description: "null when removed by a moderator" },
+      removed: { type: "boolean" },
+      created_at: { type: "string", format: "date-time" }
+    }
+  },
+  Notice: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      kind: { type: "string", enum: ["ghosting_nudge", "ghosting_closure", "went_quiet_archived", "closed_kindly"] },
+      text: { type: "string" },
+      connection_id: { type: "integer", nullable: true },
+      created_at: { type: "string", format: "date-time" }
+    }
+  },
+  AuthResult: {
+    type: "object",
+    properties: { token: { type: "string" }, user: ref("Self") }
+  },
+  OnboardingResult: {
+    type: "object",
+    properties: { user: ref("Self") }
+  }
+};
+
+const credentialsBody = {
+  type: "object",
+  required: ["email", "password"],
+  properties: {
+    email: { type: "string", format: "email" },
+    password: { type: "string", minLength: 8, maxLength: 255 }
+  }
+};
+
+const textBody = (field, description) => ({
+  type: "object",
+  required: [field],
+  properties: { [field]: { type: "string", maxLength: 500, description } }
+});
+
+const onboardingResponses = { 200: { description: "Step saved", schema: ref("OnboardingResult") } };
+
+// ===== ROUTES =====
+// auth: "none" (public), "user" (signed in) or "onboarded" (signed in and onboarding complete)
+
+const routes = [
+  {
+    method: "post",
+    path: "/auth/register",
+    operationId: "register",
+    summary: "Create an account and get a token",
+    tags: ["Auth"],
+    auth: "none",
+    body: credentialsBody,
+    responses: { 201: { description: "Account created", schema: ref("AuthResult") } },
+    handler: async (req, res) => {
+      const { email, password } = req.body || {};
+      if (!email || !password) {
+        throw new ApiError(400, "validation_error", "Email and password are required");
+      }
+      if (!validateEmail(email)) {
+        throw new ApiError(400, "validation_error", "Invalid email format");
+      }
+      if (!validatePassword(password)) {
+        throw new ApiError(400, "validation_error", "Password must be at least 8 characters long");
+      }
+
+      const existingUser = await pool.query("SELECT 1 FROM users WHERE email = $1", [email.toLowerCase()]);
+      if (existingUser.rows.length > 0) {
+        throw new ApiError(409, "email_taken", "Email already registered");
+      }
+
+      const hashedPassword = await bcrypt.hash(password, 10);
+      const result = await pool.query(
+        "INSERT INTO users (email, password_hash) VALUES ($1, $2) RETURNING *",
+        [email.toLowerCase(), hashedPassword]
+      );
+      const user = result.rows[0];
+      logger.info(`New user registered via API: ${user.id}`);
+      await sendVerificationEmail(user, appUrl(req))
+        .catch((error) => logger.error("Error sending verification email", error));
+
+      res.status(201).json({ token: await tokens.issueToken(user.id), user: serializeSelf(user) });
+    }
+  },
+  {
+    method: "post",
+    path: "/auth/login",
+    operationId: "login",
+    summary: "Sign in and get a token",
+    tags: ["Auth"],
+    auth: "none",
+    rateLimited: true,
+    body: {
+      ...credentialsBody,
+      properties: {
+        ...credentialsBody.properties,
+        two_factor_code: { type: "string", description: "Code from the authenticator app, or a recovery code, when two-step sign-in is on" }
+      }
+    },
+    responses: { 200: { description: "Signed in", schema: ref("AuthResult") } },
+    handler: async (req, res) => {
+      const { email, password } = req.body || {};
+      if (!email || !password || !validateEmail(email)) {
+        throw new ApiError(400, "validation_error", "A valid email and password are required");
+      }
+
+      const result = await pool.query("SELECT * FROM users WHERE email = $1", [email.toLowerCase()]);
+      const user = result.rows[0];
+      if (!user || !(await bcrypt.compare(password, user.password_hash))) {
+        logger.warn(`Failed API login attempt for email: ${email}`);
+        throw new ApiError(401, "invalid_credentials", "Invalid email or password");
+      }
+      if (!user.active) {
+        throw new ApiError(403, "account_deactivated", "This account has been deactivated");
+      }
+      if (user.deletion_scheduled_at) {
+        throw new ApiError(403, "deletion_scheduled", "This account is scheduled for deletion. Sign in on the website to keep it");
+      }
+      if (user.totp_enabled_at) {
+        const { two_factor_code } = req.body;
+        if (!two_factor_code) {
+          throw new ApiError(401, "two_factor_required", "Two-step sign-in is on: send two_factor_code as well");
+        }
+        if (!(await verifySecondFactor(user, String(two_factor_code)))) {
+          logger.warn(`Failed two-step code via API for user: ${user.id}`);
+          throw new ApiError(401, "invalid_two_factor_code", "That code didn't work");
+        }
+      }
+
+      logger.info(`User ${user.id} logged in via API`);
+      res.json({ token: await tokens.issueToken(user.id), user: serializeSelf(user) });
+    }
+  },
+  {
+    method: "post",
+    path: "/auth/logout",
+    operationId: "logout",
+    summary: "Revoke the current token (or end the web session)",
+    tags: ["Auth"],
+    auth: "user",
+    responses: { 204: { description: "Signed out" } },
+    handler: async (req, res) => {
+      const token = bearerToken(req);
+      if (token) {
+        await tokens.revokeToken(token);
+        return res.status(204).end();
+      }
+      req.session.destroy(() => res.status(204).end());
+    }
+  },
+  {
+    method: "post",
+    path: "/auth/verify-email",
+    operationId: "verifyEmail",
+    summary: "Confirm an email address with the token from a verification link",
+    description: "Until their email is confirmed, people aren't suggested to anyone in discovery.",
+    tags: ["Auth"],
+    auth: "none",
+    body: { type: "object", required: ["token"], properties: { token: { type: "string" } } },
+    responses: { 204: { description: "Email confirmed" } },
+    handler: async (req, res) => {
+      const { token } = req.body || {};
+      if (!(await verifyEmail(typeof token === "string" ? token : ""))) {
+        throw new ApiError(400, "invalid_token", "This verification link has expired or was already used");
+      }
+      res.status(204).end();
+    }
+  },
+  {
+    method: "post",
+    path: "/auth/verify-email/resend",
+    operationId: "resendVerificationEmail",
+    summary: "Send the verification link again",
+    description: "Limited to one email every few minutes and a handful a day; a 429 response says how long to wait in Retry-After (seconds).",
+    tags: ["Auth"],
+    auth: "user",
+    responses: { 202: { description: "Link sent" } },
+    handler: async (req, res) => {
+      const result = await sendVerificationEmail(req.user, appUrl(req));
+      if (result.reason === "already_verified") {
+        throw new ApiError(409, "already_verified", "This email is already confirmed");
+      }
+      if (result.reason === "throttled") {
+        res.set("Retry-After", String(result.retryAfterMinutes * 60));
+        throw new ApiError(429, "too_many_requests", `Please wait ${result.retryAfterMinutes} minute(s) before asking for another link`);
+      }
+      res.status(202).end();
+    }
+  },
+  {
+    method: "post",
+    path: "/auth/password-reset",
+    operationId: "requestPasswordReset",
+    summary: "Email a password reset link",
+    description: "Answers the same whether or not there's an account for the email. The link opens the reset page on the website.",
+    tags: ["Auth"],
+    auth: "none",
+    rateLimited: true,
+    body: { type: "object", required: ["email"], properties: { email: { type: "string", format: "email" } } },
+    responses: { 202: { description: "A link was sent if the account exists" } },
+    handler: async (req, res) => {
+      const { email } = req.body || {};
+      if (!email || !validateEmail(email)) {
+        throw new ApiError(400, "validation_error", "A valid email is required");
+      }
+      await requestPasswordReset(email, appUrl(req));
+      res.status(202).end();
+    }
+  },
+  {
+    method: "post",
+    path: "/auth/password-reset/confirm",
+    operationId: "resetPassword",
+    summary: "Set a new password with the token from a reset link",
+    description: "Signs the account out everywhere: every API token is revoked and web sessions end.",
+    tags: ["Auth"],
+    auth: "none",
+    rateLimited: true,
+    body: {
+      type: "object",
+      required: ["token", "password"],
+      properties: {
+        token: { type: "string" },
+        password: { type: "string", minLength: 8, maxLength: 255 }
+      }
+    },
+    responses: { 204: { description: "Password changed" } },
+    handler: async (req, res) => {
+      const { token, password } = req.body || {};
+      if (!validatePassword(password)) {
+        throw new ApiError(400, "validation_error", "Password must be at least 8 characters long");
+      }
+      if (!(await resetPassword(typeof token === "string" ? token : "", password))) {
+        throw new ApiError(400, "invalid_token", "This reset link has expired or was already used");
+      }
+      res.status(204).end();
+    }
+  },
+  {
+    method: "get",
+    path: "/me",
+    operationId: "getMe",
+    summary: "The signed-in user, including onboarding progress",
+    tags: ["Auth"],
+    auth: "user",
+    responses: { 200: { description: "Current user", schema: { type: "object", properties: { user: ref("Self") } } } },
+    handler: async (req, res) => {
+      res.json({ user: serializeSelf(req.user) });
+    }
+  },
+  {
+    method: "put",
+    path: "/me/availability",
+    operationId: "setAvailability",
+    summary: "Take a break (pause or hibernate) or come back",
+    tags: ["Auth"],
+    auth: "onboarded",
+    body: {
+      type: "object",
+      required: ["availability"],
+      properties: {
+        availability: { type: "string", enum: Object.keys(AVAILABILITY_MODES) },
+        resume_on: { type: "string", format: "date", description: "Optional day to come back on its own, from tomorrow to a year ahead" }
+      }
+    },
+    responses: { 200: { description: "Updated user", schema: { type: "object", properties: { user: ref("Self") } } } },
+    handler: async (req, res) => {
+      const { mode, resumeAt } = check(validateAvailability(req.body || {}));
+      await setAvailability(req.user.id, mode, resumeAt);
+      res.json({ user: serializeSelf(await loadUser(req.user.id)) });
+    }
+  },
+  {
+    method: "get",
+    path: "/me/export",
+    operationId: "exportMyData",
+    summary: "Everything stored about you: profile, imperfection answers, profile views, connections and the messages you sent",
+    tags: ["Auth"],
+    auth: "user",
+    responses: { 200: { description: "Your data", schema: { type: "object" } } },
+    handler: async (req, res) => {
+      logger.info(`User ${req.user.id} downloaded their data via API`);
+      res.json(await exportUserData(req.user.id));
+    }
+  },
+  {
+    method: "post",
+    path: "/me/deletion",
+    operationId: "deleteAccount",
+    summary: "Delete your account",
+    description: `Hides the account, revokes every token and deletes it for good after ${ACCOUNT_DELETION_GRACE_DAYS} days. Signing in on the website before then keeps it. The people you talked with keep their side of your conversations, shown as from a former member.`,
+    tags: ["Auth"],
+    auth: "user",
+    rateLimited: true,
+    body: { type: "object", required: ["password"], properties: { password: { type: "string" } } },
+    responses: {
+      202: {
+        description: "Deletion scheduled",
+        schema: { type: "object", properties: { deletion_scheduled_at: { type: "string", format: "date-time" } } }
+      }
+    },
+    handler: async (req, res) => {
+      const { password } = req.body || {};
+      if (!password || !(await bcrypt.compare(String(password), req.user.password_hash))) {
+        throw new ApiError(401, "invalid_credentials", "Your password is incorrect");
+      }
+      res.status(202).json({ deletion_scheduled_at: await scheduleAccountDeletion(req.user.id) });
+    }
+  },
+  {
+    method: "post",
+    path: "/onboarding/step-1",
+    operationId: "onboardingNameAndAge",
+    summary: "Onboarding step 1: name and age",
+    tags: ["Onboarding"],
+    auth: "user",
+    body: {
+      type: "object",
+      required: ["name", "age"],
+      properties: { name: { type: "string", minLength: 2 }, age: { type: "integer", minimum: 18, maximum: 120 } }
+    },
+    responses: onboardingResponses,
+    handler: async (req, res) => {
+      requireOnboardingOpen(req.user);
+      const values = check(validateNameAndAge(req.body.name, req.body.age));
+      await pool.query("UPDATE users SET name = $1, age = $2 WHERE id = $3", [values.name, values.age, req.user.id]);
+      res.json({ user: serializeSelf(await loadUser(req.user.id)) });
+    }
+  },
+  {
+    method: "post",
+    path: "/onboarding/step-2",
+    operationId: "onboardingGender",
+    summary: "Onboarding step 2: gender",
+    tags: ["Onboarding"],
+    auth: "user",
+    body: { type: "object", required: ["gender"], properties: { gender: { type: "string", maxLength: 100 } } },
+    responses: onboardingResponses,
+    handler: async (req, res) => {
+      requireOnboardingOpen(req.user);
+      const gender = check(validateGender(req.body.gender));
+      await pool.query("UPDATE users SET gender = $1 WHERE id = $2", [gender, req.user.id]);
+      res.json({ user: serializeSelf(await loadUser(req.user.id)) });
+    }
+  },
+  {
+    method: "post",
+    path: "/onboarding/step-3",
+    operationId: "onboardingImperfection1",
+    summary: "Onboarding step 3: \"When I'm stressed or overwhelmed, I usually…\"",
+    tags: ["Onboarding"],
+    auth: "user",
+    body: textBody("imperfection_1", "One sentence, at least four words, no emojis"),
+    responses: onboardingResponses,
+    handler: async (req, res) => {
+      requireOnboardingOpen(req.user);
+      const answer = check(validateImperfectionAnswer(req.body.imperfection_1));
+      await pool.query(
+        "UPDATE users SET imperfection_1 = $1, answers_updated_at = CURRENT_TIMESTAMP WHERE id = $2",
+        [answer, req.user.id]
+      );
+      res.json({ user: serializeSelf(await loadUser(req.user.id)) });
+    }
+  },
+  {
+    method: "post",
+    path: "/onboarding/step-4",
+    operationId: "onboardingImperfection2",
+    summary: "Onboarding step 4: \"People close to me sometimes wish I was better at…\"",
+    tags: ["Onboarding"],
+    auth: "user",
+    body: textBody("imperfection_2", "One sentence, at least four words, no emojis"),
+    responses: onboardingResponses,
+    handler: async (req, res) => {
+      requireOnboardingOpen(req.user);
+      const answer = check(validateImperfectionAnswer(req.body.imperfection_2));
+      await pool.query(
+        "UPDATE users SET imperfection_2 = $1, answers_updated_at = CURRENT_TIMESTAMP WHERE id = $2",
+        [answer, req.user.id]
+      );
+      res.json({ user: serializeSelf(await loadUser(req.user.id)) });
+    }
+  },
+  {
+    method: "post",
+    path: "/onboarding/step-5",
+    operationId: "onboardingPreferences",
+    summary: "Onboarding step 5: who you'd like to meet (completes onboarding)",
+    tags: ["Onboarding"],
+    auth: "user",
+    body: {
+      type: "object",
+      required: ["gender_category", "interested_in", "preferred_age_min", "preferred_age_max", "intent"],
+      properties: {
+        gender_category: { type: "string", enum: Object.keys(GENDER_CATEGORIES) },
+        interested_in: { type: "array", minItems: 1, items: { type: "string", enum: Object.keys(GENDER_CATEGORIES) } },
+        preferred_age_min: { type: "integer", minimum: 18, maximum: 120 },
+        preferred_age_max: { type: "integer", minimum: 18, maximum: 120 },
+        intent: { type: "string", enum: Object.keys(INTENTS) }
+      }
+    },
+    responses: onboardingResponses,
+    handler: async (req, res) => {
+      requireOnboardingOpen(req.user);
+      if (onboardingStep(req.user) !== 5) {
+        throw new ApiError(409, "onboarding_incomplete", "Please complete the earlier onboarding steps first");
+      }
+      const values = check(validateDiscoveryPreferences(req.body));
+      await saveDiscoveryPreferences(req.user.id, values, true);
+      logger.info(`User ${req.user.id} completed onboarding via API`);
+      res.json({ user: serializeSelf(await loadUser(req.user.id)) });
+    }
+  },
+  {
+    method: "get",
+    path: "/profiles/next",
+    operationId: "getNextProfile",
+    summary: "The next person suggested to you, or null",
+    tags: ["Discovery"],
+    auth: "onboarded",
+    responses: {
+      200: {
+        description: "Suggestion",
+        schema: { type: "object", properties: { profile: { ...ref("Profile"), nullable: true } } }
+      }
+    },
+    handler: async (req, res) => {
+      const profile = await getNextProfileToView(req.user.id);
+      res.json({ profile: profile ? serializeProfile(profile) : null });
+    }
+  },
+  {
+    method: "get",
+    path: "/profiles/:userId",
+    operationId: "getProfile",
+    summary: "View someone's profile (recorded as a profile view)",
+    description: "Someone taking a break is only shown to people they already have a connection with; to anyone else it's not found.",
+    tags: ["Discovery"],
+    auth: "onboarded",
+    responses: {
+      200: {
+        description: "Profile",
+        schema: {
+          type: "object",
+          properties: {
+            profile: ref("Profile"),
+            connection_id: { type: "integer", nullable: true, description: "Existing connection with this person" }
+          }
+        }
+      }
+    },
+    handler: async (req, res) => {
+      const profileUserId = parseId(req.params.userId);
+      if (profileUserId === req.user.id) {
+        throw new ApiError(400, "invalid_id", "Use /me for your own profile");
+      }
+
+      const profileResult = await pool.query(
+        "SELECT * FROM users WHERE id = $1 AND onboarding_complete = TRUE AND active AND deletion_scheduled_at IS NULL",
+        [profileUserId]
+      );
+      if (profileResult.rows.length === 0 || await findBlock(req.user.id, profileUserId)) {
+        throw new ApiError(404, "not_found", "Profile not found");
+      }
+
+      const connectionResult = await pool.query(
+        `SELECT id FROM connections
+         WHERE (user1_id = $1 AND user2_id = $2) OR (user1_id = $2 AND user2_id = $1)`,
+        [req.user.id, profileUserId]
+      );
+      // Someone taking a break is only seen by the people they were already talking with
+      if (profileResult.rows[0].availability !== "available" && connectionResult.rows.length === 0) {
+        throw new ApiError(404, "not_found", "Profile not found");
+      }
+
+      await pool.query(
+        "INSERT INTO profile_views (viewer_id, viewed_id) VALUES ($1, $2) ON CONFLICT DO NOTHING",
+        [req.user.id, profileUserId]
+      );
+
+      res.json({
+        profile: serializeProfile(profileResult.rows[0]),
+        connection_id: connectionResult.rows[0]?.id || null
+      });
+    }
+  },
+  {
+    method: "post",
+    path: "/profiles/:userId/skip",
+    operationId: "skipProfile",
+    summary: "\"Not now\": hide this person for a while",
+    tags: ["Discovery"],
+    auth: "onboarded",
+    responses: { 204: { description: "Skipped" } },
+    handler: async (req, res) => {
+      const profileUserId = await requireOtherUser(req);
+      await recordSkip(req.user.id, profileUserId);
+      res.status(204).end();
+    }
+  },
+  {
+    method: "post",
+    path: "/profiles/:userId/block",
+    operationId: "blockUser",
+    summary: "Block someone: hides you from each other and closes any conversation",
+    tags: ["Safety"],
+    auth: "onboarded",
+    responses: { 204: { description: "Blocked" } },
+    handler: async (req, res) => {
+      const otherUserId = await requireOtherUser(req);
+      await blockUser(req.user.id, otherUserId);
+      res.status(204).end();
+    }
+  },
+  {
+    method: "delete",
+    path: "/profiles/:userId/block",
+    operationId: "unblockUser",
+    summary: "Remove a block you made",
+    tags: ["Safety"],
+    auth: "onboarded",
+    responses: { 204: { description: "Unblocked" } },
+    handler: async (req, res) => {
+      const otherUserId = parseId(req.params.userId);
+      if (!(await unblockUser(req.user.id, otherUserId))) {
+        throw new ApiError(404, "not_found", "You haven't blocked this person");
+      }
+      res.status(204).end();
+    }
+  },
+  {
+    method: "post",
+    path: "/profiles/:userId/report",
+    operationId: "reportUser",
+    summary: "Report someone to the moderators (recent messages are attached automatically)",
+    tags: ["Safety"],
+    auth: "onboarded",
+    body: {
+      type: "object",
+      required: ["category"],
+      properties: {
+        category: { type: "string", enum: Object.keys(REPORT_CATEGORIES) },
+        details: { type: "string", maxLength: 500, description: "Required when category is \"other\"" },
+        block: { type: "boolean", description: "Also block this person" }
+      }
+    },
+    responses: {
+      201: { description: "Report filed", schema: { type: "object", properties: { report_id: { type: "integer" } } } }
+    },
+    handler: async (req, res) => {
+      const otherUserId = await requireOtherUser(req);
+      const values = check(validateReport(req.body));
+      const reportId = await createReport(req.user.id, otherUserId, values);
+      if (req.body.block === true) {
+        await blockUser(req.user.id, otherUserId);
+      }
+      res.status(201).json({ report_id: reportId });
+    }
+  },
+  {
+    method: "get",
+    path: "/connections",
+    operationId: "listConnections",
+    summary: "Your connections, most recent conversation first",
+    tags: ["Connections"],
+    auth: "onboarded",
+    responses: {
+      200: {
+        description: "Connections",
+        schema: { type: "object", properties: { connections: { type: "array", items: ref("Connection") } } }
+      }
+    },
+    handler: async (req, res) => {
+      const result = await pool.query(
+        `SELECT c.*,
+          CASE WHEN c.user1_id = $1 THEN u2.name ELSE u1.name END as other_name,
+          CASE WHEN c.user1_id = $1 THEN u2.id ELSE u1.id END as other_id,
+          ${CONNECTION_CLOSED_SQL}
+         FROM connections c
+         LEFT JOIN users u1 ON c.user1_id = u1.id
+         LEFT JOIN users u2 ON c.user2_id = u2.id
+         WHERE c.user1_id = $1 OR c.user2_id = $1
+         ORDER BY c.last_message_at DESC NULLS LAST, c.created_at DESC`,
+        [req.user.id]
+      );
+      res.json({ connections: result.rows.map(serializeConnection) });
+    }
+  },
+  {
+    method: "post",
+    path: "/connections",
+    operationId: "startConnection",
+    summary: "Start a conversation with someone (returns the existing one if there is one)",
+    tags: ["Connections"],
+    auth: "onboarded",
+    body: { type: "object", required: ["user_id"], properties: { user_id: { type: "integer" } } },
+    responses: {
+      200: { description: "Existing connection", schema: { type: "object", properties: { connection: ref("Connection") } } },
+      201: { description: "Connection created", schema: { type: "object", properties: { connection: ref("Connection") } } }
+    },
+    handler: async (req, res) => {
+      const otherUserId = parseId(req.body.user_id);
+      if (otherUserId === req.user.id) {
+        throw new ApiError(400, "invalid_id", "You can't start a conversation with yourself");
+      }
+      const started = await startConnection(req.user.id, otherUserId);
+      if (!started) {
+        throw new ApiError(404, "not_found", "Profile not found");
+      }
+      const connection = await loadConnection(started.id, req.user.id);
+      res.status(started.created ? 201 : 200).json({ connection: serializeConnection(connection) });
+    }
+  },
+  {
+    method: "get",
+    path: "/connections/:connectionId/messages",
+    operationId: "listMessages",
+    summary: "Messages in a conversation, newest page first",
+    tags: ["Connections"],
+    auth: "onboarded",
+    query: {
+      before: { schema: { type: "integer" }, description: "Only messages older than this message id (use next_before to page back)" },
+      limit: { schema: { type: "integer", minimum: 1, maximum: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE } }
+    },
+    responses: {
+      200: {
+        description: "A page of messages, oldest first within the page",
+        schema: {
+          type: "object",
+          properties: {
+            messages: { type: "array", items: ref("Message") },
+            next_before: { type: "integer", nullable: true, description: "Pass as before= to get older messages" }
+          }
+        }
+      }
+    },
+    handler: async (req, res) => {
+      const connectionId = parseId(req.params.connectionId);
+      await loadConnection(connectionId, req.user.id);
+      await recordConnectionActivity(connectionId, req.user.id);
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+      const before = req.query.before === undefined ? null : parseId(req.query.before);
+
+      // Fetch one extra row to know whether there's an older page
+      const result = await pool.query(
+        `SELECT m.*, u.name as sender_name
+         FROM messages m
+         LEFT JOIN users u ON m.sender_id = u.id
+         WHERE m.connection_id = $1 AND ($2::integer IS NULL OR m.id < $2)
+         ORDER BY m.id DESC
+         LIMIT $3`,
+        [connectionId, before, limit + 1]
+      );
+
+      const hasMore = result.rows.length > limit;
+      const page = result.rows.slice(0, limit).reverse();
+      res.json({
+        messages: page.map(serializeMessage),
+        next_before: hasMore ? page[0].id : null
+      });
+    }
+  },
+  {
+    method: "post",
+    path: "/connections/:connectionId/messages",
+    operationId: "sendMessage",
+    summary: "Send a message",
+    tags: ["Connections"],
+    auth: "onboarded",
+    body: textBody("message", "Up to 500 characters"),
+    responses: { 201: { description: "Message sent", schema: { type: "object", properties: { message: ref("Message") } } } },
+    handler: async (req, res) => {
+      const connectionId = parseId(req.params.connectionId);
+      const messageText = sanitizeLongText(req.body.message || "");
+      if (messageText.length === 0) {
+        throw new ApiError(400, "validation_error", "Message is empty");
+      }
+      const connection = await loadConnection(connectionId, req.user.id);
+      if (connection.closed) {
+        throw new ApiError(403, "connection_closed", "This conversation is closed");
+      }
+      if (connection.paused) {
+        throw new ApiError(403, "connection_paused", "This conversation is paused while one of you takes a break");
+      }
+
+      const message = await sendMessage(connectionId, req.user, messageText);
+      res.status(201).json({ message: serializeMessage(message) });
+    }
+  },
+  {
+    method: "post",
+    path: "/connections/:connectionId/end",
+    operationId: "endConnection",
+    summary: "End a connection with a closing note; it becomes read-only and neither person is suggested to the other again",
+    tags: ["Connections"],
+    auth: "onboarded",
+    body: {
+      type: "object",
+      properties: {
+        note_id: { type: "string", enum: [...Object.keys(CLOSING_NOTES), "own"], description: "A suggested closing note, or \"own\" to send note" },
+        note: { type: "string", maxLength: 500, description: "Your own closing note (at least four words)" }
+      }
+    },
+    responses: { 200: { description: "Connection ended", schema: { type: "object", properties: { connection: ref("Connection") } } } },
+    handler: async (req, res) => {
+      const connectionId = parseId(req.params.connectionId);
+      const connection = await loadConnection(connectionId, req.user.id);
+      if (connection.closed) {
+        throw new ApiError(409, "connection_closed", "This conversation is already closed");
+      }
+      const note = check(validateClosingNote(req.body));
+      await endConnection(connection, req.user, note);
+      res.json({ connection: serializeConnection(await loadConnection(connectionId, req.user.id)) });
+    }
+  },
+  {
+    method: "post",
+    path: "/connections/:connectionId/close-kindly",
+    operationId: "closeConnectionKindly",
+    summary: "One-click end with the standard kind goodbye (same as /end with note_id kind_goodbye)",
+    tags: ["Connections"],
+    auth: "onboarded",
+    responses: { 200: { description: "Conversation closed", schema: { type: "object", properties: { connection: ref("Connection") } } } },
+    handler: async (req, res) => {
+      const connectionId = parseId(req.params.connectionId);
+      const connection = await loadConnection(connectionId, req.user.id);
+      if (connection.closed) {
+        throw new ApiError(409, "connection_closed", "This conversation is already closed");
+      }
+      await endConnection(connection, req.user, KIND_GOODBYE_MESSAGE);
+      res.json({ connection: serializeConnection(await loadConnection(connectionId, req.user.id)) });
+    }
+  },
+  {
+    method: "get",
+    path: "/notices",
+    operationId: "listNotices",
+    summary: "Gentle in-app notices (nudges about quiet conversations and the like)",
+    tags: ["Notices"],
+    auth: "onboarded",
+    responses: {
+      200: { description: "Notices", schema: { type: "object", properties: { notices: { type: "array", items: ref("Notice") } } } }
+    },
+    handler: async (req, res) => {
+      const userNotices = await listNotices(req.user.id);
+      res.json({
+        notices: userNotices.map((notice) => ({
+          id: notice.id,
+          kind: notice.kind,
+          text: notice.text,
+          connection_id: notice.connection_id,
+          created_at: notice.created_at
+        }))
+      });
+    }
+  },
+  {
+    method: "delete",
+    path: "/notices/:noticeId",
+    operationId: "dismissNotice",
+    summary: "Dismiss a notice",
+    tags: ["Notices"],
+    auth: "onboarded",
+    responses: { 204: { description: "Dismissed" } },
+    handler: async (req, res) => {
+      if (!(await dismissNotice(req.user.id, parseId(req.params.noticeId)))) {
+        throw new ApiError(404, "not_found", "Notice not found");
+      }
+      res.status(204).end();
+    }
+  }
+];
+
+// ===== ROUTER =====
+
+function buildDocument() {
+  return buildOpenApiDocument({
+    info: {
+      title: "Connect API",
+      version: "1.0.0",
+      description: "JSON API for Connect mobile clients"
+    },
+    serverUrl: "/api/v1",
+    routes,
+    schemas
+  });
+}
+
+// Resolves the user from a bearer token or the web session cookie
+async function authenticate(req, res, next) {
+  const token = bearerToken(req);
+  const userId = token ? await tokens.findUserIdByToken(token) : req.session?.userId;
+  if (token && !userId) {
+    return next(new ApiError(401, "invalid_token", "Token is invalid or expired"));
+  }
+  // Browsers send the cookie along with requests from other sites too; a bearer token they don't
+  if (!token && userId && !SAFE_METHODS.includes(req.method) && !hasValidCsrfToken(req)) {
+    return next(new ApiError(403, "invalid_csrf_token", "Send the page's CSRF token in the X-CSRF-Token header"));
+  }
+  req.user = userId ? await loadUser(userId) : null;
+  if (req.user && !req.user.active) {
+    return next(new ApiError(401, "account_deactivated", "This account has been deactivated"));
+  }
+  if (req.user && req.user.deletion_scheduled_at) {
+    return next(new ApiError(401, "deletion_scheduled", "This account is scheduled for deletion. Sign in on the website to keep it"));
+  }
+  next();
+}
+
+function requireAuth(level) {
+  return (req, res, next) => {
+    if (level === "none") return next();
+    if (!req.user) {
+      return next(new ApiError(401, "unauthorized", "Authentication required"));
+    }
+    if (level === "onboarded" && !req.user.onboarding_complete) {
+      return next(new ApiError(403, "onboarding_incomplete", "Please complete onboarding first"));
+    }
+    next();
+  };
+}
+
+// Turns any error (including body-parser errors raised before the router) into the JSON error body
+function apiErrorHandler(err, req, res, next) {
+  if (err instanceof ApiError) {
+    return res.status(err.status).json({ error: { code: err.code, message: err.message } });
+  }
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ error: { code: "invalid_json", message: "Request body is not valid JSON" } });
+  }
+  logger.error("API error", err);
+  res.status(500).json({ error: { code: "internal_error", message: "An unexpected error occurred" } });
+}
+
+function createApiRouter({ loginLimiter } = {}) {
+  const router = express.Router();
+  const document = buildDocument();
+
+  router.get("/openapi.json", (req, res) => res.json(document));
+
+  router.use(authenticate);
+
+  routes.forEach((route) => {
+    const middleware = [requireAuth(route.auth)];
+    if (route.rateLimited && loginLimiter) {
+      middleware.unshift(loginLimiter);
+    }
+    router[route.method](route.path, ...middleware, route.handler);
+  });
+
+  router.use((req, res, next) => next(new ApiError(404, "not_found", "No such endpoint")));
+  router.use(apiErrorHandler);
+
+  return router;
+}
+
+module.exports = {
+  ApiError,
+  routes,
+  buildDocument,
+  createApiRouter,
+  apiErrorHandler
+};
@@ -0,0 +1,95 @@
+// Availability: taking a break without deleting the account
+// Paused profiles aren't suggested to anyone, and aren't shown suggestions either, but
+// their conversations carry on. Hibernating also pauses those conversations: they stay
+// readable, nobody can write in them, and the other person sees that they're taking a
+// break. A break ends from settings or on its own at resume_at.
+const pool = require("./db");
+const logger = require("./logger");
+const notices = require("./notices");
+const realtime = require("./realtime");
+
+const AVAILABILITY_CHECK_MINUTES = 60;
+
+// Time spent hibernating isn't going quiet: the quiet-conversation check starts over in
+// every open conversation, for both people
+async function restartQuietTimers(client, userId) {
+  const result = await client.query(
+    `UPDATE connections SET last_activity_user1 = CURRENT_TIMESTAMP, last_activity_user2 = CURRENT_TIMESTAMP,
+       ghosting_quiet_user_id = NULL, ghosting_stage = NULL, ghosting_stage_at = NULL
+     WHERE (user1_id = $1 OR user2_id = $1) AND connection_state != 'archived'
+     RETURNING id, user1_id, user2_id`,
+    [userId]
+  );
+  for (const connection of result.rows) {
+    for (const participantId of [connection.user1_id, connection.user2_id]) {
+      await notices.dismissConnectionNotices(client, participantId, connection.id, ["ghosting_nudge", "ghosting_closure"]);
+    }
+  }
+}
+
+// Sets mode ('available', 'paused' or 'hibernating') and when the break ends on its own
+// (resumeAt, or null to stay away until coming back from settings)
+async function setAvailability(userId, mode, resumeAt) {
+  const client = await pool.connect();
+  let previous;
+  let openConnections;
+  try {
+    await client.query("BEGIN");
+    const current = await client.query("SELECT availability FROM users WHERE id = $1 FOR UPDATE", [userId]);
+    previous = current.rows[0]?.availability;
+    if (!previous) {
+      await client.query("ROLLBACK");
+      return;
+    }
+    await client.query(
+      `UPDATE users SET availability = $1, resume_at = $2,
+        break_started_at = CASE WHEN $1 = 'available' THEN NULL ELSE COALESCE(break_started_at, CURRENT_TIMESTAMP) END
+       WHERE id = $3`,
+      [mode, mode === "available" ? null : resumeAt, userId]
+    );
+    if (previous === "hibernating" && mode !== "hibernating") {
+      await restartQuietTimers(client, userId);
+    }
+    openConnections = await client.query(
+      "SELECT id FROM connections WHERE (user1_id = $1 OR user2_id = $1) AND connection_state != 'archived'",
+      [userId]
+    );
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (previous !== mode) {
+    logger.info(`User ${userId} is now ${mode}${resumeAt && mode !== "available" ? ` until ${resumeAt.toISOString()}` : ""}`);
+  }
+  // Open conversation pages reload to show (or stop showing) that the conversation is paused
+  if ((previous === "hibernating") !== (mode === "hibernating")) {
+    openConnections.rows.forEach((connection) => realtime.publish(connection.id, "paused", {}));
+  }
+}
+
+// Ends the breaks whose resume date has come. Returns how many.
+async function resumeDueBreaks() {
+  const due = await pool.query(
+    "SELECT id FROM users WHERE resume_at <= CURRENT_TIMESTAMP AND availability != 'available'"
+  );
+  for (const { id } of due.rows) {
+    await setAvailability(id, "available", null);
+  }
+  return due.rows.length;
+}
+
+function startAutoResumeJob() {
+  const run = () => resumeDueBreaks().catch((error) => logger.error("Auto-resume check failed", error));
+  setTimeout(run, 20 * 1000).unref();
+  setInterval(run, AVAILABILITY_CHECK_MINUTES * 60 * 1000).unref();
+}
+
+module.exports = {
+  setAvailability,
+  resumeDueBreaks,
+  startAutoResumeJob
+};
@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+// connect-admin: operator tasks that used to need psql or an open HTTP endpoint.
+// Run with "npx connect-admin <command>" or "npm run admin -- <command>".
+const pool = require("../db");
+const {
+  MigrationError,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  createMigration
+} = require("../migrator");
+const { deactivateUser, reactivateUser, resetOnboarding, resetTwoFactor } = require("../moderation");
+const { DEMO_PASSWORD, DEFAULT_SEED_USERS, seedDatabase, countTestData, purgeTestData } = require("../seed");
+const { SKIP_COOLDOWN_DAYS } = require("../discovery");
+const ghosting = require("../ghosting");
+const { MAIL_FROM, MAIL_DIR, mailTransportFromEnv } = require("../mailer");
+const { RESET_TOKEN_TTL_MINUTES } = require("../passwords");
+const { ACCOUNT_DELETION_GRACE_DAYS } = require("../privacy");
+const verification = require("../verification");
+
+const USAGE = `Usage: connect-admin <command>
+
+  migrate up [--to <version>]     Apply pending migrations
+  migrate down [--steps <n>]      Revert the latest applied migration (or the latest n)
+  migrate status                  Show which migrations are applied
+  migrate create <name>           Add empty up/down files for a new migration
+
+  seed [--users <n>] [--seed <value>] [--password <password>]
+                                  Add onboarded people and conversations (flagged as test
+                                  data). The same --seed always generates the same data.
+  purge-test-data [--yes]         Delete all test accounts and everything they touched
+
+  config                          Show the configuration in use, secrets redacted
+
+  user deactivate <id|email> --reason <text>
+  user reactivate <id|email> --reason <text>
+  user reset-onboarding <id|email> --reason <text>
+  user reset-two-factor <id|email> --reason <text>`;
+
+// Mistakes in how the command was typed: print the message, no stack trace
+class UsageError extends Error {}
+
+function option(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) return undefined;
+  const value = args[index + 1];
+  if (value === undefined || value.startsWith("--")) {
+    throw new UsageError(`${name} needs a value`);
+  }
+  return value;
+}
+
+function numberOption(args, name) {
+  const value = option(args, name);
+  if (value === undefined) return undefined;
+  const number = parseInt(value, 10);
+  if (isNaN(number) || number < 0) {
+    throw new UsageError(`${name} needs a number`);
+  }
+  return number;
+}
+
+function label(migration) {
+  return `${String(migration.version).padStart(4, "0")}_${migration.name}`;
+}
+
+// ===== MIGRATIONS =====
+
+async function migrate([subcommand, ...args]) {
+  switch (subcommand) {
+    case "up": {
+      const applied = await migrateUp({ to: numberOption(args, "--to") });
+      console.log(applied.length ? `Applied ${applied.length} migration(s).` : "Nothing to apply: the database is up to date.");
+      return 0;
+    }
+    case "down": {
+      const reverted = await migrateDown({ steps: numberOption(args, "--steps") ?? 1 });
+      console.log(reverted.length ? `Reverted ${reverted.length} migration(s).` : "Nothing to revert.");
+      return 0;
+    }
+    case "status": {
+      const status = await getMigrationStatus();
+      for (const migration of status.migrations) {
+        const state = migration.applied_at
+          ? `applied ${new Date(migration.applied_at).toISOString()}${migration.changed ? " (CHANGED since it was applied)" : ""}`
+          : "pending";
+        console.log(`${label(migration)}  ${state}`);
+      }
+      for (const missing of status.missing) {
+        console.log(`${label(missing)}  applied, but its file is MISSING`);
+      }
+      const healthy = status.pending.length === 0 && status.changed.length === 0 && status.missing.length === 0;
+      return healthy ? 0 : 1;
+    }
+    case "create": {
+      createMigration(args.join("_")).forEach((file) => console.log(`Created ${file}`));
+      return 0;
+    }
+    default:
+      throw new UsageError("migrate needs one of: up, down, status, create");
+  }
+}
+
+// ===== TEST DATA =====
+
+async function seed(args) {
+  const users = numberOption(args, "--users") ?? DEFAULT_SEED_USERS;
+  const seedValue = option(args, "--seed") || "1";
+  const password = option(args, "--password") || DEMO_PASSWORD;
+
+  const result = await seedDatabase({ users, seed: seedValue, password });
+  if (result.alreadySeeded) {
+    console.log(`Seed ${seedValue} has already been used here. Run purge-test-data first, or pick another --seed.`);
+    return 1;
+  }
+
+  const states = {};
+  result.connections.forEach((connection) => {
+    states[connection.scenario] = (states[connection.scenario] || 0) + 1;
+  });
+  console.log(`Created ${result.users.length} people and ${result.connections.length} conversations (seed ${seedValue}).`);
+  console.log(`Conversations: ${Object.entries(states).map(([name, count]) => `${count} ${name.replace(/_/g, " ")}`).join(", ")}`);
+  result.users.slice(0, 5).forEach((user) => console.log(`  ${user.email}`));
+  if (result.users.length > 5) console.log(`  ...and ${result.users.length - 5} more`);
+  console.log(`Password for all of them: ${password}`);
+  return 0;
+}
+
+async function purge(args) {
+  const count = await countTestData();
+  if (count === 0) {
+    console.log("There is no test data.");
+    return 0;
+  }
+  if (!args.includes("--yes")) {
+    console.log(`This deletes ${count} test account(s) with their conversations, messages and reports. Run again with --yes to go ahead.`);
+    return 1;
+  }
+  console.log(`Deleted ${await purgeTestData()} test account(s).`);
+  return 0;
+}
+
+// ===== CONFIGURATION =====
+
+function redact(value) {
+  return value ? "*** (set)" : "(not set)";
+}
+
+// Keeps the user and host of a connection string, hides the password
+function redactUrl(url) {
+  return url.replace(/\/\/([^:/@]+):[^@]*@/, "//$1:***@");
+}
+
+async function config() {
+  const db = pool.getPool().options;
+  const source = process.env.PGHOST
+    ? "PG* variables"
+    : db.connectionString ? "DATABASE_URL" : "DB_* variables (or local defaults)";
+
+  const mailTransport = mailTransportFromEnv();
+  const settings = [
+    ["NODE_ENV", process.env.NODE_ENV || "(not set)"],
+    ["PORT", process.env.PORT || "3000 (default)"],
+    ["SESSION_SECRET", redact(process.env.SESSION_SECRET)],
+    ["Database settings from", source],
+    ...(db.connectionString
+      ? [["Database URL", redactUrl(db.connectionString)]]
+      : [
+        ["Database host", `${db.host}:${db.port}`],
+        ["Database name", db.database],
+        ["Database user", db.user],
+        ["Database password", redact(db.password)]
+      ]),
+    ["Database SSL", db.ssl ? "on" : "off"],
+    ["APP_URL", process.env.APP_URL || "(not set: email links use the request's host, and production won't start)"],
+    ["MAIL_TRANSPORT", mailTransport],
+    ["MAIL_FROM", MAIL_FROM],
+    ...(mailTransport === "smtp"
+      ? [
+        ["SMTP server", `${process.env.SMTP_HOST}:${process.env.SMTP_PORT || "587"}${process.env.SMTP_SECURE === "true" ? " (TLS)" : ""}`],
+        ["SMTP_USER", process.env.SMTP_USER || "(not set)"],
+        ["SMTP_PASSWORD", redact(process.env.SMTP_PASSWORD)]
+      ]
+      : mailTransport === "file" ? [["MAIL_DIR", MAIL_DIR]] : []),
+    ["RESET_TOKEN_TTL_MINUTES", RESET_TOKEN_TTL_MINUTES],
+    ["VERIFICATION_TOKEN_TTL_HOURS", verification.VERIFICATION_TOKEN_TTL_HOURS],
+    ["VERIFICATION_RESEND_MINUTES", verification.VERIFICATION_RESEND_MINUTES],
+    ["VERIFICATION_EMAILS_PER_DAY", verification.VERIFICATION_EMAILS_PER_DAY],
+    ["ACCOUNT_DELETION_GRACE_DAYS", ACCOUNT_DELETION_GRACE_DAYS],
+    ["SKIP_COOLDOWN_DAYS", SKIP_COOLDOWN_DAYS],
+    ["GHOSTING_NUDGE_DAYS", ghosting.GHOSTING_NUDGE_DAYS],
+    ["GHOSTING_CLOSURE_DAYS", ghosting.GHOSTING_CLOSURE_DAYS],
+    ["GHOSTING_ARCHIVE_DAYS", ghosting.GHOSTING_ARCHIVE_DAYS],
+    ["GHOSTING_CHECK_MINUTES", ghosting.GHOSTING_CHECK_MINUTES]
+  ];
+
+  const width = Math.max(...settings.map(([name]) => name.length));
+  settings.forEach(([name, value]) => console.log(`${name.padEnd(width)}  ${value}`));
+  return 0;
+}
+
+// ===== USERS =====
+
+const USER_ACTIONS = {
+  deactivate: { run: deactivateUser, done: "deactivated", unchanged: "is already deactivated" },
+  reactivate: { run: reactivateUser, done: "reactivated", unchanged: "is already active" },
+  "reset-onboarding": { run: resetOnboarding, done: "can go through onboarding again", unchanged: "hasn't been through onboarding" },
+  "reset-two-factor": { run: resetTwoFactor, done: "can sign in with just their password again", unchanged: "doesn't use two-step sign-in" }
+};
+
+async function findUser(idOrEmail) {
+  const result = /^\d+$/.test(idOrEmail)
+    ? await pool.query("SELECT id, email FROM users WHERE id = $1", [parseInt(idOrEmail, 10)])
+    : await pool.query("SELECT id, email FROM users WHERE lower(email) = lower($1)", [idOrEmail]);
+  return result.rows[0] || null;
+}
+
+async function user([action, idOrEmail, ...args]) {
+  const handler = USER_ACTIONS[action];
+  if (!handler) {
+    throw new UsageError(`user needs one of: ${Object.keys(USER_ACTIONS).join(", ")}`);
+  }
+  if (!idOrEmail) {
+    throw new UsageError(`user ${action} needs a user id or email`);
+  }
+  // Same rule as the moderator console: every action needs a reason for the audit trail
+  const reason = (option(args, "--reason") || "").trim();
+  if (!reason) {
+    throw new UsageError(`user ${action} needs --reason "<why>"`);
+  }
+
+  const target = await findUser(idOrEmail);
+  if (!target) {
+    console.error(`No user found for ${idOrEmail}`);
+    return 1;
+  }
+
+  const changed = await handler.run(null, target.id, reason);
+  console.log(`${target.email} (user ${target.id}) ${changed ? handler.done : handler.unchanged}.`);
+  return changed ? 0 : 1;
+}
+
+// ===== MAIN =====
+
+const COMMANDS = {
+  migrate,
+  seed,
+  "purge-test-data": purge,
+  config,
+  user
+};
+
+async function main(argv) {
+  const [command, ...args] = argv;
+  if (!command || command === "help" || command === "--help") {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!COMMANDS[command]) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+  return COMMANDS[command](args);
+}
+
+main(process.argv.slice(2))
+  .catch((error) => {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${USAGE}`);
+    } else {
+      console.error(error instanceof MigrationError ? error.message : error);
+    }
+    return 1;
+  })
+  .then(async (code) => {
+    await pool.end();
+    process.exitCode = code;
+  });
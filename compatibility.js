@@ -0,0 +1,217 @@
+// Compatibility module
+// Scores pairs of people from their imperfection answers and from how their
+// conversations actually went, and stores the results in compatibility_signals.
+// Everything runs locally: plain word overlap plus a small set of hand-written rules.
+
+const STOPWORDS = new Set([
+  "a", "about", "after", "all", "also", "am", "an", "and", "any", "are", "as", "at",
+  "be", "because", "been", "being", "but", "by", "can", "could", "do", "does", "doing",
+  "for", "from", "get", "gets", "getting", "had", "has", "have", "i", "i'm", "if", "in",
+  "into", "is", "it", "its", "just", "me", "more", "my", "myself", "of", "on", "or",
+  "other", "out", "really", "so", "some", "something", "than", "that", "the", "their",
+  "them", "then", "there", "they", "things", "this", "to", "too", "up", "usually", "very",
+  "was", "way", "what", "when", "which", "while", "who", "will", "with", "would", "you"
+]);
+
+// Recurring themes in the two imperfection answers, matched by word stem.
+// imperfection_1: "When I'm stressed or overwhelmed, I usually..."
+// imperfection_2: "People close to me sometimes wish I was better at..."
+const THEMES = {
+  withdraw: ["quiet", "withdraw", "alone", "space", "shut", "retreat", "isolat", "hide", "silen"],
+  reachOut: ["talk", "vent", "call", "friend", "share", "reach", "text"],
+  keepBusy: ["clean", "work", "organi", "busy", "list", "productiv", "cook"],
+  move: ["run", "walk", "exercis", "gym", "hike", "workout", "swim"],
+  avoid: ["avoid", "procrastinat", "distract", "scroll", "ignor", "netflix", "tv", "game"],
+  overthink: ["overthink", "worr", "anxi", "spiral", "ruminat"],
+  responsiveness: ["repl", "respond", "answer", "touch", "text", "call"],
+  expressing: ["express", "feel", "emotion", "open", "vulnerab"],
+  patience: ["patien", "calm", "temper", "wait"],
+  listening: ["listen"],
+  reliability: ["time", "late", "punctual", "plan", "commit", "remember", "organi"]
+};
+
+// Complementarity rules. Each rule compares a theme in one person's answer with a
+// theme in the other person's answer, and is checked in both directions.
+const COMPLEMENTARITY_RULES = [
+  // Two people who both need space under stress won't read it as rejection
+  { a: ["imperfection_1", "withdraw"], b: ["imperfection_1", "withdraw"], weight: 0.4 },
+  // One retreats while the other reaches out: a common pursue/withdraw loop
+  { a: ["imperfection_1", "withdraw"], b: ["imperfection_1", "reachOut"], weight: -0.3 },
+  // Someone who moves or keeps busy can be grounding for someone who overthinks
+  { a: ["imperfection_1", "move"], b: ["imperfection_1", "overthink"], weight: 0.3 },
+  { a: ["imperfection_1", "keepBusy"], b: ["imperfection_1", "overthink"], weight: 0.2 },
+  { a: ["imperfection_1", "move"], b: ["imperfection_1", "move"], weight: 0.2 },
+  // Reaches out under stress vs. known to be slow at replying or listening
+  { a: ["imperfection_1", "reachOut"], b: ["imperfection_2", "responsiveness"], weight: -0.4 },
+  { a: ["imperfection_1", "reachOut"], b: ["imperfection_2", "listening"], weight: -0.3 },
+  // Overthinkers struggle most with unreliability and impatience
+  { a: ["imperfection_1", "overthink"], b: ["imperfection_2", "reliability"], weight: -0.2 },
+  { a: ["imperfection_1", "overthink"], b: ["imperfection_2", "patience"], weight: -0.2 },
+  // Someone who finds it hard to open up does better with someone who won't push
+  { a: ["imperfection_2", "expressing"], b: ["imperfection_1", "withdraw"], weight: 0.2 }
+];
+
+// Ranking weights for getNextProfileToView
+const IMPERFECTION_WEIGHT = 0.75;
+const CONVERSATION_WEIGHT = 0.25;
+const NEUTRAL_SCORE = 0.5;
+// Share of suggestions that ignore the ranking, so new and rarely seen people still get shown
+const EXPLORATION_RATE = 0.2;
+// Conversations need this many messages before they count as a signal
+const MIN_CONVERSATION_MESSAGES = 6;
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Very light stemming: enough that "withdrawing" and "withdraw" meet
+function stem(word) {
+  return word.replace(/(ing|ed|ly|es|s)$/, (suffix) => (word.length - suffix.length >= 3 ? "" : suffix));
+}
+
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^a-z']+/)
+    .map((word) => word.replace(/^'+|'+$/g, ""))
+    .filter((word) => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+// Cosine similarity of word-stem counts (0.0 to 1.0)
+function textSimilarity(textA, textB) {
+  const countsA = new Map();
+  const countsB = new Map();
+  tokenize(textA).forEach((token) => countsA.set(token, (countsA.get(token) || 0) + 1));
+  tokenize(textB).forEach((token) => countsB.set(token, (countsB.get(token) || 0) + 1));
+  if (countsA.size === 0 || countsB.size === 0) return 0;
+
+  let dot = 0;
+  countsA.forEach((count, token) => {
+    dot += count * (countsB.get(token) || 0);
+  });
+  const norm = (counts) => Math.sqrt([...counts.values()].reduce((sum, c) => sum + c * c, 0));
+  return dot / (norm(countsA) * norm(countsB));
+}
+
+function themesIn(text) {
+  const tokens = tokenize(text);
+  const found = new Set();
+  Object.entries(THEMES).forEach(([theme, stems]) => {
+    if (tokens.some((token) => stems.some((s) => token.startsWith(s)))) {
+      found.add(theme);
+    }
+  });
+  return found;
+}
+
+// Sum of matching rule weights (-1.0 to 1.0)
+function complementarity(userA, userB) {
+  const themesA = { imperfection_1: themesIn(userA.imperfection_1), imperfection_2: themesIn(userA.imperfection_2) };
+  const themesB = { imperfection_1: themesIn(userB.imperfection_1), imperfection_2: themesIn(userB.imperfection_2) };
+  const matches = (first, second, rule) =>
+    first[rule.a[0]].has(rule.a[1]) && second[rule.b[0]].has(rule.b[1]);
+
+  let total = 0;
+  COMPLEMENTARITY_RULES.forEach((rule) => {
+    if (matches(themesA, themesB, rule) || matches(themesB, themesA, rule)) {
+      total += rule.weight;
+    }
+  });
+  return Math.max(-1, Math.min(1, total));
+}
+
+// Imperfection compatibility for a pair (0.0 to 1.0)
+function scoreImperfections(userA, userB) {
+  const rawSimilarity = (
+    textSimilarity(userA.imperfection_1, userB.imperfection_1) +
+    textSimilarity(userA.imperfection_2, userB.imperfection_2)
+  ) / 2;
+  // Short answers rarely share many words, so a little overlap goes a long way
+  const similarity = clamp01(rawSimilarity * 2);
+  return round2(clamp01(0.35 + 0.4 * similarity + 0.25 * complementarity(userA, userB)));
+}
+
+// Conversation compatibility for a connection (0.0 to 1.0), or null if it's too early to tell.
+// Short conversations are pulled towards neutral so a few good messages don't dominate.
+function scoreConversation(connection) {
+  const messageCount = connection.message_count || 0;
+  if (messageCount < MIN_CONVERSATION_MESSAGES) return null;
+  const quality = parseFloat(connection.conversation_quality_score) || 0;
+  const confidence = Math.min(messageCount / 20, 1.0);
+  return round2(clamp01(NEUTRAL_SCORE + (quality - NEUTRAL_SCORE) * confidence));
+}
+
+// Candidates carry imperfection_compatibility (with the viewer), conversation_reputation
+// (their average conversation_compatibility with others) and times_viewed.
+function rankScore(candidate) {
+  const imperfection = candidate.imperfection_compatibility == null
+    ? NEUTRAL_SCORE
+    : parseFloat(candidate.imperfection_compatibility);
+  const conversation = candidate.conversation_reputation == null
+    ? NEUTRAL_SCORE
+    : parseFloat(candidate.conversation_reputation);
+  return IMPERFECTION_WEIGHT * imperfection + CONVERSATION_WEIGHT * conversation;
+}
+
+// Best-ranked candidate most of the time; otherwise one of the least-seen candidates at random
+function pickCandidate(candidates, options = {}) {
+  if (candidates.length === 0) return null;
+  const random = options.random || Math.random;
+  const explorationRate = options.explorationRate ?? EXPLORATION_RATE;
+
+  if (random() < explorationRate) {
+    const fewestViews = Math.min(...candidates.map((c) => Number(c.times_viewed) || 0));
+    const leastSeen = candidates.filter((c) => (Number(c.times_viewed) || 0) === fewestViews);
+    return leastSeen[Math.floor(random() * leastSeen.length)];
+  }
+
+  return candidates.reduce((best, candidate) => (rankScore(candidate) > rankScore(best) ? candidate : best));
+}
+
+// compatibility_signals stores each pair once, lowest user id first
+function orderedPair(userIdA, userIdB) {
+  return [Math.min(userIdA, userIdB), Math.max(userIdA, userIdB)];
+}
+
+async function recordImperfectionSignal(db, userA, userB) {
+  const score = scoreImperfections(userA, userB);
+  await db.query(
+    `INSERT INTO compatibility_signals (user1_id, user2_id, imperfection_compatibility)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (user1_id, user2_id) DO UPDATE SET imperfection_compatibility = EXCLUDED.imperfection_compatibility`,
+    [...orderedPair(userA.id, userB.id), score]
+  );
+  return score;
+}
+
+async function recordConversationSignal(db, connection) {
+  // Nothing to learn about a pair once one of them has deleted their account
+  if (connection.user1_id === null || connection.user2_id === null) return null;
+  const score = scoreConversation(connection);
+  if (score === null) return null;
+  await db.query(
+    `INSERT INTO compatibility_signals (user1_id, user2_id, conversation_compatibility)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (user1_id, user2_id) DO UPDATE SET conversation_compatibility = EXCLUDED.conversation_compatibility`,
+    [...orderedPair(connection.user1_id, connection.user2_id), score]
+  );
+  return score;
+}
+
+module.exports = {
+  EXPLORATION_RATE,
+  tokenize,
+  textSimilarity,
+  complementarity,
+  scoreImperfections,
+  scoreConversation,
+  rankScore,
+  pickCandidate,
+  recordImperfectionSignal,
+  recordConversationSignal
+};
@@ -0,0 +1,240 @@
+// Conversations module
+// Starting, using and closing connections, shared by the HTML routes and the JSON API.
+const pool = require("./db");
+const logger = require("./logger");
+const realtime = require("./realtime");
+const notices = require("./notices");
+const compatibility = require("./compatibility");
+const { scoreConversationQuality, avatarEvolution } = require("./quality");
+const { findBlock } = require("./safety");
+const { CLOSING_NOTES } = require("./validation");
+const { advancePhotoReveal } = require("./web/photoReveal");
+
+// Sent on someone's behalf when they close a conversation with one click
+const KIND_GOODBYE_MESSAGE = CLOSING_NOTES.kind_goodbye;
+
+// Check if message is repetitive/low-effort
+function isRepetitiveMessage(messageText, previousMessages) {
+  if (previousMessages.length < 2) return false;
+  
+  const recentMessages = previousMessages.slice(-5);
+  const lowerText = messageText.toLowerCase().trim();
+  
+  const exactDupes = recentMessages.filter(msg => 
+    msg.message_text.toLowerCase().trim() === lowerText
+  );
+  
+  if (messageText.trim().length < 10) return true;
+  
+  const lowEffortPatterns = [
+    /^(hi|hey|hello|sup|yo)$/i,
+    /^(ok|okay|k|yep|yeah)$/i,
+    /^(\?|\?\!)$/
+  ];
+  
+  if (lowEffortPatterns.some(pattern => pattern.test(lowerText))) {
+    return true;
+  }
+  
+  return exactDupes.length > 0;
+}
+
+// Find or create the connection between two people.
+// Returns { id, created }, or null if the other person can't be connected with
+// (not found, not onboarded, inactive, taking a break, or either of them has blocked the other).
+async function startConnection(userId, otherUserId) {
+  if (await findBlock(userId, otherUserId)) return null;
+
+  const otherUserResult = await pool.query(
+    "SELECT 1 FROM users WHERE id = $1 AND onboarding_complete = TRUE AND active = TRUE AND availability = 'available' AND deletion_scheduled_at IS NULL",
+    [otherUserId]
+  );
+  if (otherUserResult.rows.length === 0) return null;
+
+  const existingConnection = await pool.query(
+    `SELECT * FROM connections 
+     WHERE (user1_id = $1 AND user2_id = $2) OR (user1_id = $2 AND user2_id = $1)`,
+    [userId, otherUserId]
+  );
+
+  if (existingConnection.rows.length > 0) {
+    return { id: existingConnection.rows[0].id, created: false };
+  }
+
+  const user1Id = Math.min(userId, otherUserId);
+  const user2Id = Math.max(userId, otherUserId);
+
+  const result = await pool.query(
+    "INSERT INTO connections (user1_id, user2_id, connection_state) VALUES ($1, $2, 'exploring') RETURNING id",
+    [user1Id, user2Id]
+  );
+
+  await pool.query(
+    "UPDATE profile_views SET conversation_initiated = TRUE WHERE viewer_id = $1 AND viewed_id = $2",
+    [userId, otherUserId]
+  );
+
+  logger.info(`Connection created between user ${userId} and ${otherUserId}`);
+  return { id: result.rows[0].id, created: true };
+}
+
+// Closed conversations stay readable but take no new messages, typing or photo steps:
+// a moderator archived them, or one of the two people has blocked the other
+async function isConnectionClosed(connection) {
+  if (connection.connection_state === "archived") return true;
+  // The other person has deleted their account
+  if (connection.user1_id === null || connection.user2_id === null) return true;
+  return Boolean(await findBlock(connection.user1_id, connection.user2_id));
+}
+
+// While either person is hibernating the conversation is paused: it stays open and
+// readable, but nobody can write in it until they're back
+async function isConnectionPaused(connection) {
+  const result = await pool.query(
+    "SELECT 1 FROM users WHERE id IN ($1, $2) AND availability = 'hibernating'",
+    [connection.user1_id, connection.user2_id]
+  );
+  return result.rows.length > 0;
+}
+
+// Record that userId opened or wrote in a connection. If they were the quiet side of a
+// ghosting check, they're back: the check starts over and its nudges are cleared.
+async function recordConnectionActivity(connectionId, userId) {
+  const result = await pool.query(
+    `UPDATE connections SET
+       last_activity_user1 = CASE WHEN user1_id = $2 THEN CURRENT_TIMESTAMP ELSE last_activity_user1 END,
+       last_activity_user2 = CASE WHEN user2_id = $2 THEN CURRENT_TIMESTAMP ELSE last_activity_user2 END
+     WHERE id = $1
+     RETURNING ghosting_quiet_user_id`,
+    [connectionId, userId]
+  );
+
+  if (result.rows[0]?.ghosting_quiet_user_id === userId) {
+    await pool.query(
+      `UPDATE connections SET ghosting_quiet_user_id = NULL, ghosting_stage = NULL, ghosting_stage_at = NULL
+       WHERE id = $1 AND ghosting_quiet_user_id = $2`,
+      [connectionId, userId]
+    );
+    await notices.dismissConnectionNotices(pool, userId, connectionId, ["ghosting_nudge", "ghosting_closure"]);
+  }
+}
+
+// Scores the conversation so far and, from that, moves both avatars and the photo reveal
+// along and feeds compatibility. Runs after every message, from the website or the API,
+// and when the conversation page is opened (a moderator may have removed messages since).
+// Returns the connection with its new score, factors, evolution and photo reveal state.
+async function updateConversationQuality(connectionId) {
+  const connectionResult = await pool.query("SELECT * FROM connections WHERE id = $1", [connectionId]);
+  const connection = connectionResult.rows[0];
+  if (!connection) return null;
+
+  const messagesResult = await pool.query(
+    "SELECT * FROM messages WHERE connection_id = $1 ORDER BY created_at ASC",
+    [connectionId]
+  );
+  // Removed messages don't count towards (or against) the conversation
+  const scoredMessages = messagesResult.rows.filter((msg) => !msg.removed_at);
+  const participants = [connection.user1_id, connection.user2_id];
+  const { score, factors } = scoreConversationQuality(scoredMessages, participants);
+  const evolution = avatarEvolution(score, scoredMessages, participants);
+  const photoRevealState = advancePhotoReveal(connection.photo_reveal_state, evolution);
+
+  await pool.query(
+    `UPDATE connections SET conversation_quality_score = $1, conversation_quality_factors = $2,
+       mutual_avatar_evolution = $3, photo_reveal_state = $4
+     WHERE id = $5`,
+    [score, JSON.stringify(factors), evolution, photoRevealState, connectionId]
+  );
+  await pool.query(
+    "UPDATE users SET avatar_evolution = GREATEST(avatar_evolution, $1) WHERE id IN ($2, $3)",
+    [evolution, connection.user1_id, connection.user2_id]
+  );
+
+  const updated = {
+    ...connection,
+    conversation_quality_score: score,
+    conversation_quality_factors: factors,
+    mutual_avatar_evolution: evolution,
+    photo_reveal_state: photoRevealState
+  };
+  await compatibility.recordConversationSignal(pool, { ...updated, message_count: messagesResult.rows.length });
+  return updated;
+}
+
+// Store a message from sender in a connection they belong to, and push it to
+// anyone watching the conversation. messageText must already be sanitized.
+async function sendMessage(connectionId, sender, messageText) {
+  const previousMessages = await pool.query(
+    "SELECT * FROM messages WHERE connection_id = $1 ORDER BY created_at DESC LIMIT 10",
+    [connectionId]
+  );
+
+  const isRepetitive = isRepetitiveMessage(messageText, previousMessages.rows);
+
+  const insertResult = await pool.query(
+    "INSERT INTO messages (connection_id, sender_id, message_text, message_length, is_repetitive) VALUES ($1, $2, $3, $4, $5) RETURNING id, created_at",
+    [connectionId, sender.id, messageText, messageText.length, isRepetitive]
+  );
+
+  await pool.query(
+    "UPDATE connections SET message_count = message_count + 1, last_message_at = CURRENT_TIMESTAMP WHERE id = $1",
+    [connectionId]
+  );
+
+  await pool.query(
+    "UPDATE connections SET connection_state = 'connected' WHERE id = $1 AND connection_state = 'exploring'",
+    [connectionId]
+  );
+
+  await recordConnectionActivity(connectionId, sender.id);
+  await updateConversationQuality(connectionId);
+
+  const message = {
+    id: insertResult.rows[0].id,
+    sender_id: sender.id,
+    sender_name: sender.name,
+    sender_gender: sender.gender,
+    message_text: messageText,
+    created_at: insertResult.rows[0].created_at
+  };
+  realtime.publish(connectionId, "message", message);
+
+  logger.info(`Message sent by user ${sender.id} in connection ${connectionId}`);
+  return message;
+}
+
+// Ends a connection with a closing note (already sanitized) sent from user.
+// The connection is archived: read-only for both, photos hidden, and neither is
+// suggested to the other again. Returns false if it had already ended.
+async function endConnection(connection, user, closingNote) {
+  const result = await pool.query(
+    `UPDATE connections
+     SET connection_state = 'archived', archived_at = CURRENT_TIMESTAMP, archived_reason = 'closed_kindly', archived_by = $2,
+         ghosting_quiet_user_id = NULL, ghosting_stage = NULL, ghosting_stage_at = NULL
+     WHERE id = $1 AND connection_state != 'archived'`,
+    [connection.id, user.id]
+  );
+  if (result.rowCount === 0) return false;
+
+  await sendMessage(connection.id, user, closingNote);
+
+  const otherUserId = connection.user1_id === user.id ? connection.user2_id : connection.user1_id;
+  await notices.dismissConnectionNotices(pool, user.id, connection.id);
+  await notices.createNotice(pool, otherUserId, "closed_kindly", connection.id);
+  realtime.publish(connection.id, "closed", {});
+
+  logger.info(`User ${user.id} ended connection ${connection.id}`);
+  return true;
+}
+
+module.exports = {
+  KIND_GOODBYE_MESSAGE,
+  isRepetitiveMessage,
+  startConnection,
+  isConnectionClosed,
+  isConnectionPaused,
+  recordConnectionActivity,
+  updateConversationQuality,
+  sendMessage,
+  endConnection
+};
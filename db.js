@@ -1,75 +1,116 @@
 // Database connection module
-const { Pool } = require('pg');
+// Exports a stand-in for a pg Pool (query, connect, end). The real pool is only
+// created on first use, and createApp({ pool }) or tests can swap in their own
+// with setPool, so requiring this module never connects anywhere by itself.
+const { Pool, types } = require('pg');
 require('dotenv').config();
 
-// Railway auto-injects these when PostgreSQL is linked
-let poolConfig;
-
-if (process.env.PGHOST) {
-  // Using Railway's auto-injected PostgreSQL environment variables
-  poolConfig = {
-    host: process.env.PGHOST,
-    port: parseInt(process.env.PGPORT || '5432', 10),
-    database: process.env.PGDATABASE,
-    user: process.env.PGUSER,
-    password: process.env.PGPASSWORD,
-    max: 20,
-    idleTimeoutMillis: 30000,
-    connectionTimeoutMillis: 5000,
-  };
-  
-  // Add SSL for production
-  if (process.env.NODE_ENV === 'production') {
-    poolConfig.ssl = { rejectUnauthorized: false };
-  }
-} else if (process.env.DATABASE_URL && !process.env.DATABASE_URL.includes('<')) {
-  // Use DATABASE_URL if it's set and not a placeholder
-  poolConfig = {
-    connectionString: process.env.DATABASE_URL,
-    max: 20,
-    idleTimeoutMillis: 30000,
-    connectionTimeoutMillis: 5000,
-  };
-  
-  if (process.env.NODE_ENV === 'production') {
-    poolConfig.ssl = { rejectUnauthorized: false };
+function poolConfigFromEnv() {
+  let poolConfig;
+
+  // Railway auto-injects these when PostgreSQL is linked
+  if (process.env.PGHOST) {
+    // Using Railway's auto-injected PostgreSQL environment variables
+    poolConfig = {
+      host: process.env.PGHOST,
+      port: parseInt(process.env.PGPORT || '5432', 10),
+      database: process.env.PGDATABASE,
+      user: process.env.PGUSER,
+      password: process.env.PGPASSWORD,
+      max: 20,
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 5000,
+    };
+
+    // Add SSL for production
+    if (process.env.NODE_ENV === 'production') {
+      poolConfig.ssl = { rejectUnauthorized: false };
+    }
+  } else if (process.env.DATABASE_URL && !process.env.DATABASE_URL.includes('<')) {
+    // Use DATABASE_URL if it's set and not a placeholder
+    poolConfig = {
+      connectionString: process.env.DATABASE_URL,
+      max: 20,
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 5000,
+    };
+
+    if (process.env.NODE_ENV === 'production') {
+      poolConfig.ssl = { rejectUnauthorized: false };
+    }
+  } else {
+    // Fallback for local development
+    poolConfig = {
+      host: process.env.DB_HOST || 'localhost',
+      port: parseInt(process.env.DB_PORT || '5433', 10),
+      database: process.env.DB_NAME || 'dating_poc',
+      user: process.env.DB_USER || 'postgres',
+      password: process.env.DB_PASSWORD,
+      max: 20,
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 5000,
+    };
   }
-} else {
-  // Fallback for local development
-  poolConfig = {
-    host: process.env.DB_HOST || 'localhost',
-    port: parseInt(process.env.DB_PORT || '5433', 10),
-    database: process.env.DB_NAME || 'dating_poc',
-    user: process.env.DB_USER || 'postgres',
-    password: process.env.DB_PASSWORD,
-    max: 20,
-    idleTimeoutMillis: 30000,
-    connectionTimeoutMillis: 5000,
-  };
+
+  // TIMESTAMP columns hold UTC wall-clock times whatever the server's default zone is,
+  // so CURRENT_TIMESTAMP and the times Node reads back (see the parser below) agree
+  poolConfig.options = '-c TimeZone=UTC';
+
+  return poolConfig;
 }
 
-const pool = new Pool(poolConfig);
+// pg reads TIMESTAMP (without time zone) in Node's local zone; every session is UTC,
+// so read them as UTC too, or a server running with TZ set would be hours out
+types.setTypeParser(types.builtins.TIMESTAMP, (value) => new Date(`${value.replace(' ', 'T')}Z`));
 
-// Logging for pool events
-pool.on('connect', () => {
-  console.log('[DB] Connected to PostgreSQL database');
-});
+function createPool() {
+  const pool = new Pool(poolConfigFromEnv());
 
-pool.on('error', (err) => {
-  console.error('[DB] Unexpected error on idle client', err);
-  // Don't exit - let the application continue
-  // but log the error for monitoring
-});
+  // Logging for pool events
+  pool.on('connect', () => {
+    console.log('[DB] Connected to PostgreSQL database');
+  });
 
-pool.on('remove', () => {
-  console.log('[DB] Client removed from pool');
-});
+  pool.on('error', (err) => {
+    console.error('[DB] Unexpected error on idle client', err);
+    // Don't exit - let the application continue
+    // but log the error for monitoring
+  });
+
+  pool.on('remove', () => {
+    console.log('[DB] Client removed from pool');
+  });
+
+  return pool;
+}
+
+let currentPool = null;
+
+function getPool() {
+  if (!currentPool) {
+    currentPool = createPool();
+  }
+  return currentPool;
+}
+
+// Use this pool (or anything with the same query/connect/end methods) from now on
+function setPool(pool) {
+  currentPool = pool;
+}
 
 // Error handler for query errors
 process.on('unhandledRejection', (reason) => {
   console.error('[DB] Unhandled Rejection:', reason);
 });
 
-module.exports = pool;
+module.exports = {
+  query: (...args) => getPool().query(...args),
+  connect: () => getPool().connect(),
+  // Nothing to close if the pool was never used
+  end: () => (currentPool ? currentPool.end() : Promise.resolve()),
+  getPool,
+  setPool,
+  poolConfigFromEnv
+};
 
 
@@ -0,0 +1,124 @@
+// Discovery module
+// Chooses who to suggest next and stores who someone would like to meet.
+const pool = require("./db");
+const logger = require("./logger");
+const compatibility = require("./compatibility");
+
+// How many unviewed people are scored each time we pick a suggestion
+const CANDIDATE_POOL_SIZE = 50;
+// How long "Not now" hides someone, unless they update their answers sooner
+const SKIP_COOLDOWN_DAYS = parseInt(process.env.SKIP_COOLDOWN_DAYS || "30", 10);
+
+async function getNextProfileToView(viewerId) {
+  try {
+    const viewerResult = await pool.query("SELECT * FROM users WHERE id = $1", [viewerId]);
+    const viewer = viewerResult.rows[0];
+    // Without a gender_category we can't tell whose preferences include the viewer
+    if (!viewer || !viewer.gender_category) return null;
+    // Nobody is suggested to people taking a break, as they aren't suggested to anyone
+    if (viewer.availability !== "available") return null;
+    
+    // Sample candidates at random, then rank the sample by compatibility
+    const result = await pool.query(
+      `WITH sample AS (
+         SELECT u.*
+         FROM users u
+         WHERE u.id != $1 
+         AND u.onboarding_complete = TRUE
+         AND u.active = TRUE
+         AND u.availability = 'available'
+         AND u.deletion_scheduled_at IS NULL
+         -- Unconfirmed emails are often throwaway or fake accounts
+         AND u.email_verified = TRUE
+         -- Two-way preferences: each person fits who the other wants to meet
+         AND u.gender_category = ANY($3::text[])
+         AND $4 = ANY(u.interested_in)
+         AND u.age BETWEEN $5 AND $6
+         AND $7 BETWEEN u.preferred_age_min AND u.preferred_age_max
+         -- ...and wants something that fits: the same thing, or one of them is open to
+         -- seeing where it goes. Accounts from before intent was asked fit anyone.
+         AND ($9::text IS NULL OR u.intent IS NULL OR u.intent = $9 OR 'open' IN (u.intent, $9))
+         -- Viewed profiles stay hidden, unless the viewer skipped them (skips resurface below)
+         AND NOT EXISTS (
+           SELECT 1 FROM profile_views pv 
+           WHERE pv.viewer_id = $1 AND pv.viewed_id = u.id
+           AND NOT EXISTS (SELECT 1 FROM profile_skips ps WHERE ps.skipper_id = $1 AND ps.skipped_id = u.id)
+         )
+         AND NOT EXISTS (
+           SELECT 1 FROM profile_skips ps
+           WHERE ps.skipper_id = $1 AND ps.skipped_id = u.id
+           AND ps.skipped_at > CURRENT_TIMESTAMP - make_interval(days => $8)
+           AND (u.answers_updated_at IS NULL OR u.answers_updated_at <= ps.skipped_at)
+         )
+         AND NOT EXISTS (
+           SELECT 1 FROM connections c
+           WHERE (c.user1_id = $1 AND c.user2_id = u.id) OR (c.user1_id = u.id AND c.user2_id = $1)
+         )
+         -- Blocks hide both people from each other
+         AND NOT EXISTS (
+           SELECT 1 FROM user_blocks b
+           WHERE (b.blocker_id = $1 AND b.blocked_id = u.id) OR (b.blocker_id = u.id AND b.blocked_id = $1)
+         )
+         ORDER BY RANDOM()
+         LIMIT $2
+       )
+       SELECT sample.*,
+        cs.imperfection_compatibility,
+        (SELECT AVG(s.conversation_compatibility) FROM compatibility_signals s
+         WHERE (s.user1_id = sample.id OR s.user2_id = sample.id) AND s.conversation_compatibility IS NOT NULL) AS conversation_reputation,
+        (SELECT COUNT(*) FROM profile_views v WHERE v.viewed_id = sample.id) AS times_viewed
+       FROM sample
+       LEFT JOIN compatibility_signals cs
+         ON cs.user1_id = LEAST($1, sample.id) AND cs.user2_id = GREATEST($1, sample.id)`,
+      [
+        viewerId,
+        CANDIDATE_POOL_SIZE,
+        viewer.interested_in,
+        viewer.gender_category,
+        viewer.preferred_age_min,
+        viewer.preferred_age_max,
+        viewer.age,
+        SKIP_COOLDOWN_DAYS,
+        viewer.intent
+      ]
+    );
+    
+    // Score anyone we haven't compared the viewer with yet
+    for (const candidate of result.rows) {
+      if (candidate.imperfection_compatibility === null) {
+        candidate.imperfection_compatibility = await compatibility.recordImperfectionSignal(pool, viewer, candidate);
+      }
+    }
+    
+    return compatibility.pickCandidate(result.rows);
+  } catch (error) {
+    logger.error("Error getting next profile", error);
+    return null;
+  }
+}
+
+async function saveDiscoveryPreferences(userId, values, completeOnboarding) {
+  await pool.query(
+    `UPDATE users
+     SET gender_category = $1, interested_in = $2, preferred_age_min = $3, preferred_age_max = $4, intent = $5,
+         onboarding_complete = onboarding_complete OR $6
+     WHERE id = $7`,
+    [values.genderCategory, values.interestedIn, values.ageMin, values.ageMax, values.intent, completeOnboarding, userId]
+  );
+}
+
+// "Not now": hides someone for SKIP_COOLDOWN_DAYS (skipping again restarts the cooldown)
+async function recordSkip(skipperId, skippedId) {
+  await pool.query(
+    `INSERT INTO profile_skips (skipper_id, skipped_id) VALUES ($1, $2)
+     ON CONFLICT (skipper_id, skipped_id) DO UPDATE SET skipped_at = CURRENT_TIMESTAMP`,
+    [skipperId, skippedId]
+  );
+}
+
+module.exports = {
+  SKIP_COOLDOWN_DAYS,
+  getNextProfileToView,
+  saveDiscoveryPreferences,
+  recordSkip
+};
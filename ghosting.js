@@ -0,0 +1,159 @@
+// Ghosting detection (gentle)
+// Finds conversations where one person is waiting for a reply and the other has gone
+// quiet, then takes one small step at a time: a nudge, then an offer to close the
+// conversation with a kind goodbye, and finally archiving it with a gentle note to both.
+// Opening or writing in the conversation (recordConnectionActivity) starts the check over.
+const pool = require("./db");
+const logger = require("./logger");
+const notices = require("./notices");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days since the quiet person last opened or wrote in the conversation
+const GHOSTING_NUDGE_DAYS = parseInt(process.env.GHOSTING_NUDGE_DAYS || "5", 10);
+const GHOSTING_CLOSURE_DAYS = parseInt(process.env.GHOSTING_CLOSURE_DAYS || "10", 10);
+const GHOSTING_ARCHIVE_DAYS = parseInt(process.env.GHOSTING_ARCHIVE_DAYS || "21", 10);
+const GHOSTING_CHECK_MINUTES = parseInt(process.env.GHOSTING_CHECK_MINUTES || "60", 10);
+
+const STAGES = [
+  { stage: "nudged", days: GHOSTING_NUDGE_DAYS },
+  { stage: "closure_offered", days: GHOSTING_CLOSURE_DAYS },
+  { stage: "archived", days: GHOSTING_ARCHIVE_DAYS }
+];
+
+// The next step for a connection, or null if nothing is due.
+// connection needs last_sender_id (who sent the latest message) besides its own columns.
+// Steps are never skipped: someone who has been quiet for a month when the check first
+// sees them is nudged first, and each later step waits out the gap between thresholds.
+function nextGhostingStep(connection, now = new Date()) {
+  const waitingUserId = connection.last_sender_id;
+  const quietUserId = waitingUserId === connection.user1_id ? connection.user2_id : connection.user1_id;
+  const quietActivity = quietUserId === connection.user1_id
+    ? connection.last_activity_user1
+    : connection.last_activity_user2;
+  const quietSince = Math.max(
+    new Date(connection.last_message_at).getTime(),
+    quietActivity ? new Date(quietActivity).getTime() : 0
+  );
+
+  const currentIndex = connection.ghosting_quiet_user_id === quietUserId
+    ? STAGES.findIndex((s) => s.stage === connection.ghosting_stage)
+    : -1;
+  const next = STAGES[currentIndex + 1];
+  if (!next) return null;
+
+  if (now.getTime() - quietSince < next.days * DAY_MS) return null;
+  if (currentIndex >= 0) {
+    const gap = next.days - STAGES[currentIndex].days;
+    if (now.getTime() - new Date(connection.ghosting_stage_at).getTime() < gap * DAY_MS) return null;
+  }
+
+  return {
+    stage: next.stage,
+    previousStage: currentIndex >= 0 ? STAGES[currentIndex].stage : null,
+    quietUserId,
+    waitingUserId
+  };
+}
+
+async function applyGhostingStep(connection, step) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    // Only move on from the stage we looked at, in case someone was active in the meantime
+    const guard = `id = $1 AND ghosting_stage IS NOT DISTINCT FROM $2 AND connection_state != 'archived'`;
+    let result;
+    if (step.stage === "archived") {
+      result = await client.query(
+        `UPDATE connections
+         SET connection_state = 'archived', archived_at = CURRENT_TIMESTAMP, archived_reason = 'went_quiet',
+             ghosting_quiet_user_id = NULL, ghosting_stage = NULL, ghosting_stage_at = NULL
+         WHERE ${guard}`,
+        [connection.id, step.previousStage]
+      );
+    } else {
+      result = await client.query(
+        `UPDATE connections
+         SET ghosting_quiet_user_id = $3, ghosting_stage = $4, ghosting_stage_at = CURRENT_TIMESTAMP
+         WHERE ${guard}`,
+        [connection.id, step.previousStage, step.quietUserId, step.stage]
+      );
+    }
+
+    if (result.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return false;
+    }
+
+    await notices.dismissConnectionNotices(client, step.quietUserId, connection.id, ["ghosting_nudge", "ghosting_closure"]);
+    if (step.stage === "nudged") {
+      await notices.createNotice(client, step.quietUserId, "ghosting_nudge", connection.id);
+    } else if (step.stage === "closure_offered") {
+      await notices.createNotice(client, step.quietUserId, "ghosting_closure", connection.id);
+    } else {
+      await notices.createNotice(client, step.waitingUserId, "went_quiet_archived", connection.id);
+      await notices.createNotice(client, step.quietUserId, "went_quiet_archived", connection.id);
+    }
+
+    await client.query("COMMIT");
+    return true;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// One pass over open conversations. Returns how many steps were taken.
+async function runGhostingCheck(now = new Date()) {
+  const result = await pool.query(
+    `SELECT c.*, last_message.sender_id as last_sender_id
+     FROM connections c
+     JOIN LATERAL (
+       SELECT m.sender_id FROM messages m
+       WHERE m.connection_id = c.id
+       ORDER BY m.created_at DESC
+       LIMIT 1
+     ) last_message ON TRUE
+     -- Hibernating pauses the conversation, so nobody is going quiet in it
+     JOIN users u1 ON u1.id = c.user1_id AND u1.active = TRUE AND u1.availability != 'hibernating'
+     JOIN users u2 ON u2.id = c.user2_id AND u2.active = TRUE AND u2.availability != 'hibernating'
+     WHERE c.connection_state IN ('exploring', 'connected')
+     AND c.last_message_at < $1::timestamptz - make_interval(days => $2)
+     AND NOT EXISTS (
+       SELECT 1 FROM user_blocks b
+       WHERE (b.blocker_id = c.user1_id AND b.blocked_id = c.user2_id)
+       OR (b.blocker_id = c.user2_id AND b.blocked_id = c.user1_id)
+     )`,
+    [now, GHOSTING_NUDGE_DAYS]
+  );
+
+  let steps = 0;
+  for (const connection of result.rows) {
+    const step = nextGhostingStep(connection, now);
+    if (step && await applyGhostingStep(connection, step)) {
+      steps++;
+      logger.info(`Ghosting check: connection ${connection.id} -> ${step.stage} (quiet: user ${step.quietUserId})`);
+    }
+  }
+  return steps;
+}
+
+// Runs the check shortly after startup and then every GHOSTING_CHECK_MINUTES
+function startGhostingDetector() {
+  const run = () => runGhostingCheck().catch((error) => logger.error("Ghosting check failed", error));
+  setTimeout(run, 10 * 1000).unref();
+  setInterval(run, GHOSTING_CHECK_MINUTES * 60 * 1000).unref();
+}
+
+module.exports = {
+  GHOSTING_NUDGE_DAYS,
+  GHOSTING_CLOSURE_DAYS,
+  GHOSTING_ARCHIVE_DAYS,
+  GHOSTING_CHECK_MINUTES,
+  nextGhostingStep,
+  runGhostingCheck,
+  startGhostingDetector
+};
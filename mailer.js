@@ -0,0 +1,110 @@
+// Outgoing email
+// One mailer for the whole app, chosen with MAIL_TRANSPORT:
+// - smtp: a real mail server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD)
+// - file: every message is written as an .eml file to MAIL_DIR (default: mail/), for local development
+// - console: every message is printed to the log
+// Without MAIL_TRANSPORT it's smtp when SMTP_HOST is set, otherwise console.
+// In production only smtp is allowed: the other two keep reset and verification links,
+// which sign people in, on the server where anyone reading the logs could use them.
+// createApp({ mailer }) or tests can swap in anything with send({ to, subject, text }).
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const logger = require("./logger");
+
+const MAIL_FROM = process.env.MAIL_FROM || "Connect <no-reply@localhost>";
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, "mail");
+
+function mailTransportFromEnv() {
+  return process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "console");
+}
+
+function smtpMailer() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || "587", 10),
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+  });
+  return {
+    send: (message) => transporter.sendMail({ from: MAIL_FROM, ...message })
+  };
+}
+
+// Builds the complete message, headers and all, so it can be opened in a mail client
+function fileMailer(dir = MAIL_DIR) {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  return {
+    async send(message) {
+      const info = await transporter.sendMail({ from: MAIL_FROM, ...message });
+      fs.mkdirSync(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.@-]/g, "")}.eml`);
+      fs.writeFileSync(file, info.message);
+      logger.info(`Email to ${message.to} written to ${file}`);
+      return info;
+    }
+  };
+}
+
+function consoleMailer() {
+  return {
+    async send(message) {
+      logger.info(`Email to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  };
+}
+
+const TRANSPORTS = {
+  smtp: smtpMailer,
+  file: fileMailer,
+  console: consoleMailer
+};
+
+function createMailer(transport = mailTransportFromEnv()) {
+  if (!TRANSPORTS[transport]) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${transport}": use ${Object.keys(TRANSPORTS).join(", ")}`);
+  }
+  if (process.env.NODE_ENV === "production" && transport !== "smtp") {
+    throw new Error(`MAIL_TRANSPORT "${transport}" doesn't send email: set SMTP_HOST (and MAIL_TRANSPORT=smtp if it's set) in production`);
+  }
+  return TRANSPORTS[transport]();
+}
+
+let currentMailer = null;
+
+function getMailer() {
+  if (!currentMailer) {
+    currentMailer = createMailer();
+  }
+  return currentMailer;
+}
+
+// Use this mailer from now on
+function setMailer(mailer) {
+  currentMailer = mailer;
+}
+
+// message: { to, subject, text }
+function sendMail(message) {
+  return getMailer().send(message);
+}
+
+// Where links in emails point. Production requires APP_URL (see app.js): a link built
+// from a forged Host header would hand someone else a working reset token.
+function appUrl(req) {
+  if (!process.env.APP_URL && process.env.NODE_ENV === "production") {
+    throw new Error("APP_URL must be set in production");
+  }
+  return (process.env.APP_URL || `${req.protocol}://${req.get("host")}`).replace(/\/+$/, "");
+}
+
+module.exports = {
+  MAIL_FROM,
+  MAIL_DIR,
+  mailTransportFromEnv,
+  createMailer,
+  getMailer,
+  setMailer,
+  sendMail,
+  appUrl
+};
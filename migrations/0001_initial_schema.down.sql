@@ -0,0 +1,12 @@
+-- Drops everything the baseline created. All data is lost.
+DROP TABLE IF EXISTS notices CASCADE;
+DROP TABLE IF EXISTS moderation_actions CASCADE;
+DROP TABLE IF EXISTS reports CASCADE;
+DROP TABLE IF EXISTS user_blocks CASCADE;
+DROP TABLE IF EXISTS api_tokens CASCADE;
+DROP TABLE IF EXISTS profile_skips CASCADE;
+DROP TABLE IF EXISTS compatibility_signals CASCADE;
+DROP TABLE IF EXISTS profile_views CASCADE;
+DROP TABLE IF EXISTS messages CASCADE;
+DROP TABLE IF EXISTS connections CASCADE;
+DROP TABLE IF EXISTS users CASCADE;
@@ -0,0 +1,234 @@
+-- PostgreSQL Schema for Intentional Dating App
+-- Philosophy: Slow, honest, personality-first connections
+--
+-- Baseline migration: the schema as it was when migrations were introduced.
+-- Every statement is idempotent, so databases set up from the old schema.sql
+-- can run it too and simply get it recorded as applied.
+
+-- Users table: Core profile with onboarding data
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    name VARCHAR(255),
+    age INTEGER,
+    gender VARCHAR(100), -- Inclusive but simple
+    imperfection_1 TEXT, -- "When I'm stressed or overwhelmed, I usually..."
+    imperfection_2 TEXT, -- "People close to me sometimes wish I was better at..."
+    -- Onboarding completion
+    onboarding_complete BOOLEAN DEFAULT FALSE,
+    -- Avatar state (0.0 to 1.0, starts at 0.0 - neutral)
+    avatar_evolution DECIMAL(3,2) DEFAULT 0.00,
+    -- Photo system
+    photo_path TEXT, -- Original photo (stored securely)
+    photo_reveal_level INTEGER DEFAULT 0, -- 0=none, 1=blur, 2=partial, 3=full
+    -- User state
+    active BOOLEAN DEFAULT TRUE,
+    last_active TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Constraints
+    CHECK (age IS NULL OR age >= 18),
+    CHECK (avatar_evolution >= 0.0 AND avatar_evolution <= 1.0),
+    CHECK (photo_reveal_level >= 0 AND photo_reveal_level <= 3)
+);
+
+-- Connections table (replaces "matches" - more intentional naming)
+-- Connections form naturally through conversation
+CREATE TABLE IF NOT EXISTS connections (
+    id SERIAL PRIMARY KEY,
+    user1_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    user2_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    -- Connection state
+    connection_state VARCHAR(50) DEFAULT 'exploring', -- exploring, connected, archived
+    -- Conversation quality metrics
+    conversation_quality_score DECIMAL(4,2) DEFAULT 0.00, -- Based on message depth, balance, openness
+    message_count INTEGER DEFAULT 0,
+    -- Avatar evolution for this connection (mutual)
+    mutual_avatar_evolution DECIMAL(3,2) DEFAULT 0.00,
+    -- Photo reveal state (requires mutual consent)
+    photo_reveal_state VARCHAR(50) DEFAULT 'none', -- none, requested_by_1, requested_by_2, mutual_consent_1, mutual_consent_2, revealed
+    -- Timestamps
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_message_at TIMESTAMP,
+    -- Ghosting detection (gentle)
+    last_activity_user1 TIMESTAMP,
+    last_activity_user2 TIMESTAMP,
+    UNIQUE(user1_id, user2_id),
+    CHECK (user1_id < user2_id) -- Ensure consistent ordering
+);
+
+-- Messages table: Tracks conversation depth and quality
+CREATE TABLE IF NOT EXISTS messages (
+    id SERIAL PRIMARY KEY,
+    connection_id INTEGER NOT NULL REFERENCES connections(id) ON DELETE CASCADE,
+    sender_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    message_text TEXT NOT NULL,
+    -- Message quality metrics
+    message_length INTEGER NOT NULL, -- Character count
+    is_repetitive BOOLEAN DEFAULT FALSE, -- Detected repetitive/low-effort
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Profile views table: Track one-at-a-time browsing
+-- Used for suggesting profiles based on compatibility
+CREATE TABLE IF NOT EXISTS profile_views (
+    id SERIAL PRIMARY KEY,
+    viewer_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    viewed_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    viewed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Whether conversation was initiated
+    conversation_initiated BOOLEAN DEFAULT FALSE,
+    UNIQUE(viewer_id, viewed_id),
+    CHECK (viewer_id != viewed_id)
+);
+
+-- Compatibility signals: Based on imperfection patterns and conversation
+-- This helps suggest who to view next (not forced matching)
+CREATE TABLE IF NOT EXISTS compatibility_signals (
+    id SERIAL PRIMARY KEY,
+    user1_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    user2_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    -- Compatibility factors (for suggestion algorithm)
+    imperfection_compatibility DECIMAL(3,2), -- Similarity/diversity score
+    conversation_compatibility DECIMAL(3,2), -- If they have a connection
+    suggested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user1_id, user2_id),
+    CHECK (user1_id < user2_id)
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_users_active ON users(active, onboarding_complete);
+CREATE INDEX IF NOT EXISTS idx_connections_user1 ON connections(user1_id);
+CREATE INDEX IF NOT EXISTS idx_connections_user2 ON connections(user2_id);
+CREATE INDEX IF NOT EXISTS idx_connections_state ON connections(connection_state);
+CREATE INDEX IF NOT EXISTS idx_messages_connection ON messages(connection_id);
+CREATE INDEX IF NOT EXISTS idx_messages_sender ON messages(sender_id);
+CREATE INDEX IF NOT EXISTS idx_profile_views_viewer ON profile_views(viewer_id);
+CREATE INDEX IF NOT EXISTS idx_profile_views_viewed ON profile_views(viewed_id);
+CREATE INDEX IF NOT EXISTS idx_compatibility_user1 ON compatibility_signals(user1_id);
+CREATE INDEX IF NOT EXISTS idx_compatibility_user2 ON compatibility_signals(user2_id);
+
+-- Discovery preferences: who someone wants to meet (matching is two-way)
+-- gender stays free text, gender_category is the group used for matching
+ALTER TABLE users ADD COLUMN IF NOT EXISTS gender_category VARCHAR(20)
+    CHECK (gender_category IN ('woman', 'man', 'nonbinary'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS interested_in TEXT[] NOT NULL DEFAULT ARRAY['woman', 'man', 'nonbinary'];
+ALTER TABLE users ADD COLUMN IF NOT EXISTS preferred_age_min INTEGER NOT NULL DEFAULT 18;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS preferred_age_max INTEGER NOT NULL DEFAULT 120;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS intent VARCHAR(50); -- long_term, open, friendship_first
+
+-- Backfill gender_category where the free-text answer is unambiguous
+UPDATE users SET gender_category = CASE
+        WHEN lower(gender) ~ '\m(woman|female|girl|lady)\M' THEN 'woman'
+        WHEN lower(gender) ~ '\m(man|male|guy)\M' THEN 'man'
+        WHEN lower(gender) ~ '(non-binary|nonbinary|enby|genderqueer|genderfluid|agender)' THEN 'nonbinary'
+    END
+WHERE gender_category IS NULL AND gender IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_users_gender_category ON users(gender_category);
+
+-- Profile skips ("Not now"): kept apart from profile_views
+-- A skip hides someone for a cooldown period, or until they update their answers
+CREATE TABLE IF NOT EXISTS profile_skips (
+    id SERIAL PRIMARY KEY,
+    skipper_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    skipped_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    skipped_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(skipper_id, skipped_id),
+    CHECK (skipper_id != skipped_id)
+);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS answers_updated_at TIMESTAMP; -- Last change to imperfection answers
+
+CREATE INDEX IF NOT EXISTS idx_profile_skips_skipper ON profile_skips(skipper_id, skipped_at);
+
+-- API tokens for mobile clients (/api/v1)
+-- Only a SHA-256 hash of each token is stored
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id);
+
+-- Blocks: hide two people from each other and close any conversation between them
+CREATE TABLE IF NOT EXISTS user_blocks (
+    id SERIAL PRIMARY KEY,
+    blocker_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    blocked_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(blocker_id, blocked_id),
+    CHECK (blocker_id != blocked_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked ON user_blocks(blocked_id);
+
+-- Reports for moderators, with a copy of the recent messages at the time of reporting
+CREATE TABLE IF NOT EXISTS reports (
+    id SERIAL PRIMARY KEY,
+    reporter_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    reported_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    connection_id INTEGER REFERENCES connections(id) ON DELETE SET NULL,
+    category VARCHAR(50) NOT NULL,
+    details TEXT,
+    message_snapshot JSONB NOT NULL DEFAULT '[]',
+    status VARCHAR(20) DEFAULT 'open', -- open, reviewed
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (reporter_id != reported_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_reports_reported ON reports(reported_id);
+
+-- Moderation
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) DEFAULT 'member'; -- member, moderator, admin
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS removed_at TIMESTAMP; -- Set when a moderator removes a message
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP;
+
+-- Audit trail: every moderator action, who took it and why
+CREATE TABLE IF NOT EXISTS moderation_actions (
+    id SERIAL PRIMARY KEY,
+    moderator_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    action VARCHAR(50) NOT NULL, -- deactivate_user, reactivate_user, archive_connection, remove_message, resolve_report
+    target_type VARCHAR(20) NOT NULL, -- user, connection, message, report
+    target_id INTEGER NOT NULL,
+    report_id INTEGER REFERENCES reports(id) ON DELETE SET NULL,
+    reason TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_actions_target ON moderation_actions(target_type, target_id);
+CREATE INDEX IF NOT EXISTS idx_moderation_actions_created ON moderation_actions(created_at);
+
+-- Ghosting detection (gentle): how far along the quiet side of a connection is
+-- Stages: nudged, closure_offered (then the connection is archived)
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS ghosting_quiet_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS ghosting_stage VARCHAR(20);
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS ghosting_stage_at TIMESTAMP;
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS archived_reason VARCHAR(20); -- moderator, went_quiet, closed_kindly
+
+-- In-app notices (nudges and gentle updates), shown on the home page until dismissed
+CREATE TABLE IF NOT EXISTS notices (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    connection_id INTEGER REFERENCES connections(id) ON DELETE CASCADE,
+    kind VARCHAR(50) NOT NULL, -- ghosting_nudge, ghosting_closure, went_quiet_archived, closed_kindly
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    dismissed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notices_user ON notices(user_id, dismissed_at);
+
+-- Who ended a connection (set when someone ends it with a closing note)
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS archived_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- Per-factor breakdown behind conversation_quality_score (see quality.js)
+-- e.g. {"depth": 0.62, "balance": 0.8, "questions": 0.7, "responsiveness": 0.55, "trajectory": 0.66}
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS conversation_quality_factors JSONB;
@@ -0,0 +1,2 @@
+ALTER TABLE moderation_actions DROP COLUMN IF EXISTS via;
+ALTER TABLE users DROP COLUMN IF EXISTS is_test_data;
@@ -0,0 +1,5 @@
+-- Accounts created by "connect-admin seed", removed by "connect-admin purge-test-data"
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_test_data BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Where a moderation action was taken: console (the /admin pages) or cli (connect-admin)
+ALTER TABLE moderation_actions ADD COLUMN IF NOT EXISTS via VARCHAR(20) NOT NULL DEFAULT 'console';
@@ -0,0 +1,2 @@
+ALTER TABLE users DROP COLUMN IF EXISTS session_generation;
+DROP TABLE IF EXISTS password_reset_tokens CASCADE;
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS imperfection_answer_history CASCADE;
+ALTER TABLE users DROP COLUMN IF EXISTS imperfections_version;
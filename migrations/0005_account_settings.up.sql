@@ -0,0 +1,13 @@
+-- Imperfection answers are versioned: users.imperfections_version is the version of the
+-- current answers (1 = from onboarding), and each edit keeps the answers it replaced here.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS imperfections_version INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE IF NOT EXISTS imperfection_answer_history (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    imperfection_1 TEXT,
+    imperfection_2 TEXT,
+    replaced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, version)
+);
@@ -0,0 +1,25 @@
+-- History with former members can't be kept under the old constraints
+DELETE FROM reports WHERE reporter_id IS NULL OR reported_id IS NULL;
+DELETE FROM connections WHERE user1_id IS NULL OR user2_id IS NULL;
+DELETE FROM messages WHERE sender_id IS NULL;
+
+ALTER TABLE reports DROP CONSTRAINT IF EXISTS reports_reporter_id_fkey;
+ALTER TABLE reports DROP CONSTRAINT IF EXISTS reports_reported_id_fkey;
+ALTER TABLE reports ADD CONSTRAINT reports_reporter_id_fkey FOREIGN KEY (reporter_id) REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE reports ADD CONSTRAINT reports_reported_id_fkey FOREIGN KEY (reported_id) REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE reports ALTER COLUMN reporter_id SET NOT NULL;
+ALTER TABLE reports ALTER COLUMN reported_id SET NOT NULL;
+
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_sender_id_fkey;
+ALTER TABLE messages ADD CONSTRAINT messages_sender_id_fkey FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE messages ALTER COLUMN sender_id SET NOT NULL;
+
+ALTER TABLE connections DROP CONSTRAINT IF EXISTS connections_user1_id_fkey;
+ALTER TABLE connections DROP CONSTRAINT IF EXISTS connections_user2_id_fkey;
+ALTER TABLE connections ADD CONSTRAINT connections_user1_id_fkey FOREIGN KEY (user1_id) REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE connections ADD CONSTRAINT connections_user2_id_fkey FOREIGN KEY (user2_id) REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE connections ALTER COLUMN user1_id SET NOT NULL;
+ALTER TABLE connections ALTER COLUMN user2_id SET NOT NULL;
+
+DROP INDEX IF EXISTS idx_users_deletion_scheduled;
+ALTER TABLE users DROP COLUMN IF EXISTS deletion_scheduled_at;
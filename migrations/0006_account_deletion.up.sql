@@ -0,0 +1,26 @@
+-- Self-service deletion: the account is hidden straight away and deleted for good once
+-- deletion_scheduled_at has passed, unless the person signs in and keeps it.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_scheduled_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_users_deletion_scheduled ON users(deletion_scheduled_at) WHERE deletion_scheduled_at IS NOT NULL;
+
+-- Deleting an account keeps the other person's side of the history: conversations,
+-- messages and reports stay, with the deleted person's id set to NULL ("a former member").
+-- Their open conversations are archived first, with archived_reason 'account_deleted'.
+ALTER TABLE connections ALTER COLUMN user1_id DROP NOT NULL;
+ALTER TABLE connections ALTER COLUMN user2_id DROP NOT NULL;
+ALTER TABLE connections DROP CONSTRAINT IF EXISTS connections_user1_id_fkey;
+ALTER TABLE connections DROP CONSTRAINT IF EXISTS connections_user2_id_fkey;
+ALTER TABLE connections ADD CONSTRAINT connections_user1_id_fkey FOREIGN KEY (user1_id) REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE connections ADD CONSTRAINT connections_user2_id_fkey FOREIGN KEY (user2_id) REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE messages ALTER COLUMN sender_id DROP NOT NULL;
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_sender_id_fkey;
+ALTER TABLE messages ADD CONSTRAINT messages_sender_id_fkey FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE reports ALTER COLUMN reporter_id DROP NOT NULL;
+ALTER TABLE reports ALTER COLUMN reported_id DROP NOT NULL;
+ALTER TABLE reports DROP CONSTRAINT IF EXISTS reports_reporter_id_fkey;
+ALTER TABLE reports DROP CONSTRAINT IF EXISTS reports_reported_id_fkey;
+ALTER TABLE reports ADD CONSTRAINT reports_reporter_id_fkey FOREIGN KEY (reporter_id) REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE reports ADD CONSTRAINT reports_reported_id_fkey FOREIGN KEY (reported_id) REFERENCES users(id) ON DELETE SET NULL;
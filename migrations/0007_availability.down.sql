@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_users_resume_at;
+ALTER TABLE users DROP COLUMN IF EXISTS resume_at;
+ALTER TABLE users DROP COLUMN IF EXISTS break_started_at;
+ALTER TABLE users DROP COLUMN IF EXISTS availability;
@@ -0,0 +1,9 @@
+-- Taking a break, set from settings. 'paused' profiles aren't suggested to anyone;
+-- 'hibernating' also pauses their conversations until they're back. resume_at ends the
+-- break on its own. (users.active is something else: moderators use it to deactivate.)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS availability TEXT NOT NULL DEFAULT 'available'
+    CHECK (availability IN ('available', 'paused', 'hibernating'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS break_started_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS resume_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_users_resume_at ON users(resume_at) WHERE resume_at IS NOT NULL;
@@ -0,0 +1,18 @@
+-- Web sessions (express-session), so they survive deploys and are shared by every app
+-- instance. user_id, user_agent and the approximate ip_address are copied out of sess for
+-- the "Where you're signed in" page; id is what that page uses to refer to a session, so
+-- session ids never appear in HTML.
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id SERIAL PRIMARY KEY,
+    sid VARCHAR(255) UNIQUE NOT NULL,
+    sess JSONB NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    user_agent TEXT,
+    ip_address VARCHAR(64),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_expires ON user_sessions(expires_at);
@@ -0,0 +1,209 @@
+// Schema migrations
+// Numbered SQL files in migrations/: NNNN_name.up.sql, with an optional NNNN_name.down.sql.
+// Each migration runs in its own transaction and is recorded in schema_migrations with a
+// checksum of its up file, so an applied migration that was edited afterwards is caught.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const pool = require("./db");
+const logger = require("./logger");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATION_FILE = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+// Held while migrating, so two deploys can't run the same migration at once
+const MIGRATION_LOCK_ID = 4815162342;
+
+class MigrationError extends Error {}
+
+function checksum(sql) {
+  return crypto.createHash("sha256").update(sql).digest("hex");
+}
+
+// Migrations on disk, oldest first: { version, name, up, down, checksum }
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(dir)) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) continue;
+    const [, digits, name, direction] = match;
+    const version = parseInt(digits, 10);
+    const migration = byVersion.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new MigrationError(`Two migrations are numbered ${digits}: ${migration.name} and ${name}`);
+    }
+    migration[direction] = fs.readFileSync(path.join(dir, file), "utf8");
+    byVersion.set(version, migration);
+  }
+
+  return [...byVersion.values()]
+    .map((migration) => {
+      if (migration.up === undefined) {
+        throw new MigrationError(`Migration ${migration.version} (${migration.name}) has no up file`);
+      }
+      return { ...migration, down: migration.down || null, checksum: checksum(migration.up) };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version INTEGER PRIMARY KEY,
+       name VARCHAR(255) NOT NULL,
+       checksum CHAR(64) NOT NULL,
+       applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+     )`
+  );
+}
+
+// Compares the files with what the database has recorded.
+// changed: applied, but the up file no longer matches. missing: applied, but the file is gone.
+async function getMigrationStatus(db = pool) {
+  await ensureMigrationsTable(db);
+  const migrations = loadMigrations();
+  const result = await db.query("SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version");
+  const applied = new Map(result.rows.map((row) => [row.version, row]));
+  const onDisk = new Set(migrations.map((m) => m.version));
+
+  return {
+    migrations: migrations.map((m) => ({
+      version: m.version,
+      name: m.name,
+      applied_at: applied.get(m.version)?.applied_at || null,
+      changed: applied.has(m.version) && applied.get(m.version).checksum !== m.checksum
+    })),
+    pending: migrations.filter((m) => !applied.has(m.version)),
+    changed: migrations.filter((m) => applied.has(m.version) && applied.get(m.version).checksum !== m.checksum),
+    missing: result.rows.filter((row) => !onDisk.has(row.version))
+  };
+}
+
+function describe(migration) {
+  return `${String(migration.version).padStart(4, "0")}_${migration.name}`;
+}
+
+// Applied migrations that don't match the files make every later step a guess
+function assertConsistent(status) {
+  if (status.changed.length > 0) {
+    throw new MigrationError(`Applied migrations were edited afterwards: ${status.changed.map(describe).join(", ")}. Add a new migration instead.`);
+  }
+  if (status.missing.length > 0) {
+    throw new MigrationError(`Applied migrations are missing from ${MIGRATIONS_DIR}: ${status.missing.map(describe).join(", ")}`);
+  }
+}
+
+async function withMigrationLock(work) {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_ID]);
+    return await work(client);
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+async function inTransaction(client, work) {
+  await client.query("BEGIN");
+  try {
+    await work();
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  }
+}
+
+// Applies pending migrations in order, up to and including version `to` if given.
+// Returns the migrations that were applied.
+async function migrateUp({ to } = {}) {
+  return withMigrationLock(async (client) => {
+    const status = await getMigrationStatus(client);
+    assertConsistent(status);
+
+    const applied = [];
+    for (const migration of status.pending) {
+      if (to !== undefined && migration.version > to) break;
+      try {
+        await inTransaction(client, async () => {
+          await client.query(migration.up);
+          await client.query(
+            "INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)",
+            [migration.version, migration.name, migration.checksum]
+          );
+        });
+      } catch (error) {
+        throw new MigrationError(`Migration ${describe(migration)} failed: ${error.message}`);
+      }
+      logger.info(`Applied migration ${describe(migration)}`);
+      applied.push(migration);
+    }
+    return applied;
+  });
+}
+
+// Reverts the latest `steps` applied migrations, newest first. Returns the reverted migrations.
+async function migrateDown({ steps = 1 } = {}) {
+  return withMigrationLock(async (client) => {
+    const status = await getMigrationStatus(client);
+    assertConsistent(status);
+
+    const migrations = loadMigrations();
+    const toRevert = status.migrations
+      .filter((m) => m.applied_at)
+      .reverse()
+      .slice(0, steps)
+      .map((m) => migrations.find((candidate) => candidate.version === m.version));
+
+    const reverted = [];
+    for (const migration of toRevert) {
+      if (!migration.down) {
+        throw new MigrationError(`Migration ${describe(migration)} has no down file, so it can't be reverted`);
+      }
+      try {
+        await inTransaction(client, async () => {
+          await client.query(migration.down);
+          await client.query("DELETE FROM schema_migrations WHERE version = $1", [migration.version]);
+        });
+      } catch (error) {
+        throw new MigrationError(`Reverting migration ${describe(migration)} failed: ${error.message}`);
+      }
+      logger.info(`Reverted migration ${describe(migration)}`);
+      reverted.push(migration);
+    }
+    return reverted;
+  });
+}
+
+// Used at startup: throws unless every migration is applied and unchanged
+async function assertMigrationsCurrent() {
+  const status = await getMigrationStatus();
+  assertConsistent(status);
+  if (status.pending.length > 0) {
+    throw new MigrationError(`Pending migrations: ${status.pending.map(describe).join(", ")}. Run "npm run migrate" first.`);
+  }
+}
+
+// Writes empty up and down files numbered after the latest migration
+function createMigration(name) {
+  const slug = String(name || "").toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+  if (!slug) {
+    throw new MigrationError("A migration needs a name, e.g. add_user_settings");
+  }
+  const latest = loadMigrations().at(-1);
+  const prefix = `${String((latest ? latest.version : 0) + 1).padStart(4, "0")}_${slug}`;
+  const files = [`${prefix}.up.sql`, `${prefix}.down.sql`].map((file) => path.join(MIGRATIONS_DIR, file));
+  fs.writeFileSync(files[0], `-- ${slug.replace(/_/g, " ")}\n`);
+  fs.writeFileSync(files[1], `-- Reverts ${prefix}.up.sql\n`);
+  return files;
+}
+
+module.exports = {
+  MigrationError,
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  assertMigrationsCurrent,
+  createMigration
+};
@@ -0,0 +1,147 @@
+// Moderation module
+// Actions available in the moderator console. Each action and its audit entry are
+// written in one transaction, so nothing changes without a record of who did it and why.
+const pool = require("./db");
+const logger = require("./logger");
+const realtime = require("./realtime");
+
+const MODERATOR_ROLES = ["moderator", "admin"];
+// The console asks for the password again, and again after this long without activity
+const MODERATOR_UNLOCK_MINUTES = 15;
+
+function isModerator(user) {
+  return Boolean(user) && MODERATOR_ROLES.includes(user.role);
+}
+
+// Runs change(client) and, if it reports a change, records the action.
+// Returns false when the target didn't exist or was already in that state.
+// moderatorId is null for actions taken with the connect-admin CLI.
+async function audited(moderatorId, entry, change) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const changed = await change(client);
+    if (!changed) {
+      await client.query("ROLLBACK");
+      return false;
+    }
+    await client.query(
+      `INSERT INTO moderation_actions (moderator_id, action, target_type, target_id, report_id, reason, via)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [moderatorId, entry.action, entry.targetType, entry.targetId, entry.reportId || null, entry.reason, moderatorId === null ? "cli" : "console"]
+    );
+    await client.query("COMMIT");
+    logger.info(`${moderatorId === null ? "connect-admin" : `Moderator ${moderatorId}`}: ${entry.action} on ${entry.targetType} ${entry.targetId}`);
+    return true;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Deactivated people can't sign in and aren't suggested to anyone; their API tokens are revoked
+// and any live conversation updates they have open are closed
+async function deactivateUser(moderatorId, userId, reason, reportId) {
+  const deactivated = await audited(moderatorId, { action: "deactivate_user", targetType: "user", targetId: userId, reason, reportId }, async (client) => {
+    const result = await client.query("UPDATE users SET active = FALSE WHERE id = $1 AND active = TRUE", [userId]);
+    if (result.rowCount === 0) return false;
+    await client.query(
+      "UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL",
+      [userId]
+    );
+    return true;
+  });
+  if (deactivated) {
+    realtime.endUserStreams(userId);
+  }
+  return deactivated;
+}
+
+async function reactivateUser(moderatorId, userId, reason) {
+  return audited(moderatorId, { action: "reactivate_user", targetType: "user", targetId: userId, reason }, async (client) => {
+    const result = await client.query("UPDATE users SET active = TRUE WHERE id = $1 AND active = FALSE", [userId]);
+    return result.rowCount > 0;
+  });
+}
+
+// Archived connections stay readable for both people but take no new messages
+async function archiveConnection(moderatorId, connectionId, reason, reportId) {
+  return audited(moderatorId, { action: "archive_connection", targetType: "connection", targetId: connectionId, reason, reportId }, async (client) => {
+    const result = await client.query(
+      `UPDATE connections SET connection_state = 'archived', archived_at = CURRENT_TIMESTAMP, archived_reason = 'moderator'
+       WHERE id = $1 AND connection_state != 'archived'`,
+      [connectionId]
+    );
+    return result.rowCount > 0;
+  });
+}
+
+// Removed messages are hidden from both people; the text is kept for the audit trail and reports
+async function removeMessage(moderatorId, messageId, reason, reportId) {
+  return audited(moderatorId, { action: "remove_message", targetType: "message", targetId: messageId, reason, reportId }, async (client) => {
+    const result = await client.query(
+      "UPDATE messages SET removed_at = CURRENT_TIMESTAMP WHERE id = $1 AND removed_at IS NULL",
+      [messageId]
+    );
+    return result.rowCount > 0;
+  });
+}
+
+// Lets someone go through onboarding again: their profile and answers are cleared along
+// with the compatibility signals worked out from them. Members can edit their answers
+// themselves at /settings/imperfections; this is for starting over completely.
+async function resetOnboarding(moderatorId, userId, reason) {
+  return audited(moderatorId, { action: "reset_onboarding", targetType: "user", targetId: userId, reason }, async (client) => {
+    const result = await client.query(
+      `UPDATE users
+       SET onboarding_complete = FALSE, name = NULL, age = NULL, gender = NULL, gender_category = NULL,
+           imperfection_1 = NULL, imperfection_2 = NULL, intent = NULL
+       WHERE id = $1 AND (onboarding_complete = TRUE OR name IS NOT NULL)`,
+      [userId]
+    );
+    if (result.rowCount === 0) return false;
+    await client.query("DELETE FROM compatibility_signals WHERE user1_id = $1 OR user2_id = $1", [userId]);
+    return true;
+  });
+}
+
+// For someone who lost both their phone and their recovery codes: signing in takes
+// only the password again. Check it's really them first.
+async function resetTwoFactor(moderatorId, userId, reason) {
+  return audited(moderatorId, { action: "reset_two_factor", targetType: "user", targetId: userId, reason }, async (client) => {
+    const result = await client.query(
+      `UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL
+       WHERE id = $1 AND totp_enabled_at IS NOT NULL`,
+      [userId]
+    );
+    if (result.rowCount === 0) return false;
+    await client.query("DELETE FROM recovery_codes WHERE user_id = $1", [userId]);
+    return true;
+  });
+}
+
+async function resolveReport(moderatorId, reportId, reason) {
+  return audited(moderatorId, { action: "resolve_report", targetType: "report", targetId: reportId, reason, reportId }, async (client) => {
+    const result = await client.query(
+      `UPDATE reports SET status = 'reviewed', reviewed_by = $1, reviewed_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND status = 'open'`,
+      [moderatorId, reportId]
+    );
+    return result.rowCount > 0;
+  });
+}
+
+module.exports = {
+  MODERATOR_ROLES,
+  MODERATOR_UNLOCK_MINUTES,
+  isModerator,
+  deactivateUser,
+  reactivateUser,
+  archiveConnection,
+  removeMessage,
+  resetOnboarding,
+  resetTwoFactor,
+  resolveReport
+};
@@ -0,0 +1,70 @@
+// In-app notices
+// Quiet, dismissible messages shown on the home page (and through the API).
+// Nothing is pushed: people see them the next time they visit.
+const pool = require("./db");
+
+// Text for each kind of notice; name is the other person in the connection
+const NOTICE_TEXT = {
+  ghosting_nudge: (name) =>
+    `It's been a little while since you and ${name} last talked. No pressure: pick up where you left off whenever you're ready.`,
+  ghosting_closure: (name) =>
+    `Not feeling the conversation with ${name} any more? That's okay. You can send a kind goodbye with one click, so they aren't left wondering.`,
+  went_quiet_archived: (name) =>
+    `Your conversation with ${name} went quiet, so we've archived it. Sometimes life gets busy, and that's nobody's fault. It's saved if you'd like to look back.`,
+  closed_kindly: (name) =>
+    `${name} has closed your conversation with a note. It isn't a reflection on you, and the conversation is saved if you'd like to look back.`
+};
+
+async function createNotice(db, userId, kind, connectionId) {
+  await db.query(
+    "INSERT INTO notices (user_id, kind, connection_id) VALUES ($1, $2, $3)",
+    [userId, kind, connectionId || null]
+  );
+}
+
+// Active notices with the other person's name, newest first
+async function listNotices(userId) {
+  const result = await pool.query(
+    `SELECT n.*,
+      CASE WHEN c.user1_id = $1 THEN u2.name ELSE u1.name END as other_name
+     FROM notices n
+     LEFT JOIN connections c ON c.id = n.connection_id
+     LEFT JOIN users u1 ON u1.id = c.user1_id
+     LEFT JOIN users u2 ON u2.id = c.user2_id
+     WHERE n.user_id = $1 AND n.dismissed_at IS NULL
+     ORDER BY n.created_at DESC
+     LIMIT 10`,
+    [userId]
+  );
+  return result.rows.map((notice) => ({
+    ...notice,
+    text: NOTICE_TEXT[notice.kind] ? NOTICE_TEXT[notice.kind](notice.other_name || "someone") : ""
+  }));
+}
+
+// Returns false if the notice wasn't found (or wasn't theirs)
+async function dismissNotice(userId, noticeId) {
+  const result = await pool.query(
+    "UPDATE notices SET dismissed_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2 AND dismissed_at IS NULL",
+    [noticeId, userId]
+  );
+  return result.rowCount > 0;
+}
+
+// Clears someone's notices about one connection, optionally only some kinds
+async function dismissConnectionNotices(db, userId, connectionId, kinds) {
+  await db.query(
+    `UPDATE notices SET dismissed_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND connection_id = $2 AND dismissed_at IS NULL
+     AND ($3::text[] IS NULL OR kind = ANY($3::text[]))`,
+    [userId, connectionId, kinds || null]
+  );
+}
+
+module.exports = {
+  NOTICE_TEXT,
+  createNotice,
+  listNotices,
+  dismissNotice,
+  dismissConnectionNotices
+};
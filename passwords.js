@@ -0,0 +1,153 @@
+// Passwords: changing one and resetting a forgotten one
+// "Forgot password" emails a link with a random token; only its SHA-256 hash is stored.
+// A link works once, for RESET_TOKEN_TTL_MINUTES, and asking again replaces the earlier link.
+// Setting a new password either way signs the account out everywhere: web sessions from
+// before the change (see endOutdatedSessions in web/middleware.js) and all API tokens.
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const pool = require("./db");
+const logger = require("./logger");
+const { sendMail } = require("./mailer");
+const realtime = require("./realtime");
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES || "60", 10);
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Emails a reset link if there's an active account for this email. Returns nothing either
+// way, and doesn't wait for the email, so callers can't tell (or time) whether it exists.
+async function requestPasswordReset(email, appUrl) {
+  const result = await pool.query(
+    "SELECT id, email FROM users WHERE email = $1 AND active = TRUE",
+    [email.toLowerCase()]
+  );
+  const user = result.rows[0];
+  if (!user) {
+    logger.warn(`Password reset requested for unknown or deactivated email: ${email}`);
+    return;
+  }
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  // Only the newest link works
+  await pool.query(
+    "UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL",
+    [user.id]
+  );
+  await pool.query(
+    `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+     VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(mins => $3))`,
+    [user.id, hashToken(token), RESET_TOKEN_TTL_MINUTES]
+  );
+  logger.info(`Password reset requested for user ${user.id}`);
+
+  sendMail({
+    to: user.email,
+    subject: "Reset your Connect password",
+    text: `Someone (hopefully you) asked to reset the password for your Connect account.
+
+Choose a new password here:
+${appUrl}/reset-password?token=${token}
+
+The link works once, within the next ${RESET_TOKEN_TTL_MINUTES} minutes. Resetting your password signs you out on every device.
+
+If you didn't ask for this, you can ignore this email: your password stays the same.`
+  }).catch((error) => logger.error(`Couldn't send the password reset email for user ${user.id}`, error));
+}
+
+// The user id a reset token belongs to, or null if it's unknown, expired or used
+async function findResetTokenUser(token) {
+  if (!token) return null;
+  const result = await pool.query(
+    `SELECT user_id FROM password_reset_tokens
+     WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+    [hashToken(token)]
+  );
+  return result.rows[0]?.user_id || null;
+}
+
+// Saves a new password inside the caller's transaction and ends the account's other
+// sessions. Returns the new session generation.
+async function storeNewPassword(client, userId, newPassword) {
+  const passwordHash = await bcrypt.hash(newPassword, 10);
+  const updated = await client.query(
+    `UPDATE users SET password_hash = $1, session_generation = session_generation + 1
+     WHERE id = $2 RETURNING session_generation`,
+    [passwordHash, userId]
+  );
+  await client.query(
+    "UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL",
+    [userId]
+  );
+  return updated.rows[0].session_generation;
+}
+
+// Uses up the token and sets the new password. Returns the user id, or null if the
+// token is unknown, expired or already used.
+async function resetPassword(token, newPassword) {
+  if (!token) return null;
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const used = await client.query(
+      `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       RETURNING user_id`,
+      [hashToken(token)]
+    );
+    if (used.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    const userId = used.rows[0].user_id;
+    await storeNewPassword(client, userId, newPassword);
+    await client.query("COMMIT");
+    realtime.endUserStreams(userId);
+    logger.info(`User ${userId} reset their password`);
+    return userId;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Changes the password of a signed-in user who knows their current one. Returns the new
+// session generation, so the caller can keep this session signed in, or null if the
+// current password is wrong.
+async function changePassword(userId, currentPassword, newPassword) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await client.query("SELECT password_hash FROM users WHERE id = $1 FOR UPDATE", [userId]);
+    const user = result.rows[0];
+    if (!user || !(await bcrypt.compare(String(currentPassword || ""), user.password_hash))) {
+      await client.query("ROLLBACK");
+      logger.warn(`Password change with the wrong current password for user: ${userId}`);
+      return null;
+    }
+
+    const sessionGeneration = await storeNewPassword(client, userId, newPassword);
+    await client.query("COMMIT");
+    // This device's page reconnects by itself, with its session moved to the new generation
+    realtime.endUserStreams(userId);
+    logger.info(`User ${userId} changed their password`);
+    return sessionGeneration;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  RESET_TOKEN_TTL_MINUTES,
+  requestPasswordReset,
+  findResetTokenUser,
+  resetPassword,
+  changePassword
+};
@@ -0,0 +1,87 @@
+// Photo processing module
+// Every upload is re-encoded, so EXIF/GPS metadata from the camera never reaches disk.
+// We keep one derived image per reveal level and never store the original file.
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const sharp = require("sharp");
+
+// Where photos are stored unless createApp is given another directory
+const UPLOADS_DIR = path.join(__dirname, "uploads");
+
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024; // 5 MB
+const ALLOWED_MIME_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const ALLOWED_FORMATS = ["jpeg", "png", "webp"];
+
+// Indexed by photo_reveal_level: 0=none, 1=blur, 2=partial, 3=full
+const PHOTO_LEVEL_NAMES = [null, "blurred", "partial", "full"];
+
+// How each reveal level is rendered
+const LEVEL_RENDERING = {
+  blurred: { size: 400, blur: 40 },
+  partial: { size: 800, blur: 8 },
+  full: { size: 1200, blur: 0 }
+};
+
+function levelFilePath(uploadsDir, photoPath, level) {
+  const levelName = PHOTO_LEVEL_NAMES[level];
+  if (!photoPath || !levelName) return null;
+  return path.join(uploadsDir, `${photoPath}-${levelName}.jpg`);
+}
+
+// Validate, strip metadata and write one image per reveal level.
+// Returns the photo_path to store on the user (relative to uploadsDir).
+async function processPhoto(buffer, uploadsDir, userId) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new Error("That file doesn't look like an image");
+  }
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    throw new Error("Please upload a JPEG, PNG or WebP image");
+  }
+
+  const userDir = path.join(uploadsDir, String(userId));
+  await fs.promises.mkdir(userDir, { recursive: true });
+  const photoPath = `${userId}/${crypto.randomBytes(16).toString("hex")}`;
+
+  for (let level = 1; level < PHOTO_LEVEL_NAMES.length; level++) {
+    const { size, blur } = LEVEL_RENDERING[PHOTO_LEVEL_NAMES[level]];
+    // rotate() applies the EXIF orientation before the metadata is dropped
+    let image = sharp(buffer)
+      .rotate()
+      .resize(size, size, { fit: "inside", withoutEnlargement: true });
+    if (blur > 0) {
+      image = image.blur(blur);
+    }
+    // sharp writes no EXIF, XMP or GPS data unless withMetadata() is called
+    await image.jpeg({ quality: 85 }).toFile(levelFilePath(uploadsDir, photoPath, level));
+  }
+
+  return photoPath;
+}
+
+// Remove every derived image for a stored photo_path
+async function removePhoto(uploadsDir, photoPath) {
+  if (!photoPath) return;
+  for (let level = 1; level < PHOTO_LEVEL_NAMES.length; level++) {
+    await fs.promises.rm(levelFilePath(uploadsDir, photoPath, level), { force: true });
+  }
+}
+
+// Remove every photo a user ever uploaded (their whole directory)
+async function removeUserPhotos(uploadsDir, userId) {
+  await fs.promises.rm(path.join(uploadsDir, String(userId)), { recursive: true, force: true });
+}
+
+module.exports = {
+  UPLOADS_DIR,
+  MAX_PHOTO_BYTES,
+  ALLOWED_MIME_TYPES,
+  PHOTO_LEVEL_NAMES,
+  levelFilePath,
+  processPhoto,
+  removePhoto,
+  removeUserPhotos
+};
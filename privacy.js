@@ -0,0 +1,250 @@
+// Privacy: data export and account deletion
+// Anyone can download what we store about them as JSON. Deleting an account hides it
+// straight away, signs it out everywhere and schedules it to be deleted for good after
+// ACCOUNT_DELETION_GRACE_DAYS; signing in before then offers to keep it. Once deleted,
+// conversations, messages and reports stay for the other person, shown as from
+// "a former member" (the foreign keys set the deleted person's id to NULL).
+const pool = require("./db");
+const logger = require("./logger");
+const { sendMail } = require("./mailer");
+const { removeUserPhotos } = require("./photos");
+const realtime = require("./realtime");
+
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || "14", 10);
+const ACCOUNT_DELETION_CHECK_MINUTES = 60;
+
+// Shown instead of the name of someone whose account has been deleted
+const FORMER_MEMBER = "a former member";
+
+// Everything we store about a person, as a plain object ready for JSON
+async function exportUserData(userId) {
+  const userResult = await pool.query("SELECT * FROM users WHERE id = $1", [userId]);
+  const user = userResult.rows[0];
+  if (!user) return null;
+
+  const [history, views, skips, blocks, reports, connections, messages] = await Promise.all([
+    pool.query(
+      `SELECT version, imperfection_1, imperfection_2, replaced_at
+       FROM imperfection_answer_history WHERE user_id = $1 ORDER BY version`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT pv.viewed_id AS profile_id, u.name, pv.viewed_at, pv.conversation_initiated
+       FROM profile_views pv LEFT JOIN users u ON u.id = pv.viewed_id
+       WHERE pv.viewer_id = $1 ORDER BY pv.viewed_at`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT ps.skipped_id AS profile_id, u.name, ps.skipped_at
+       FROM profile_skips ps LEFT JOIN users u ON u.id = ps.skipped_id
+       WHERE ps.skipper_id = $1 ORDER BY ps.skipped_at`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT b.blocked_id AS profile_id, u.name, b.created_at
+       FROM user_blocks b LEFT JOIN users u ON u.id = b.blocked_id
+       WHERE b.blocker_id = $1 ORDER BY b.created_at`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT r.id, r.reported_id AS profile_id, u.name, r.category, r.details, r.status, r.created_at
+       FROM reports r LEFT JOIN users u ON u.id = r.reported_id
+       WHERE r.reporter_id = $1 ORDER BY r.created_at`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT c.id, CASE WHEN c.user1_id = $1 THEN c.user2_id ELSE c.user1_id END AS other_id,
+        CASE WHEN c.user1_id = $1 THEN u2.name ELSE u1.name END AS other_name,
+        c.connection_state, c.message_count, c.photo_reveal_state, c.created_at, c.last_message_at,
+        c.archived_at, c.archived_reason
+       FROM connections c
+       LEFT JOIN users u1 ON u1.id = c.user1_id
+       LEFT JOIN users u2 ON u2.id = c.user2_id
+       WHERE c.user1_id = $1 OR c.user2_id = $1
+       ORDER BY c.created_at`,
+      [userId]
+    ),
+    pool.query(
+      "SELECT id, connection_id, message_text, created_at, removed_at FROM messages WHERE sender_id = $1 ORDER BY created_at",
+      [userId]
+    )
+  ]);
+
+  return {
+    exported_at: new Date().toISOString(),
+    profile: {
+      id: user.id,
+      email: user.email,
+      email_verified: user.email_verified,
+      name: user.name,
+      age: user.age,
+      gender: user.gender,
+      gender_category: user.gender_category,
+      interested_in: user.interested_in,
+      preferred_age_min: user.preferred_age_min,
+      preferred_age_max: user.preferred_age_max,
+      intent: user.intent,
+      avatar_evolution: parseFloat(user.avatar_evolution) || 0,
+      has_photo: Boolean(user.photo_path),
+      onboarding_complete: user.onboarding_complete,
+      availability: user.availability,
+      resume_at: user.resume_at,
+      two_factor_enabled: Boolean(user.totp_enabled_at),
+      created_at: user.created_at,
+      last_active: user.last_active,
+      deletion_scheduled_at: user.deletion_scheduled_at
+    },
+    imperfection_answers: {
+      current: {
+        version: user.imperfections_version,
+        imperfection_1: user.imperfection_1,
+        imperfection_2: user.imperfection_2,
+        updated_at: user.answers_updated_at
+      },
+      previous: history.rows
+    },
+    profile_views: views.rows.map(({ name, ...view }) => ({ ...view, name: name || FORMER_MEMBER })),
+    skips: skips.rows.map(({ name, ...skip }) => ({ ...skip, name: name || FORMER_MEMBER })),
+    blocks: blocks.rows.map(({ name, ...block }) => ({ ...block, name: name || FORMER_MEMBER })),
+    reports: reports.rows.map(({ name, ...report }) => ({ ...report, name: name || FORMER_MEMBER })),
+    connections: connections.rows.map(({ other_id, other_name, ...connection }) => ({
+      ...connection,
+      other_user: { id: other_id, name: other_name || FORMER_MEMBER }
+    })),
+    messages_sent: messages.rows.map((message) => ({
+      id: message.id,
+      connection_id: message.connection_id,
+      message_text: message.message_text,
+      created_at: message.created_at,
+      removed_by_moderator: Boolean(message.removed_at)
+    }))
+  };
+}
+
+// Hides the account, signs it out everywhere and schedules the deletion. Returns when it
+// will be deleted, or null if it already was scheduled.
+async function scheduleAccountDeletion(userId) {
+  const client = await pool.connect();
+  let user;
+  try {
+    await client.query("BEGIN");
+    const result = await client.query(
+      `UPDATE users SET deletion_scheduled_at = CURRENT_TIMESTAMP + make_interval(days => $2),
+        session_generation = session_generation + 1
+       WHERE id = $1 AND deletion_scheduled_at IS NULL
+       RETURNING email, deletion_scheduled_at`,
+      [userId, ACCOUNT_DELETION_GRACE_DAYS]
+    );
+    user = result.rows[0];
+    if (!user) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+    await client.query(
+      "UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL",
+      [userId]
+    );
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+  realtime.endUserStreams(userId);
+  logger.info(`User ${userId} scheduled their account for deletion on ${user.deletion_scheduled_at.toISOString()}`);
+
+  sendMail({
+    to: user.email,
+    subject: "Your Connect account will be deleted",
+    text: `You asked us to delete your Connect account. Your profile is hidden now, and everything will be deleted on ${user.deletion_scheduled_at.toDateString()}.
+
+Changed your mind? Sign in before then and choose to keep your account.
+
+The people you talked with will keep their side of your conversations, shown as from a former member.`
+  }).catch((error) => logger.error(`Couldn't send the deletion notice for user ${userId}`, error));
+
+  return user.deletion_scheduled_at;
+}
+
+// Keeps an account that was scheduled for deletion. Returns false if it wasn't.
+async function cancelAccountDeletion(userId) {
+  const result = await pool.query(
+    "UPDATE users SET deletion_scheduled_at = NULL WHERE id = $1 AND deletion_scheduled_at IS NOT NULL",
+    [userId]
+  );
+  if (result.rowCount > 0) {
+    logger.info(`User ${userId} kept their account`);
+  }
+  return result.rowCount > 0;
+}
+
+// Deletes one account whose grace period is over, with its photos. Its open conversations
+// are closed so nobody writes to a former member. The row lock makes someone keeping their
+// account at the same moment wait, and if they got there first nothing is touched.
+// Returns false if the account isn't due (any more).
+async function purgeAccount(uploadsDir, userId) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const due = await client.query(
+      "SELECT 1 FROM users WHERE id = $1 AND deletion_scheduled_at <= CURRENT_TIMESTAMP FOR UPDATE",
+      [userId]
+    );
+    if (due.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return false;
+    }
+    await client.query(
+      `UPDATE connections SET connection_state = 'archived', archived_at = CURRENT_TIMESTAMP, archived_reason = 'account_deleted'
+       WHERE (user1_id = $1 OR user2_id = $1) AND connection_state != 'archived'`,
+      [userId]
+    );
+    await client.query("DELETE FROM users WHERE id = $1", [userId]);
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await removeUserPhotos(uploadsDir, userId);
+  logger.info(`Deleted the account of user ${userId}`);
+  return true;
+}
+
+// Deletes the accounts whose grace period is over. Returns how many.
+async function purgeDeletedAccounts(uploadsDir) {
+  const due = await pool.query(
+    "SELECT id FROM users WHERE deletion_scheduled_at <= CURRENT_TIMESTAMP"
+  );
+  let deleted = 0;
+  for (const { id } of due.rows) {
+    try {
+      if (await purgeAccount(uploadsDir, id)) {
+        deleted++;
+      }
+    } catch (error) {
+      logger.error(`Couldn't delete the account of user ${id}`, error);
+    }
+  }
+  return deleted;
+}
+
+function startAccountDeletionJob(uploadsDir) {
+  const run = () => purgeDeletedAccounts(uploadsDir).catch((error) => logger.error("Account deletion check failed", error));
+  setTimeout(run, 30 * 1000).unref();
+  setInterval(run, ACCOUNT_DELETION_CHECK_MINUTES * 60 * 1000).unref();
+}
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  FORMER_MEMBER,
+  exportUserData,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeAccount,
+  purgeDeletedAccounts,
+  startAccountDeletionJob
+};
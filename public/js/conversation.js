@@ -0,0 +1,121 @@
+// Live updates for the conversation page.
+// Without this script the page still works: the form posts and the page reloads.
+(function () {
+  var messages = document.getElementById("messages");
+  var form = document.getElementById("message-form");
+  if (!messages || !form || !window.EventSource || !window.fetch) return;
+
+  var connectionId = messages.dataset.connectionId;
+  var userId = Number(messages.dataset.userId);
+  var presence = document.getElementById("presence");
+  var otherUserId = Number(presence.dataset.otherUserId);
+  var typing = document.getElementById("typing");
+  var textarea = form.querySelector("textarea");
+  var typingTimer = null;
+  var lastTypingSent = 0;
+
+  function scrollToBottom() {
+    messages.scrollTop = messages.scrollHeight;
+  }
+
+  // Same look as the server-rendered messages; text is set with textContent, never as HTML
+  function appendMessage(msg) {
+    if (messages.querySelector('[data-message-id="' + msg.id + '"]')) return;
+    var empty = document.getElementById("messages-empty");
+    if (empty) empty.remove();
+
+    var isSent = msg.sender_id === userId;
+    var isFemaleReceived = !isSent && msg.sender_gender && msg.sender_gender.toLowerCase().indexOf("woman") !== -1;
+    var el = document.createElement("div");
+    el.className = "message " + (isSent ? "message-sent" : "message-received") + (isFemaleReceived ? " message-female" : "");
+    el.dataset.messageId = msg.id;
+
+    var name = document.createElement("strong");
+    name.textContent = msg.sender_name;
+    var text = document.createElement("div");
+    text.style.margin = "6px 0";
+    text.textContent = msg.message_text;
+    var time = document.createElement("div");
+    time.className = "message-time";
+    time.textContent = new Date(msg.created_at).toLocaleString();
+
+    el.appendChild(name);
+    el.appendChild(text);
+    el.appendChild(time);
+    messages.appendChild(el);
+    scrollToBottom();
+  }
+
+  var events = new EventSource("/connection/" + connectionId + "/events");
+
+  events.addEventListener("message", function (event) {
+    var msg = JSON.parse(event.data);
+    if (msg.sender_id !== userId) typing.hidden = true;
+    appendMessage(msg);
+  });
+
+  events.addEventListener("typing", function () {
+    typing.hidden = false;
+    clearTimeout(typingTimer);
+    typingTimer = setTimeout(function () { typing.hidden = true; }, 4000);
+  });
+
+  events.addEventListener("presence", function (event) {
+    var data = JSON.parse(event.data);
+    if (data.userId !== otherUserId) return;
+    presence.textContent = data.online ? "Here now" : "";
+    if (!data.online) typing.hidden = true;
+  });
+
+  // The conversation was closed (e.g. a kind goodbye) or paused while someone takes a
+  // break: reload to show it read-only
+  function reload() {
+    events.close();
+    window.location.reload();
+  }
+  events.addEventListener("closed", reload);
+  events.addEventListener("paused", reload);
+
+  textarea.addEventListener("input", function () {
+    var now = Date.now();
+    if (now - lastTypingSent < 3000) return;
+    lastTypingSent = now;
+    fetch("/connection/" + connectionId + "/typing", {
+      method: "POST",
+      credentials: "same-origin",
+      headers: { "X-CSRF-Token": form.elements._csrf.value }
+    });
+  });
+
+  form.addEventListener("submit", function (event) {
+    event.preventDefault();
+    var button = form.querySelector("button");
+    button.disabled = true;
+
+    fetch(form.action, {
+      method: "POST",
+      credentials: "same-origin",
+      headers: { Accept: "application/json" },
+      body: new URLSearchParams(new FormData(form))
+    })
+      .then(function (response) {
+        return response.json().then(function (body) {
+          if (!response.ok) throw new Error(body.error || "Failed to send message");
+          appendMessage(body.message);
+          form.reset();
+        });
+      })
+      .catch(function (error) {
+        var notice = document.createElement("div");
+        notice.className = "error";
+        notice.textContent = error.message;
+        form.insertBefore(notice, form.firstChild);
+        setTimeout(function () { notice.remove(); }, 5000);
+      })
+      .then(function () {
+        button.disabled = false;
+      });
+  });
+
+  scrollToBottom();
+})();
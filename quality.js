@@ -0,0 +1,169 @@
+// Conversation quality module
+// Scores a conversation from how both people take part in it, not just how long
+// the messages are. One person writing essays to someone who answers "ok" scores low.
+//
+// Factors (each 0.0 to 1.0):
+// - depth: substance of each person's messages, combined so both have to contribute
+// - balance: share of messages and words from each side, and real back-and-forth
+// - questions: curiosity on both sides, and whether questions get a real answer
+// - responsiveness: how long each person usually takes to reply (gently weighted)
+// - trajectory: whether depth holds up or grows as the conversation goes on
+
+const FACTOR_WEIGHTS = {
+  depth: 0.3,
+  balance: 0.25,
+  questions: 0.15,
+  responsiveness: 0.1,
+  trajectory: 0.2
+};
+
+// A message this long (in characters) counts as fully substantive
+const FULL_DEPTH_LENGTH = 150;
+// Replies within this many hours score 0.5 for responsiveness; faster is higher
+const REPLY_HALF_SCORE_HOURS = 24;
+// Below this many messages there's no "over time" to speak of
+const MIN_MESSAGES_FOR_TRAJECTORY = 6;
+// Without any questions the factor sits a little below neutral
+const NO_QUESTIONS_SCORE = 0.3;
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function average(values) {
+  return values.length === 0 ? 0 : values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function messageLength(msg) {
+  return msg.message_length || (msg.message_text || "").length;
+}
+
+function messageDepth(msg) {
+  if (msg.is_repetitive) return 0;
+  return clamp01((messageLength(msg) - 10) / (FULL_DEPTH_LENGTH - 10));
+}
+
+function isQuestion(msg) {
+  return !msg.is_repetitive && /\?/.test(msg.message_text || "");
+}
+
+// Geometric mean of each side's average depth: both people have to bring something
+function mutualDepth(messages, userIds) {
+  const [a, b] = userIds.map((id) => average(messages.filter((m) => m.sender_id === id).map(messageDepth)));
+  return Math.sqrt(a * b);
+}
+
+function balanceFactor(messages, userIds) {
+  const counts = userIds.map((id) => messages.filter((m) => m.sender_id === id).length);
+  const lengths = userIds.map((id) =>
+    messages.filter((m) => m.sender_id === id).reduce((sum, m) => sum + messageLength(m), 0)
+  );
+  const ratio = ([x, y]) => (Math.max(x, y) === 0 ? 0 : Math.min(x, y) / Math.max(x, y));
+
+  let switches = 0;
+  for (let i = 1; i < messages.length; i++) {
+    if (messages[i].sender_id !== messages[i - 1].sender_id) switches++;
+  }
+  const alternation = messages.length > 1 ? switches / (messages.length - 1) : 0;
+
+  return 0.4 * ratio(counts) + 0.4 * ratio(lengths) + 0.2 * alternation;
+}
+
+// A question is answered when the other person's next message has some substance
+function questionsFactor(messages, userIds) {
+  const asked = new Set();
+  let questions = 0;
+  let answered = 0;
+
+  messages.forEach((msg, index) => {
+    if (!isQuestion(msg)) return;
+    questions++;
+    asked.add(msg.sender_id);
+    const reply = messages.slice(index + 1).find((m) => m.sender_id !== msg.sender_id);
+    if (reply && messageDepth(reply) >= 0.2) answered++;
+  });
+
+  if (questions === 0) return NO_QUESTIONS_SCORE;
+  const bothAsked = userIds.every((id) => asked.has(id));
+  return (bothAsked ? 0.4 : 0.2) + 0.6 * (answered / questions);
+}
+
+// Median reply time for each person, scored 1 / (1 + hours / REPLY_HALF_SCORE_HOURS).
+// Someone who never replies scores 0 on their side.
+function responsivenessFactor(messages, userIds) {
+  const latencies = new Map(userIds.map((id) => [id, []]));
+  for (let i = 1; i < messages.length; i++) {
+    const msg = messages[i];
+    const previous = messages[i - 1];
+    if (msg.sender_id === previous.sender_id || !latencies.has(msg.sender_id)) continue;
+    const hours = (new Date(msg.created_at) - new Date(previous.created_at)) / (60 * 60 * 1000);
+    latencies.get(msg.sender_id).push(Math.max(0, hours));
+  }
+
+  return average(userIds.map((id) => {
+    const hours = median(latencies.get(id));
+    return hours === null ? 0 : 1 / (1 + hours / REPLY_HALF_SCORE_HOURS);
+  }));
+}
+
+// Depth of the later half, plus half the change from the earlier half
+function trajectoryFactor(messages, userIds) {
+  if (messages.length < MIN_MESSAGES_FOR_TRAJECTORY) {
+    return mutualDepth(messages, userIds);
+  }
+  const middle = Math.floor(messages.length / 2);
+  const early = mutualDepth(messages.slice(0, middle), userIds);
+  const late = mutualDepth(messages.slice(middle), userIds);
+  return clamp01(late + 0.5 * (late - early));
+}
+
+// messages: oldest first, with sender_id, message_text, message_length, is_repetitive, created_at.
+// userIds: the two participants. Returns { score, factors }.
+function scoreConversationQuality(messages, userIds) {
+  if (messages.length === 0) {
+    return {
+      score: 0,
+      factors: { depth: 0, balance: 0, questions: 0, responsiveness: 0, trajectory: 0 }
+    };
+  }
+
+  const factors = {
+    depth: mutualDepth(messages, userIds),
+    balance: balanceFactor(messages, userIds),
+    questions: questionsFactor(messages, userIds),
+    responsiveness: responsivenessFactor(messages, userIds),
+    trajectory: trajectoryFactor(messages, userIds)
+  };
+
+  const score = Object.entries(FACTOR_WEIGHTS).reduce((sum, [factor, weight]) => sum + weight * factors[factor], 0);
+  Object.keys(factors).forEach((factor) => {
+    factors[factor] = round2(factors[factor]);
+  });
+
+  return { score: round2(clamp01(score)), factors };
+}
+
+// Mutual avatar evolution (0.0 to 1.0): mostly quality, plus volume counted from the
+// quieter side, so a pile of one-sided messages doesn't add up to a deep connection
+function avatarEvolution(quality, messages, userIds) {
+  const quieterSide = Math.min(...userIds.map((id) => messages.filter((m) => m.sender_id === id).length));
+  const volumeScore = Math.min((quieterSide * 2) / 20, 1.0);
+  return round2(Math.min(quality * 0.7 + volumeScore * 0.3, 1.0));
+}
+
+module.exports = {
+  FACTOR_WEIGHTS,
+  scoreConversationQuality,
+  avatarEvolution
+};
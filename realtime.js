@@ -0,0 +1,107 @@
+// Real-time conversation events (Server-Sent Events)
+// Keeps the open event streams for each connection in memory and fans events out to them.
+// Streams live in this process only: with several app instances, each one delivers
+// events to the people connected to it. Signing out closes the streams of the sessions it
+// ends here, and every heartbeat checks the session is still signed in, which also catches
+// sign-outs handled by another instance.
+
+const HEARTBEAT_MS = 25 * 1000; // Keeps proxies from closing idle streams
+
+// connectionId -> Set of { userId, sessionId, res, end }
+const streams = new Map();
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function isOnline(connectionId, userId) {
+  const subscribers = streams.get(connectionId);
+  if (!subscribers) return false;
+  return [...subscribers].some((stream) => stream.userId === userId);
+}
+
+// Send an event to everyone watching a connection (optionally skipping one user)
+function publish(connectionId, event, data, options = {}) {
+  const subscribers = streams.get(connectionId);
+  if (!subscribers) return;
+  subscribers.forEach((stream) => {
+    if (options.exceptUserId !== undefined && stream.userId === options.exceptUserId) return;
+    send(stream.res, event, data);
+  });
+}
+
+// Turn a response into an event stream for one participant of a connection.
+// otherUserId is used to tell the new subscriber whether the other person is here;
+// stillSignedIn() resolves to false once the session behind the stream has ended.
+function subscribe(req, res, connectionId, userId, otherUserId, stillSignedIn) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  const stream = { userId, sessionId: req.sessionID, res };
+  const wasOnline = isOnline(connectionId, userId);
+  if (!streams.has(connectionId)) {
+    streams.set(connectionId, new Set());
+  }
+  streams.get(connectionId).add(stream);
+
+  send(res, "presence", { userId: otherUserId, online: isOnline(connectionId, otherUserId) });
+  if (!wasOnline) {
+    publish(connectionId, "presence", { userId, online: true }, { exceptUserId: userId });
+  }
+
+  const heartbeat = setInterval(() => {
+    Promise.resolve(stillSignedIn ? stillSignedIn() : true)
+      .catch(() => true) // Checked again on the next heartbeat
+      .then((signedIn) => (signedIn ? res.write(": heartbeat\n\n") : stream.end()));
+  }, HEARTBEAT_MS);
+
+  let ended = false;
+  stream.end = () => {
+    if (ended) return;
+    ended = true;
+    clearInterval(heartbeat);
+    const subscribers = streams.get(connectionId);
+    if (subscribers) {
+      subscribers.delete(stream);
+      if (subscribers.size === 0) {
+        streams.delete(connectionId);
+      }
+    }
+    if (!isOnline(connectionId, userId)) {
+      publish(connectionId, "presence", { userId, online: false });
+    }
+    res.end();
+  };
+  req.on("close", stream.end);
+}
+
+function endStreams(matches) {
+  streams.forEach((subscribers) => {
+    [...subscribers].filter(matches).forEach((stream) => stream.end());
+  });
+}
+
+// When a session ends (signing out, or from the sessions page)
+function endSessionStreams(sessionId) {
+  endStreams((stream) => stream.sessionId === sessionId);
+}
+
+// When all of someone's sessions end: signing out everywhere, a new password,
+// deactivation or deleting the account
+function endUserStreams(userId) {
+  endStreams((stream) => stream.userId === userId);
+}
+
+module.exports = {
+  subscribe,
+  publish,
+  isOnline,
+  endSessionStreams,
+  endUserStreams
+};
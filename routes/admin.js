@@ -0,0 +1,405 @@
+// Moderator console
+const express = require("express");
+const bcrypt = require("bcryptjs");
+const pool = require("../db");
+const logger = require("../logger");
+const {
+  MODERATOR_UNLOCK_MINUTES,
+  isModerator,
+  deactivateUser,
+  reactivateUser,
+  archiveConnection,
+  removeMessage,
+  resolveReport
+} = require("../moderation");
+const { sanitizeString, sanitizeLongText } = require("../validation");
+const { isAuthenticated, getCurrentUser } = require("../web/middleware");
+
+// Needs the moderator role and a password check from the last MODERATOR_UNLOCK_MINUTES,
+// on top of the normal session. Every change is recorded in moderation_actions.
+
+async function requireModerator(req, res, next) {
+  const user = await getCurrentUser(req);
+  if (!user || !user.active || !isModerator(user)) {
+    return res.status(403).redirect("/");
+  }
+  req.user = user;
+  res.set("Cache-Control", "no-store");
+
+  const unlock = req.session.moderatorUnlock;
+  const idleLimit = MODERATOR_UNLOCK_MINUTES * 60 * 1000;
+  if (!unlock || unlock.userId !== user.id || Date.now() - unlock.at > idleLimit) {
+    delete req.session.moderatorUnlock;
+    return res.redirect(`/admin/unlock?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+  unlock.at = Date.now();
+  next();
+}
+
+// Reasons are required for every action; returns null (and redirects) when missing
+function moderationReason(req, res, redirectTo) {
+  const reason = sanitizeLongText(req.body.reason || "");
+  if (reason.length === 0) {
+    res.status(400).redirect(`${redirectTo}${redirectTo.includes("?") ? "&" : "?"}error=A reason is required`);
+    return null;
+  }
+  return reason;
+}
+
+function reportIdFrom(req) {
+  const reportId = parseInt(req.body.report_id, 10);
+  return isNaN(reportId) ? null : reportId;
+}
+
+const AUDIT_SELECT = `
+  SELECT a.*, u.name as moderator_name
+  FROM moderation_actions a
+  LEFT JOIN users u ON u.id = a.moderator_id`;
+
+function createAdminRouter({ loginLimiter }) {
+  const router = express.Router();
+
+  router.get("/admin/unlock", isAuthenticated, async (req, res) => {
+    const user = await getCurrentUser(req);
+    if (!isModerator(user)) {
+      return res.status(403).redirect("/");
+    }
+    const next = typeof req.query.next === "string" && req.query.next.startsWith("/admin/") ? req.query.next : "/admin/reports";
+    res.set("Cache-Control", "no-store");
+    res.render("admin/unlock", { error: req.query.error, next, unlockMinutes: MODERATOR_UNLOCK_MINUTES });
+  });
+
+  router.post("/admin/unlock", isAuthenticated, loginLimiter, async (req, res) => {
+    try {
+      const user = await getCurrentUser(req);
+      if (!user || !user.active || !isModerator(user)) {
+        return res.status(403).redirect("/");
+      }
+
+      const next = typeof req.body.next === "string" && req.body.next.startsWith("/admin/") ? req.body.next : "/admin/reports";
+      const validPassword = await bcrypt.compare(req.body.password || "", user.password_hash);
+      if (!validPassword) {
+        logger.warn(`Failed moderator console unlock for user ${user.id}`);
+        return res.status(401).redirect(`/admin/unlock?error=Incorrect password&next=${encodeURIComponent(next)}`);
+      }
+
+      req.session.moderatorUnlock = { userId: user.id, at: Date.now() };
+      logger.info(`Moderator console unlocked by user ${user.id}`);
+      res.redirect(next);
+    } catch (error) {
+      logger.error("Error unlocking moderator console", error);
+      res.status(500).redirect("/admin/unlock?error=An error occurred");
+    }
+  });
+
+  router.get("/admin", isAuthenticated, requireModerator, (req, res) => {
+    res.redirect("/admin/reports");
+  });
+
+  router.get("/admin/reports", isAuthenticated, requireModerator, async (req, res) => {
+    try {
+      const status = req.query.status === "reviewed" ? "reviewed" : "open";
+      const reportsResult = await pool.query(
+        `SELECT r.id, r.category, r.created_at, r.reported_id, r.reporter_id,
+          reporter.name as reporter_name, reported.name as reported_name, reported.active as reported_active,
+          (SELECT COUNT(*) FROM reports r2 WHERE r2.reported_id = r.reported_id) as reports_against
+         FROM reports r
+         LEFT JOIN users reporter ON reporter.id = r.reporter_id
+         LEFT JOIN users reported ON reported.id = r.reported_id
+         WHERE r.status = $1
+         ORDER BY r.created_at ${status === "open" ? "ASC" : "DESC"}
+         LIMIT 100`,
+        [status]
+      );
+
+      res.render("admin/reports", { user: req.user, status, reports: reportsResult.rows });
+    } catch (error) {
+      logger.error("Error loading reports", error);
+      res.status(500).render("error", { message: "An error occurred.", backHref: "/admin/reports", backLabel: "Back to reports" });
+    }
+  });
+
+  router.get("/admin/reports/:reportId", isAuthenticated, requireModerator, async (req, res) => {
+    try {
+      const reportId = parseInt(req.params.reportId, 10);
+      if (isNaN(reportId)) {
+        return res.status(400).redirect("/admin/reports");
+      }
+
+      const reportResult = await pool.query(
+        `SELECT r.*, reporter.name as reporter_name, reported.name as reported_name, reported.active as reported_active,
+          reviewer.name as reviewer_name, c.connection_state
+         FROM reports r
+         LEFT JOIN users reporter ON reporter.id = r.reporter_id
+         LEFT JOIN users reported ON reported.id = r.reported_id
+         LEFT JOIN users reviewer ON reviewer.id = r.reviewed_by
+         LEFT JOIN connections c ON c.id = r.connection_id
+         WHERE r.id = $1`,
+        [reportId]
+      );
+      if (reportResult.rows.length === 0) {
+        return res.status(404).redirect("/admin/reports");
+      }
+
+      const report = reportResult.rows[0];
+      const names = { [report.reporter_id]: report.reporter_name, [report.reported_id]: report.reported_name };
+      const snapshot = report.message_snapshot.map(msg => ({ ...msg, sender_name: names[msg.sender_id] }));
+
+      // Messages sent since the report, which the snapshot doesn't include
+      const lastSnapshotId = snapshot.length > 0 ? snapshot[snapshot.length - 1].id : 0;
+      const laterResult = report.connection_id ? await pool.query(
+        `SELECT m.*, u.name as sender_name, TRUE as removable
+         FROM messages m LEFT JOIN users u ON u.id = m.sender_id
+         WHERE m.connection_id = $1 AND m.id > $2
+         ORDER BY m.created_at ASC`,
+        [report.connection_id, lastSnapshotId]
+      ) : { rows: [] };
+
+      // The snapshot keeps the original text; show whether each message has been removed since
+      if (snapshot.length > 0) {
+        const removedResult = await pool.query(
+          "SELECT id FROM messages WHERE id = ANY($1::integer[]) AND removed_at IS NOT NULL",
+          [snapshot.map(msg => msg.id)]
+        );
+        const removedIds = new Set(removedResult.rows.map(row => row.id));
+        snapshot.forEach(msg => {
+          msg.removed_at = removedIds.has(msg.id) ? true : null;
+          msg.removable = true;
+        });
+      }
+
+      const auditResult = await pool.query(`${AUDIT_SELECT} WHERE a.report_id = $1 ORDER BY a.created_at DESC`, [reportId]);
+      res.render("admin/report", {
+        user: req.user,
+        error: req.query.error,
+        report,
+        snapshot,
+        laterMessages: laterResult.rows,
+        auditActions: auditResult.rows
+      });
+    } catch (error) {
+      logger.error("Error loading report", error);
+      res.status(500).render("error", { message: "An error occurred.", backHref: "/admin/reports", backLabel: "Back to reports" });
+    }
+  });
+
+  router.get("/admin/users", isAuthenticated, requireModerator, async (req, res) => {
+    try {
+      const query = req.query.q ? sanitizeString(req.query.q) : "";
+      const usersResult = query ? await pool.query(
+        `SELECT id, name, email, active, role FROM users
+         WHERE email ILIKE $1 OR name ILIKE $1 OR id::text = $2
+         ORDER BY id
+         LIMIT 50`,
+        [`%${query}%`, query]
+      ) : { rows: [] };
+
+      res.render("admin/users", { user: req.user, query, users: usersResult.rows });
+    } catch (error) {
+      logger.error("Error searching users", error);
+      res.status(500).render("error", { message: "An error occurred.", backHref: "/admin/reports", backLabel: "Back to reports" });
+    }
+  });
+
+  router.get("/admin/users/:userId", isAuthenticated, requireModerator, async (req, res) => {
+    try {
+      const userId = parseInt(req.params.userId, 10);
+      if (isNaN(userId)) {
+        return res.status(400).redirect("/admin/users");
+      }
+
+      const userResult = await pool.query("SELECT * FROM users WHERE id = $1", [userId]);
+      if (userResult.rows.length === 0) {
+        return res.status(404).redirect("/admin/users");
+      }
+      const member = userResult.rows[0];
+
+      const reportsResult = await pool.query(
+        `SELECT r.id, r.category, r.status, r.created_at, u.name as reporter_name
+         FROM reports r LEFT JOIN users u ON u.id = r.reporter_id
+         WHERE r.reported_id = $1
+         ORDER BY r.created_at DESC`,
+        [userId]
+      );
+      const connectionsResult = await pool.query(
+        `SELECT c.id, c.connection_state, c.message_count, c.last_message_at,
+          CASE WHEN c.user1_id = $1 THEN u2.name ELSE u1.name END as other_name
+         FROM connections c
+         LEFT JOIN users u1 ON c.user1_id = u1.id
+         LEFT JOIN users u2 ON c.user2_id = u2.id
+         WHERE c.user1_id = $1 OR c.user2_id = $1
+         ORDER BY c.last_message_at DESC NULLS LAST`,
+        [userId]
+      );
+      const auditResult = await pool.query(
+        `${AUDIT_SELECT} WHERE a.target_type = 'user' AND a.target_id = $1 ORDER BY a.created_at DESC`,
+        [userId]
+      );
+      res.render("admin/user", {
+        user: req.user,
+        error: req.query.error,
+        member,
+        reports: reportsResult.rows,
+        connections: connectionsResult.rows,
+        auditActions: auditResult.rows
+      });
+    } catch (error) {
+      logger.error("Error loading user for moderation", error);
+      res.status(500).render("error", { message: "An error occurred.", backHref: "/admin/reports", backLabel: "Back to reports" });
+    }
+  });
+
+  router.get("/admin/connections/:connectionId", isAuthenticated, requireModerator, async (req, res) => {
+    try {
+      const connectionId = parseInt(req.params.connectionId, 10);
+      if (isNaN(connectionId)) {
+        return res.status(400).redirect("/admin/reports");
+      }
+
+      const connectionResult = await pool.query(
+        `SELECT c.*, u1.name as user1_name, u2.name as user2_name
+         FROM connections c
+         LEFT JOIN users u1 ON c.user1_id = u1.id
+         LEFT JOIN users u2 ON c.user2_id = u2.id
+         WHERE c.id = $1`,
+        [connectionId]
+      );
+      if (connectionResult.rows.length === 0) {
+        return res.status(404).redirect("/admin/reports");
+      }
+      const connection = connectionResult.rows[0];
+
+      const messagesResult = await pool.query(
+        `SELECT m.*, u.name as sender_name, TRUE as removable
+         FROM messages m LEFT JOIN users u ON u.id = m.sender_id
+         WHERE m.connection_id = $1
+         ORDER BY m.created_at ASC`,
+        [connectionId]
+      );
+      const auditResult = await pool.query(
+        `${AUDIT_SELECT}
+         WHERE (a.target_type = 'connection' AND a.target_id = $1)
+         OR (a.target_type = 'message' AND a.target_id IN (SELECT id FROM messages WHERE connection_id = $1))
+         ORDER BY a.created_at DESC`,
+        [connectionId]
+      );
+      res.render("admin/connection", {
+        user: req.user,
+        error: req.query.error,
+        connection,
+        messages: messagesResult.rows,
+        auditActions: auditResult.rows
+      });
+    } catch (error) {
+      logger.error("Error loading connection for moderation", error);
+      res.status(500).render("error", { message: "An error occurred.", backHref: "/admin/reports", backLabel: "Back to reports" });
+    }
+  });
+
+  router.get("/admin/audit", isAuthenticated, requireModerator, async (req, res) => {
+    try {
+      const auditResult = await pool.query(`${AUDIT_SELECT} ORDER BY a.created_at DESC LIMIT 200`);
+      res.render("admin/audit", { user: req.user, auditActions: auditResult.rows });
+    } catch (error) {
+      logger.error("Error loading audit trail", error);
+      res.status(500).render("error", { message: "An error occurred.", backHref: "/admin/reports", backLabel: "Back to reports" });
+    }
+  });
+
+  router.post("/admin/users/:userId/:action", isAuthenticated, requireModerator, async (req, res) => {
+    const userId = parseInt(req.params.userId, 10);
+    const reportId = reportIdFrom(req);
+    const back = reportId ? `/admin/reports/${reportId}` : `/admin/users/${userId}`;
+    try {
+      if (isNaN(userId) || !["deactivate", "reactivate"].includes(req.params.action)) {
+        return res.status(400).redirect("/admin/users");
+      }
+      if (userId === req.user.id) {
+        return res.status(400).redirect(`${back}?error=You can't change your own account here`);
+      }
+      const reason = moderationReason(req, res, back);
+      if (!reason) return;
+
+      const changed = req.params.action === "deactivate"
+        ? await deactivateUser(req.user.id, userId, reason, reportId)
+        : await reactivateUser(req.user.id, userId, reason);
+      if (!changed) {
+        return res.status(409).redirect(`${back}?error=Nothing to change`);
+      }
+      res.redirect(back);
+    } catch (error) {
+      logger.error("Error changing user status", error);
+      res.status(500).redirect(`${back}?error=An error occurred`);
+    }
+  });
+
+  router.post("/admin/connections/:connectionId/archive", isAuthenticated, requireModerator, async (req, res) => {
+    const connectionId = parseInt(req.params.connectionId, 10);
+    const reportId = reportIdFrom(req);
+    const back = reportId ? `/admin/reports/${reportId}` : `/admin/connections/${connectionId}`;
+    try {
+      if (isNaN(connectionId)) {
+        return res.status(400).redirect("/admin/reports");
+      }
+      const reason = moderationReason(req, res, back);
+      if (!reason) return;
+
+      if (!(await archiveConnection(req.user.id, connectionId, reason, reportId))) {
+        return res.status(409).redirect(`${back}?error=Nothing to change`);
+      }
+      res.redirect(back);
+    } catch (error) {
+      logger.error("Error archiving connection", error);
+      res.status(500).redirect(`${back}?error=An error occurred`);
+    }
+  });
+
+  router.post("/admin/messages/:messageId/remove", isAuthenticated, requireModerator, async (req, res) => {
+    const messageId = parseInt(req.params.messageId, 10);
+    const reportId = reportIdFrom(req);
+    try {
+      if (isNaN(messageId)) {
+        return res.status(400).redirect("/admin/reports");
+      }
+      const messageResult = await pool.query("SELECT connection_id FROM messages WHERE id = $1", [messageId]);
+      if (messageResult.rows.length === 0) {
+        return res.status(404).redirect(reportId ? `/admin/reports/${reportId}` : "/admin/reports");
+      }
+      const back = reportId ? `/admin/reports/${reportId}` : `/admin/connections/${messageResult.rows[0].connection_id}`;
+      const reason = moderationReason(req, res, back);
+      if (!reason) return;
+
+      if (!(await removeMessage(req.user.id, messageId, reason, reportId))) {
+        return res.status(409).redirect(`${back}?error=Nothing to change`);
+      }
+      res.redirect(back);
+    } catch (error) {
+      logger.error("Error removing message", error);
+      res.status(500).redirect("/admin/reports");
+    }
+  });
+
+  router.post("/admin/reports/:reportId/resolve", isAuthenticated, requireModerator, async (req, res) => {
+    const reportId = parseInt(req.params.reportId, 10);
+    const back = `/admin/reports/${reportId}`;
+    try {
+      if (isNaN(reportId)) {
+        return res.status(400).redirect("/admin/reports");
+      }
+      const reason = moderationReason(req, res, back);
+      if (!reason) return;
+
+      if (!(await resolveReport(req.user.id, reportId, reason))) {
+        return res.status(409).redirect(`${back}?error=Nothing to change`);
+      }
+      res.redirect("/admin/reports");
+    } catch (error) {
+      logger.error("Error resolving report", error);
+      res.status(500).redirect(`${back}?error=An error occurred`);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,333 @@
+// Sign in (with the two-step code when it's turned on), registration, email
+// verification, sign out and password reset
+const express = require("express");
+const bcrypt = require("bcryptjs");
+const pool = require("../db");
+const logger = require("../logger");
+const { appUrl } = require("../mailer");
+const { RESET_TOKEN_TTL_MINUTES, requestPasswordReset, findResetTokenUser, resetPassword } = require("../passwords");
+const { ACCOUNT_DELETION_GRACE_DAYS } = require("../privacy");
+const { verifySecondFactor } = require("../twofactor");
+const { startUserSession } = require("../sessions");
+const { VERIFICATION_TOKEN_TTL_HOURS, sendVerificationEmail, verifyEmail } = require("../verification");
+const { validateEmail, validatePassword } = require("../validation");
+const { isAuthenticated, getCurrentUser } = require("../web/middleware");
+
+// How long someone has to enter their two-step code after the password
+const TWO_FACTOR_LOGIN_MINUTES = 10;
+
+// Starts the session and sends the person on to wherever they need to be
+async function completeSignIn(req, res, user) {
+  await startUserSession(req, user);
+  logger.info(`User ${user.id} logged in successfully`);
+
+  if (user.deletion_scheduled_at) {
+    res.redirect("/settings/delete");
+  } else if (user.onboarding_complete) {
+    res.redirect("/");
+  } else {
+    res.redirect("/onboarding/step-1");
+  }
+}
+
+function createAuthRouter({ loginLimiter }) {
+  const router = express.Router();
+
+  router.get("/login", (req, res) => {
+    if (req.session.userId) {
+      return res.redirect("/");
+    }
+    const notice = req.query.reset === "done" ? "reset"
+      : req.query.deletion === "scheduled" ? "deletion"
+      : req.query.signed_out === "everywhere" ? "signed_out"
+      : null;
+    res.render("auth/login", { error: req.query.error, notice, graceDays: ACCOUNT_DELETION_GRACE_DAYS });
+  });
+
+  router.post("/login", loginLimiter, async (req, res) => {
+    try {
+      const { email, password } = req.body;
+
+      if (!email || !password) {
+        return res.status(400).redirect("/login?error=Email and password are required");
+      }
+
+      if (!validateEmail(email)) {
+        return res.status(400).redirect("/login?error=Invalid email format");
+      }
+
+      const result = await pool.query("SELECT * FROM users WHERE email = $1", [email.toLowerCase()]);
+
+      if (result.rows.length === 0) {
+        logger.warn(`Login attempt with non-existent email: ${email}`);
+        return res.status(401).redirect("/login?error=Invalid email or password");
+      }
+
+      const user = result.rows[0];
+      const validPassword = await bcrypt.compare(password, user.password_hash);
+
+      if (!validPassword) {
+        logger.warn(`Failed login attempt for user: ${user.id}`);
+        return res.status(401).redirect("/login?error=Invalid email or password");
+      }
+
+      if (!user.active) {
+        logger.warn(`Login attempt for deactivated user: ${user.id}`);
+        return res.status(403).redirect("/login?error=This account has been deactivated");
+      }
+
+      // The password was right, but the session only starts once the code is too
+      if (user.totp_enabled_at) {
+        req.session.pendingTwoFactor = { userId: user.id, startedAt: Date.now() };
+        return res.redirect("/login/two-factor");
+      }
+
+      await completeSignIn(req, res, user);
+    } catch (error) {
+      logger.error("Login error", error);
+      res.status(500).redirect("/login?error=An error occurred. Please try again.");
+    }
+  });
+
+  // ===== TWO-STEP SIGN-IN =====
+
+  const pendingTwoFactor = (req) => {
+    const pending = req.session.pendingTwoFactor;
+    if (!pending || Date.now() - pending.startedAt > TWO_FACTOR_LOGIN_MINUTES * 60 * 1000) {
+      delete req.session.pendingTwoFactor;
+      return null;
+    }
+    return pending;
+  };
+
+  router.get("/login/two-factor", (req, res) => {
+    if (!pendingTwoFactor(req)) {
+      return res.redirect("/login");
+    }
+    res.render("auth/two-factor", { error: req.query.error });
+  });
+
+  router.post("/login/two-factor", loginLimiter, async (req, res) => {
+    try {
+      const pending = pendingTwoFactor(req);
+      if (!pending) {
+        return res.status(401).redirect("/login?error=That took a little too long. Please sign in again.");
+      }
+
+      const result = await pool.query("SELECT * FROM users WHERE id = $1", [pending.userId]);
+      const user = result.rows[0];
+      if (!user || !user.active || !user.totp_enabled_at) {
+        delete req.session.pendingTwoFactor;
+        return res.status(401).redirect("/login");
+      }
+
+      const method = await verifySecondFactor(user, req.body.code);
+      if (!method) {
+        logger.warn(`Failed two-step code for user: ${user.id}`);
+        return res.status(401).redirect("/login/two-factor?error=That code didn't work. Try the newest code from your app, or a recovery code.");
+      }
+
+      await completeSignIn(req, res, user);
+    } catch (error) {
+      logger.error("Two-step sign-in error", error);
+      res.status(500).redirect("/login/two-factor?error=An error occurred. Please try again.");
+    }
+  });
+
+  router.get("/register", (req, res) => {
+    if (req.session.userId) {
+      return res.redirect("/");
+    }
+    res.render("auth/register", { title: "Create Account" });
+  });
+
+  router.post("/register", async (req, res) => {
+    try {
+      const { email, password, password_confirm } = req.body;
+
+      if (!email || !password || !password_confirm) {
+        return res.status(400).render("error", { message: "Email and password are required", backHref: "/register", backLabel: "Back" });
+      }
+
+      if (!validateEmail(email)) {
+        return res.status(400).render("error", { message: "Invalid email format", backHref: "/register", backLabel: "Back" });
+      }
+
+      if (!validatePassword(password)) {
+        return res.status(400).render("error", { message: "Password must be at least 8 characters long", backHref: "/register", backLabel: "Back" });
+      }
+
+      if (password !== password_confirm) {
+        return res.status(400).render("error", { message: "Passwords do not match", backHref: "/register", backLabel: "Back" });
+      }
+
+      const existingUser = await pool.query(
+        "SELECT 1 FROM users WHERE email = $1",
+        [email.toLowerCase()]
+      );
+
+      if (existingUser.rows.length > 0) {
+        logger.warn(`Registration attempt with existing email: ${email}`);
+        return res.status(409).render("error", { message: "Email already registered", backHref: "/login", backLabel: "Go to login" });
+      }
+
+      const hashedPassword = await bcrypt.hash(password, 10);
+
+      const result = await pool.query(
+        `
+        INSERT INTO users (
+          email,
+          password_hash,
+          name,
+          age,
+          gender,
+          imperfection_1,
+          imperfection_2
+        )
+        VALUES ($1, $2, NULL, NULL, NULL, NULL, NULL)
+        RETURNING id, email, email_verified
+        `,
+        [email.toLowerCase(), hashedPassword]
+      );
+
+      await startUserSession(req, { id: result.rows[0].id });
+      logger.info(`New user registered: ${result.rows[0].id}`);
+
+      // They can ask for another link from the home page if this one doesn't arrive
+      await sendVerificationEmail(result.rows[0], appUrl(req))
+        .catch((error) => logger.error("Error sending verification email", error));
+
+      res.redirect("/onboarding/step-1");
+    } catch (error) {
+      logger.error("Registration error", error);
+      res.status(500).render("error", { message: "An error occurred during registration. Please try again.", backHref: "/register", backLabel: "Back" });
+    }
+  });
+
+  router.post("/logout", (req, res) => {
+    const userId = req.session.userId;
+    req.session.destroy((err) => {
+      if (err) {
+        logger.error("Session destroy error", err);
+      } else {
+        logger.info(`User ${userId} logged out`);
+      }
+      res.redirect("/login");
+    });
+  });
+
+  // ===== EMAIL VERIFICATION =====
+
+  // Works from any browser: the token identifies the account
+  router.get("/verify-email", async (req, res) => {
+    try {
+      const token = typeof req.query.token === "string" ? req.query.token : "";
+      const userId = await verifyEmail(token);
+      if (userId && userId === req.session.userId) {
+        return res.redirect("/?verified=1");
+      }
+      if (userId) {
+        return res.render("auth/email-verified");
+      }
+
+      const user = await getCurrentUser(req);
+      if (user && user.email_verified) {
+        return res.redirect("/");
+      }
+      res.status(400).render("auth/verification-expired", { ttlHours: VERIFICATION_TOKEN_TTL_HOURS, signedIn: Boolean(user) });
+    } catch (error) {
+      logger.error("Email verification error", error);
+      res.status(500).render("error", { message: "An error occurred" });
+    }
+  });
+
+  router.post("/verify-email/resend", isAuthenticated, async (req, res) => {
+    try {
+      const user = await getCurrentUser(req);
+      if (!user) {
+        return res.status(401).redirect("/login");
+      }
+      const result = await sendVerificationEmail(user, appUrl(req));
+      if (result.reason === "throttled") {
+        return res.redirect(`/?verification=wait&minutes=${result.retryAfterMinutes}`);
+      }
+      res.redirect(result.sent ? "/?verification=sent" : "/");
+    } catch (error) {
+      logger.error("Error resending verification email", error);
+      res.status(500).redirect("/?verification=failed");
+    }
+  });
+
+  // ===== PASSWORD RESET =====
+
+  router.get("/forgot-password", (req, res) => {
+    res.render("auth/forgot-password", { error: req.query.error, sent: Boolean(req.query.sent), ttlMinutes: RESET_TOKEN_TTL_MINUTES });
+  });
+
+  router.post("/forgot-password", loginLimiter, async (req, res) => {
+    try {
+      const email = req.body.email;
+      if (!email || !validateEmail(email)) {
+        return res.status(400).redirect("/forgot-password?error=Please enter a valid email address");
+      }
+
+      // Same answer whether or not there's an account for this email
+      await requestPasswordReset(email, appUrl(req));
+      res.redirect("/forgot-password?sent=1");
+    } catch (error) {
+      logger.error("Password reset request error", error);
+      res.status(500).redirect("/forgot-password?error=An error occurred. Please try again.");
+    }
+  });
+
+  function expiredResetLink(res) {
+    return res.status(400).render("error", {
+      heading: "This link can't be used",
+      message: `Password reset links work once, for ${RESET_TOKEN_TTL_MINUTES} minutes, and only the latest one you asked for. You can ask for a new one.`,
+      backHref: "/forgot-password",
+      backLabel: "Send a new link"
+    });
+  }
+
+  router.get("/reset-password", async (req, res) => {
+    try {
+      const token = typeof req.query.token === "string" ? req.query.token : "";
+      if (!(await findResetTokenUser(token))) {
+        return expiredResetLink(res);
+      }
+
+      res.render("auth/reset-password", { error: req.query.error, token });
+    } catch (error) {
+      logger.error("Error loading password reset page", error);
+      res.status(500).render("error", { message: "An error occurred" });
+    }
+  });
+
+  router.post("/reset-password", loginLimiter, async (req, res) => {
+    const token = typeof req.body.token === "string" ? req.body.token : "";
+    const { password, password_confirm } = req.body;
+    const back = `/reset-password?token=${encodeURIComponent(token)}`;
+    try {
+      if (!validatePassword(password)) {
+        return res.status(400).redirect(`${back}&error=Password must be at least 8 characters long`);
+      }
+      if (password !== password_confirm) {
+        return res.status(400).redirect(`${back}&error=Passwords do not match`);
+      }
+
+      const userId = await resetPassword(token, password);
+      if (!userId) {
+        return expiredResetLink(res);
+      }
+
+      req.session.regenerate(() => res.redirect("/login?reset=done"));
+    } catch (error) {
+      logger.error("Password reset error", error);
+      res.status(500).redirect(`${back}&error=An error occurred. Please try again.`);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,448 @@
+// Conversations: starting one, messages, live updates, the photo reveal and
+// ending a connection kindly
+const express = require("express");
+const pool = require("../db");
+const logger = require("../logger");
+const realtime = require("../realtime");
+const {
+  KIND_GOODBYE_MESSAGE,
+  startConnection,
+  isConnectionClosed,
+  isConnectionPaused,
+  recordConnectionActivity,
+  updateConversationQuality,
+  sendMessage,
+  endConnection
+} = require("../conversations");
+const { dismissNotice } = require("../notices");
+const { findBlock } = require("../safety");
+const { FORMER_MEMBER } = require("../privacy");
+const { isSessionCurrent } = require("../sessions");
+const { sanitizeLongText, validateClosingNote } = require("../validation");
+const { isAuthenticated, getCurrentUser, isOnboardingComplete } = require("../web/middleware");
+const {
+  PHOTO_REVEAL_ACTIONS,
+  nextPhotoRevealState,
+  photoRevealLevel,
+  photoRevealStep
+} = require("../web/photoReveal");
+
+function createConversationsRouter() {
+  const router = express.Router();
+
+  router.post("/start-conversation/:userId", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      const otherUserId = parseInt(req.params.userId, 10);
+      const currentUser = await getCurrentUser(req);
+
+      if (!currentUser || isNaN(otherUserId) || otherUserId === currentUser.id) {
+        return res.status(400).redirect("/");
+      }
+
+      const connection = await startConnection(currentUser.id, otherUserId);
+      if (!connection) {
+        return res.status(404).redirect("/");
+      }
+
+      res.redirect(`/connection/${connection.id}`);
+    } catch (error) {
+      logger.error("Error starting conversation", error);
+      res.status(500).redirect("/");
+    }
+  });
+
+  router.get("/connection/:connectionId", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      const connectionId = parseInt(req.params.connectionId, 10);
+      const currentUser = await getCurrentUser(req);
+
+      if (!currentUser || isNaN(connectionId)) {
+        return res.status(400).redirect("/");
+      }
+
+      const connectionResult = await pool.query(
+        `SELECT c.*, 
+          CASE WHEN c.user1_id = $1 THEN u2.name ELSE u1.name END as other_name,
+          CASE WHEN c.user1_id = $1 THEN u2.id ELSE u1.id END as other_id,
+          CASE WHEN c.user1_id = $1 THEN u2.age ELSE u1.age END as other_age,
+          CASE WHEN c.user1_id = $1 THEN u2.gender ELSE u1.gender END as other_gender,
+          CASE WHEN c.user1_id = $1 THEN u2.photo_path ELSE u1.photo_path END as other_photo_path,
+          CASE WHEN c.user1_id = $1 THEN u2.availability ELSE u1.availability END as other_availability
+         FROM connections c
+         LEFT JOIN users u1 ON c.user1_id = u1.id
+         LEFT JOIN users u2 ON c.user2_id = u2.id
+         WHERE c.id = $2 AND (c.user1_id = $1 OR c.user2_id = $1)`,
+        [currentUser.id, connectionId]
+      );
+
+      if (connectionResult.rows.length === 0) {
+        return res.status(403).redirect("/");
+      }
+
+      const connection = connectionResult.rows[0];
+      // other_id is null once the other person has deleted their account
+      const otherUser = {
+        name: connection.other_name || FORMER_MEMBER,
+        id: connection.other_id,
+        age: connection.other_age,
+        gender: connection.other_gender,
+        hasPhoto: Boolean(connection.other_photo_path)
+      };
+
+      // Closed conversations (archived, or a block in either direction) stay readable but nothing more can happen in them
+      const block = await findBlock(currentUser.id, otherUser.id);
+      const closed = Boolean(block) || connection.connection_state === "archived" || otherUser.id === null;
+      // Paused while either of them is hibernating: readable, but nobody writes until they're back
+      const pausedBy = closed ? null
+        : currentUser.availability === "hibernating" ? "you"
+        : connection.other_availability === "hibernating" ? "them"
+        : null;
+
+      const messagesResult = await pool.query(
+        `SELECT m.*, u.name as sender_name, u.gender as sender_gender
+         FROM messages m
+         LEFT JOIN users u ON m.sender_id = u.id
+         WHERE m.connection_id = $1
+         ORDER BY m.created_at ASC`,
+        [connectionId]
+      );
+
+      await recordConnectionActivity(connectionId, currentUser.id);
+
+      const scored = await updateConversationQuality(connectionId);
+      const revealedConnection = {
+        ...connection,
+        mutual_avatar_evolution: scored.mutual_avatar_evolution,
+        photo_reveal_state: scored.photo_reveal_state
+      };
+      const showPhoto = !closed && otherUser.hasPhoto && photoRevealLevel(revealedConnection) > 0;
+
+      res.render("conversations/conversation", {
+        user: currentUser,
+        otherUser,
+        connection,
+        messages: messagesResult.rows,
+        error: req.query.error,
+        showPhoto,
+        photoReveal: photoRevealStep(revealedConnection, currentUser.id),
+        closed,
+        blockedByMe: Boolean(block) && block.blocker_id === currentUser.id,
+        pausedBy
+      });
+    } catch (error) {
+      logger.error("Error loading connection", error);
+      res.status(500).render("error", { message: "An error occurred" });
+    }
+  });
+
+  // The form posts normally without JavaScript; conversation.js sends the same form
+  // with "Accept: application/json" and gets JSON back instead of a redirect
+  router.post("/connection/:connectionId/message", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    const wantsJson = req.accepts(["html", "json"]) === "json";
+    const reject = (status, error, redirectTo) =>
+      wantsJson ? res.status(status).json({ error }) : res.status(status).redirect(redirectTo);
+    try {
+      const connectionId = parseInt(req.params.connectionId, 10);
+      const currentUser = await getCurrentUser(req);
+      const messageText = sanitizeLongText(req.body.message || "");
+
+      if (!currentUser || isNaN(connectionId)) {
+        return reject(400, "Invalid conversation", "/");
+      }
+
+      if (messageText.length === 0) {
+        return reject(400, "Message is empty", `/connection/${connectionId}`);
+      }
+
+      if (messageText.length > 500) {
+        return reject(400, "Message too long", `/connection/${connectionId}?error=Message too long`);
+      }
+
+      const connectionResult = await pool.query(
+        "SELECT * FROM connections WHERE id = $1 AND (user1_id = $2 OR user2_id = $2)",
+        [connectionId, currentUser.id]
+      );
+
+      if (connectionResult.rows.length === 0) {
+        return reject(403, "Conversation not found", "/");
+      }
+
+      if (await isConnectionClosed(connectionResult.rows[0])) {
+        return reject(403, "This conversation is closed", `/connection/${connectionId}`);
+      }
+
+      if (await isConnectionPaused(connectionResult.rows[0])) {
+        return reject(403, "This conversation is paused", `/connection/${connectionId}`);
+      }
+
+      const message = await sendMessage(connectionId, currentUser, messageText);
+
+      if (wantsJson) {
+        return res.status(201).json({ message });
+      }
+      res.redirect(`/connection/${connectionId}`);
+    } catch (error) {
+      logger.error("Error posting message", error);
+      const connectionId = req.params.connectionId;
+      reject(500, "Failed to send message", `/connection/${connectionId}?error=Failed to send message`);
+    }
+  });
+
+  // ===== REAL-TIME UPDATES (SERVER-SENT EVENTS) =====
+
+  router.get("/connection/:connectionId/events", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      const connectionId = parseInt(req.params.connectionId, 10);
+      if (isNaN(connectionId)) {
+        return res.status(400).end();
+      }
+
+      const connectionResult = await pool.query(
+        "SELECT * FROM connections WHERE id = $1 AND (user1_id = $2 OR user2_id = $2)",
+        [connectionId, req.user.id]
+      );
+
+      if (connectionResult.rows.length === 0) {
+        return res.status(403).end();
+      }
+
+      const connection = connectionResult.rows[0];
+      const otherUserId = connection.user1_id === req.user.id ? connection.user2_id : connection.user1_id;
+      if (await isConnectionClosed(connection)) {
+        return res.status(403).end();
+      }
+      realtime.subscribe(req, res, connectionId, req.user.id, otherUserId, () => isSessionCurrent(req.sessionID, req.user.id));
+    } catch (error) {
+      logger.error("Error opening event stream", error);
+      if (!res.headersSent) {
+        res.status(500).end();
+      }
+    }
+  });
+
+  router.post("/connection/:connectionId/typing", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      const connectionId = parseInt(req.params.connectionId, 10);
+      if (isNaN(connectionId)) {
+        return res.status(400).end();
+      }
+
+      const connectionResult = await pool.query(
+        "SELECT * FROM connections WHERE id = $1 AND (user1_id = $2 OR user2_id = $2)",
+        [connectionId, req.user.id]
+      );
+
+      if (connectionResult.rows.length === 0) {
+        return res.status(403).end();
+      }
+
+      if (await isConnectionClosed(connectionResult.rows[0]) || await isConnectionPaused(connectionResult.rows[0])) {
+        return res.status(403).end();
+      }
+
+      realtime.publish(connectionId, "typing", { userId: req.user.id }, { exceptUserId: req.user.id });
+      res.status(204).end();
+    } catch (error) {
+      logger.error("Error sending typing indicator", error);
+      res.status(500).end();
+    }
+  });
+
+  // ===== ENDING CONVERSATIONS AND NOTICES =====
+
+  router.get("/connection/:connectionId/end", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      const connectionId = parseInt(req.params.connectionId, 10);
+      if (isNaN(connectionId)) {
+        return res.status(400).redirect("/");
+      }
+
+      const connectionResult = await pool.query(
+        `SELECT c.*, CASE WHEN c.user1_id = $1 THEN u2.name ELSE u1.name END as other_name
+         FROM connections c
+         LEFT JOIN users u1 ON c.user1_id = u1.id
+         LEFT JOIN users u2 ON c.user2_id = u2.id
+         WHERE c.id = $2 AND (c.user1_id = $1 OR c.user2_id = $1)`,
+        [req.user.id, connectionId]
+      );
+
+      if (connectionResult.rows.length === 0) {
+        return res.status(403).redirect("/");
+      }
+
+      const connection = connectionResult.rows[0];
+      if (await isConnectionClosed(connection)) {
+        return res.redirect(`/connection/${connectionId}`);
+      }
+
+      res.render("conversations/end", { user: req.user, connection, error: req.query.error });
+    } catch (error) {
+      logger.error("Error loading end connection page", error);
+      res.status(500).render("error", { message: "An error occurred" });
+    }
+  });
+
+  router.post("/connection/:connectionId/end", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    const connectionId = parseInt(req.params.connectionId, 10);
+    try {
+      if (isNaN(connectionId)) {
+        return res.status(400).redirect("/");
+      }
+
+      const connectionResult = await pool.query(
+        "SELECT * FROM connections WHERE id = $1 AND (user1_id = $2 OR user2_id = $2)",
+        [connectionId, req.user.id]
+      );
+
+      if (connectionResult.rows.length === 0) {
+        return res.status(403).redirect("/");
+      }
+
+      const connection = connectionResult.rows[0];
+      if (await isConnectionClosed(connection)) {
+        return res.status(409).redirect(`/connection/${connectionId}`);
+      }
+
+      const validation = validateClosingNote(req.body);
+      if (validation.error) {
+        return res.status(400).redirect(`/connection/${connectionId}/end?error=${encodeURIComponent(validation.error)}`);
+      }
+
+      await endConnection(connection, req.user, validation.value);
+      res.redirect(`/connection/${connectionId}`);
+    } catch (error) {
+      logger.error("Error ending connection", error);
+      res.status(500).redirect(isNaN(connectionId) ? "/" : `/connection/${connectionId}?error=An error occurred`);
+    }
+  });
+
+  // One click from the quiet-conversation notice: ends with the standard kind goodbye
+  router.post("/connection/:connectionId/close-kindly", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    const connectionId = parseInt(req.params.connectionId, 10);
+    try {
+      if (isNaN(connectionId)) {
+        return res.status(400).redirect("/");
+      }
+
+      const connectionResult = await pool.query(
+        "SELECT * FROM connections WHERE id = $1 AND (user1_id = $2 OR user2_id = $2)",
+        [connectionId, req.user.id]
+      );
+
+      if (connectionResult.rows.length === 0) {
+        return res.status(403).redirect("/");
+      }
+
+      const connection = connectionResult.rows[0];
+      if (await isConnectionClosed(connection)) {
+        return res.status(409).redirect(`/connection/${connectionId}`);
+      }
+
+      await endConnection(connection, req.user, KIND_GOODBYE_MESSAGE);
+      res.redirect(`/connection/${connectionId}`);
+    } catch (error) {
+      logger.error("Error closing connection", error);
+      res.status(500).redirect(isNaN(connectionId) ? "/" : `/connection/${connectionId}?error=An error occurred`);
+    }
+  });
+
+  router.get("/past-conversations", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      const connectionsResult = await pool.query(
+        `SELECT c.id, c.archived_at, c.archived_reason, c.archived_by,
+          CASE WHEN c.user1_id = $1 THEN u2.name ELSE u1.name END as other_name
+         FROM connections c
+         LEFT JOIN users u1 ON c.user1_id = u1.id
+         LEFT JOIN users u2 ON c.user2_id = u2.id
+         WHERE (c.user1_id = $1 OR c.user2_id = $1)
+         AND c.connection_state = 'archived'
+         ORDER BY c.archived_at DESC NULLS LAST`,
+        [req.user.id]
+      );
+
+      const endedBy = (conn) => {
+        if (conn.archived_reason === "went_quiet") return "Went quiet";
+        if (conn.archived_reason === "account_deleted") return "They deleted their account";
+        if (conn.archived_reason === "closed_kindly") return conn.archived_by === req.user.id ? "You ended it" : `${conn.other_name || FORMER_MEMBER} ended it`;
+        return "Closed";
+      };
+
+      res.render("conversations/past", {
+        user: req.user,
+        connections: connectionsResult.rows,
+        endedBy
+      });
+    } catch (error) {
+      logger.error("Error loading past conversations", error);
+      res.status(500).render("error", { message: "An error occurred" });
+    }
+  });
+
+  router.post("/notices/:noticeId/dismiss", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      const noticeId = parseInt(req.params.noticeId, 10);
+      if (!isNaN(noticeId)) {
+        await dismissNotice(req.user.id, noticeId);
+      }
+      res.redirect("/");
+    } catch (error) {
+      logger.error("Error dismissing notice", error);
+      res.status(500).redirect("/");
+    }
+  });
+
+  // ===== PHOTO REVEAL (MUTUAL CONSENT) =====
+
+  router.post("/connection/:connectionId/photo-reveal/:action", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    const connectionId = parseInt(req.params.connectionId, 10);
+    try {
+      const action = req.params.action;
+      const currentUser = req.user;
+
+      if (isNaN(connectionId) || !PHOTO_REVEAL_ACTIONS.includes(action)) {
+        return res.status(400).redirect("/");
+      }
+
+      const connectionResult = await pool.query(
+        "SELECT * FROM connections WHERE id = $1 AND (user1_id = $2 OR user2_id = $2)",
+        [connectionId, currentUser.id]
+      );
+
+      if (connectionResult.rows.length === 0) {
+        return res.status(403).redirect("/");
+      }
+
+      const connection = connectionResult.rows[0];
+      if (await isConnectionClosed(connection)) {
+        return res.status(403).redirect(`/connection/${connectionId}?error=This conversation is closed`);
+      }
+
+      const nextState = nextPhotoRevealState(connection, currentUser.id, action);
+
+      if (!nextState) {
+        logger.warn(`Photo reveal ${action} rejected for user ${currentUser.id} in connection ${connectionId} (state: ${connection.photo_reveal_state})`);
+        return res.status(409).redirect(`/connection/${connectionId}?error=That photo step isn't available right now`);
+      }
+
+      // Only move from the state we validated against, so two people acting at once can't skip a step
+      const updateResult = await pool.query(
+        "UPDATE connections SET photo_reveal_state = $1 WHERE id = $2 AND photo_reveal_state = $3",
+        [nextState, connectionId, connection.photo_reveal_state]
+      );
+
+      if (updateResult.rowCount === 0) {
+        return res.status(409).redirect(`/connection/${connectionId}?error=Something changed in the meantime. Please try again.`);
+      }
+
+      logger.info(`Photo reveal ${action} by user ${currentUser.id} in connection ${connectionId}: ${connection.photo_reveal_state} -> ${nextState}`);
+      res.redirect(`/connection/${connectionId}`);
+    } catch (error) {
+      logger.error("Error updating photo reveal", error);
+      res.status(500).redirect(isNaN(connectionId) ? "/" : `/connection/${connectionId}?error=An error occurred`);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createConversationsRouter };
@@ -0,0 +1,196 @@
+// Home page, one-profile-at-a-time browsing and "Not now" skips
+const express = require("express");
+const pool = require("../db");
+const logger = require("../logger");
+const { getNextProfileToView, recordSkip, SKIP_COOLDOWN_DAYS } = require("../discovery");
+const { KIND_GOODBYE_MESSAGE } = require("../conversations");
+const { listNotices } = require("../notices");
+const { findBlock } = require("../safety");
+const { isAuthenticated, getCurrentUser, isOnboardingComplete } = require("../web/middleware");
+
+// Same page whether the profile never existed, is blocked, hidden or being deleted
+function profileNotFound(res) {
+  res.status(404).render("error", {
+    heading: "Profile not found",
+    message: "This profile isn't available.",
+    backHref: "/",
+    backLabel: "Back to discovery"
+  });
+}
+
+function createDiscoveryRouter() {
+  const router = express.Router();
+
+  router.get("/", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      const user = await getCurrentUser(req);
+      if (!user) {
+        return res.status(401).redirect("/login");
+      }
+
+      const connectionsResult = await pool.query(
+        `SELECT c.*, 
+          CASE WHEN c.user1_id = $1 THEN u2.name ELSE u1.name END as other_name,
+          CASE WHEN c.user1_id = $1 THEN u2.id ELSE u1.id END as other_id,
+          CASE WHEN c.user1_id = $1 THEN u2.availability ELSE u1.availability END as other_availability
+         FROM connections c
+         JOIN users u1 ON c.user1_id = u1.id
+         JOIN users u2 ON c.user2_id = u2.id
+         WHERE (c.user1_id = $1 OR c.user2_id = $1) 
+         AND c.connection_state = 'connected'
+         AND NOT EXISTS (
+           SELECT 1 FROM user_blocks b
+           WHERE (b.blocker_id = c.user1_id AND b.blocked_id = c.user2_id)
+           OR (b.blocker_id = c.user2_id AND b.blocked_id = c.user1_id)
+         )
+         ORDER BY c.last_message_at DESC NULLS LAST
+         LIMIT 5`,
+        [req.session.userId]
+      );
+
+      const nextProfile = await getNextProfileToView(req.session.userId);
+      const userNotices = await listNotices(req.session.userId);
+
+      res.render("discovery/home", {
+        user,
+        connections: connectionsResult.rows,
+        nextProfile,
+        notices: userNotices,
+        KIND_GOODBYE_MESSAGE,
+        verified: Boolean(req.query.verified),
+        verification: req.query.verification,
+        waitMinutes: parseInt(req.query.minutes, 10) || 1
+      });
+    } catch (error) {
+      logger.error("Error loading home page", error);
+      res.status(500).render("error", { message: "An error occurred", backLabel: "Try again" });
+    }
+  });
+
+  // ===== PROFILE VIEWING =====
+
+  router.get("/profile/:userId", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      const profileUserId = parseInt(req.params.userId, 10);
+      const currentUser = await getCurrentUser(req);
+
+      if (!currentUser || isNaN(profileUserId) || profileUserId === currentUser.id) {
+        return res.status(400).redirect("/");
+      }
+
+      // Deactivated accounts and accounts being deleted are hidden from everyone
+      const profileResult = await pool.query(
+        "SELECT * FROM users WHERE id = $1 AND onboarding_complete = TRUE AND active AND deletion_scheduled_at IS NULL",
+        [profileUserId]
+      );
+      if (profileResult.rows.length === 0 || await findBlock(currentUser.id, profileUserId)) {
+        return profileNotFound(res);
+      }
+
+      const profile = profileResult.rows[0];
+
+      const connectionResult = await pool.query(
+        `SELECT * FROM connections 
+         WHERE (user1_id = $1 AND user2_id = $2) OR (user1_id = $2 AND user2_id = $1)`,
+        [currentUser.id, profileUserId]
+      );
+      const connection = connectionResult.rows[0];
+
+      // Someone taking a break is only seen by the people they were already talking with
+      if (profile.availability !== "available" && !connection) {
+        return profileNotFound(res);
+      }
+
+      await pool.query(
+        "INSERT INTO profile_views (viewer_id, viewed_id) VALUES ($1, $2) ON CONFLICT DO NOTHING",
+        [currentUser.id, profileUserId]
+      );
+
+      res.render("discovery/profile", {
+        user: currentUser,
+        profile,
+        connection
+      });
+    } catch (error) {
+      logger.error("Error loading profile", error);
+      res.status(500).render("error", { message: "An error occurred" });
+    }
+  });
+
+  router.post("/skip-profile/:userId", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      const profileUserId = parseInt(req.params.userId, 10);
+      if (isNaN(profileUserId) || profileUserId === req.user.id) {
+        return res.status(400).redirect("/");
+      }
+
+      const profileResult = await pool.query("SELECT 1 FROM users WHERE id = $1", [profileUserId]);
+      if (profileResult.rows.length === 0) {
+        return res.status(404).redirect("/");
+      }
+
+      await recordSkip(req.user.id, profileUserId);
+      logger.info(`User ${req.user.id} skipped profile ${profileUserId}`);
+      res.redirect("/");
+    } catch (error) {
+      logger.error("Error skipping profile", error);
+      res.status(500).redirect("/");
+    }
+  });
+
+  router.get("/skips", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      const skipsResult = await pool.query(
+        `SELECT ps.skipped_id, ps.skipped_at, u.name, u.age,
+          ps.skipped_at + make_interval(days => $2) AS returns_at
+         FROM profile_skips ps
+         JOIN users u ON u.id = ps.skipped_id
+         WHERE ps.skipper_id = $1
+         AND ps.skipped_at > CURRENT_TIMESTAMP - make_interval(days => $2)
+         ORDER BY ps.skipped_at DESC
+         LIMIT 20`,
+        [req.user.id, SKIP_COOLDOWN_DAYS]
+      );
+
+      res.render("discovery/skips", {
+        user: req.user,
+        skips: skipsResult.rows,
+        cooldownDays: SKIP_COOLDOWN_DAYS
+      });
+    } catch (error) {
+      logger.error("Error loading skips", error);
+      res.status(500).render("error", { message: "An error occurred" });
+    }
+  });
+
+  router.post("/skips/:userId/undo", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      const skippedUserId = parseInt(req.params.userId, 10);
+      if (isNaN(skippedUserId)) {
+        return res.status(400).redirect("/skips");
+      }
+
+      const deleteResult = await pool.query(
+        "DELETE FROM profile_skips WHERE skipper_id = $1 AND skipped_id = $2",
+        [req.user.id, skippedUserId]
+      );
+
+      if (deleteResult.rowCount > 0) {
+        // Forget the view too, otherwise the profile would stay hidden as "already seen"
+        await pool.query(
+          "DELETE FROM profile_views WHERE viewer_id = $1 AND viewed_id = $2 AND conversation_initiated = FALSE",
+          [req.user.id, skippedUserId]
+        );
+        logger.info(`User ${req.user.id} undid skip of profile ${skippedUserId}`);
+      }
+      res.redirect("/skips");
+    } catch (error) {
+      logger.error("Error undoing skip", error);
+      res.status(500).redirect("/skips");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createDiscoveryRouter };
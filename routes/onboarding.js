@@ -0,0 +1,191 @@
+// Onboarding: name and age, gender, the two imperfection questions and
+// discovery preferences. Once it's complete, changes go through /settings instead
+// (see routes/settings.js), where imperfection edits are versioned.
+const express = require("express");
+const pool = require("../db");
+const logger = require("../logger");
+const { saveDiscoveryPreferences } = require("../discovery");
+const {
+  validateNameAndAge,
+  validateGender,
+  validateImperfectionAnswer,
+  validateDiscoveryPreferences
+} = require("../validation");
+const { isAuthenticated, getCurrentUser } = require("../web/middleware");
+
+// Onboarding answers can only be posted until onboarding is complete
+async function onboardingOpen(req, res, next) {
+  const user = await getCurrentUser(req);
+  if (user && user.onboarding_complete) {
+    return res.redirect("/settings");
+  }
+  next();
+}
+
+function createOnboardingRouter() {
+  const router = express.Router();
+
+  router.get("/onboarding", isAuthenticated, async (req, res) => {
+    const user = await getCurrentUser(req);
+    if (user && user.onboarding_complete) {
+      return res.redirect("/");
+    }
+    res.redirect("/onboarding/step-1");
+  });
+
+  // Step 1: Name and Age
+  router.get('/onboarding/step-1', isAuthenticated, async (req, res) => {
+    try {
+      const user = await getCurrentUser(req);
+      if (user && user.onboarding_complete) {
+        return res.redirect('/');
+      }
+      res.render("onboarding/step-1", { title: "Getting Started" });
+    } catch (error) {
+      logger.error("Error loading onboarding step 1", error);
+      res.status(500).render("onboarding/step-1", { title: "Getting Started", error: "An error occurred. Please refresh and try again." });
+    }
+  });
+
+  router.post('/onboarding/step-1', isAuthenticated, onboardingOpen, async (req, res) => {
+    try {
+      const { error, values } = validateNameAndAge(req.body.name, req.body.age);
+      if (error) {
+        return res.status(400).render("onboarding/step-1", { title: "Getting Started", error });
+      }
+
+      await pool.query(
+        `UPDATE users SET name = $1, age = $2 WHERE id = $3`,
+        [values.name, values.age, req.session.userId]
+      );
+      logger.info(`User ${req.session.userId} completed onboarding step 1`);
+      res.redirect('/onboarding/step-2');
+    } catch (error) {
+      logger.error("Error in onboarding step 1", error);
+      res.status(500).render("onboarding/step-1", { title: "Getting Started", error: "An error occurred. Please try again." });
+    }
+  });
+
+  // Step 2: Gender
+  router.get("/onboarding/step-2", isAuthenticated, async (req, res) => {
+    try {
+      const user = await getCurrentUser(req);
+      if (user && user.onboarding_complete) {
+        return res.redirect("/");
+      }
+      res.render("onboarding/step-2", { error: req.query.error });
+    } catch (error) {
+      logger.error("Error loading onboarding step 2", error);
+      res.status(500).render("error", { message: "An error occurred" });
+    }
+  });
+
+  router.post("/onboarding/step-2", isAuthenticated, onboardingOpen, async (req, res) => {
+    try {
+      const { error, value } = validateGender(req.body.gender);
+      if (error) {
+        return res.status(400).redirect(`/onboarding/step-2?error=${encodeURIComponent(error)}`);
+      }
+      await pool.query("UPDATE users SET gender = $1 WHERE id = $2", [value, req.session.userId]);
+      logger.info(`User ${req.session.userId} completed onboarding step 2`);
+      res.redirect("/onboarding/step-3");
+    } catch (error) {
+      logger.error("Error in onboarding step 2", error);
+      res.status(500).redirect("/onboarding/step-2?error=An error occurred");
+    }
+  });
+
+  // Step 3: Imperfection #1
+  router.get("/onboarding/step-3", isAuthenticated, async (req, res) => {
+    try {
+      const user = await getCurrentUser(req);
+      if (user && user.onboarding_complete) {
+        return res.redirect("/");
+      }
+      res.render("onboarding/step-3", { error: req.query.error });
+    } catch (error) {
+      logger.error("Error loading onboarding step 3", error);
+      res.status(500).render("error", { message: "An error occurred" });
+    }
+  });
+
+  router.post("/onboarding/step-3", isAuthenticated, onboardingOpen, async (req, res) => {
+    try {
+      const { error, value } = validateImperfectionAnswer(req.body.imperfection_1);
+      if (error) {
+        return res.status(400).redirect(`/onboarding/step-3?error=${encodeURIComponent(error)}`);
+      }
+
+      await pool.query("UPDATE users SET imperfection_1 = $1, answers_updated_at = CURRENT_TIMESTAMP WHERE id = $2", [value, req.session.userId]);
+      logger.info(`User ${req.session.userId} completed onboarding step 3`);
+      res.redirect("/onboarding/step-4");
+    } catch (error) {
+      logger.error("Error in onboarding step 3", error);
+      res.status(500).redirect("/onboarding/step-3?error=An error occurred");
+    }
+  });
+
+  // Step 4: Imperfection #2
+  router.get("/onboarding/step-4", isAuthenticated, async (req, res) => {
+    try {
+      const user = await getCurrentUser(req);
+      if (user && user.onboarding_complete) {
+        return res.redirect("/");
+      }
+      res.render("onboarding/step-4", { error: req.query.error });
+    } catch (error) {
+      logger.error("Error loading onboarding step 4", error);
+      res.status(500).render("error", { message: "An error occurred" });
+    }
+  });
+
+  router.post("/onboarding/step-4", isAuthenticated, onboardingOpen, async (req, res) => {
+    try {
+      const { error, value } = validateImperfectionAnswer(req.body.imperfection_2);
+      if (error) {
+        return res.status(400).redirect(`/onboarding/step-4?error=${encodeURIComponent(error)}`);
+      }
+
+      await pool.query("UPDATE users SET imperfection_2 = $1, answers_updated_at = CURRENT_TIMESTAMP WHERE id = $2", [value, req.session.userId]);
+      logger.info(`User ${req.session.userId} completed onboarding step 4`);
+      res.redirect("/onboarding/step-5");
+    } catch (error) {
+      logger.error("Error in onboarding step 4", error);
+      res.status(500).redirect("/onboarding/step-4?error=An error occurred");
+    }
+  });
+
+  // Step 5: Who you'd like to meet
+  router.get("/onboarding/step-5", isAuthenticated, async (req, res) => {
+    try {
+      const user = await getCurrentUser(req);
+      if (user && user.onboarding_complete) {
+        return res.redirect("/");
+      }
+      res.render("onboarding/step-5", { error: req.query.error, preferences: user || {} });
+    } catch (error) {
+      logger.error("Error loading onboarding step 5", error);
+      res.status(500).render("error", { message: "An error occurred" });
+    }
+  });
+
+  router.post("/onboarding/step-5", isAuthenticated, onboardingOpen, async (req, res) => {
+    try {
+      const { error, values } = validateDiscoveryPreferences(req.body);
+      if (error) {
+        return res.status(400).redirect(`/onboarding/step-5?error=${encodeURIComponent(error)}`);
+      }
+
+      await saveDiscoveryPreferences(req.session.userId, values, true);
+      logger.info(`User ${req.session.userId} completed onboarding`);
+      res.redirect("/");
+    } catch (error) {
+      logger.error("Error in onboarding step 5", error);
+      res.status(500).redirect("/onboarding/step-5?error=An error occurred");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createOnboardingRouter };
@@ -0,0 +1,144 @@
+// Uploading your own photo and viewing other people's, within what the reveal allows
+const express = require("express");
+const multer = require("multer");
+const pool = require("../db");
+const logger = require("../logger");
+const photos = require("../photos");
+const { findBlock } = require("../safety");
+const { isAuthenticated, isOnboardingComplete } = require("../web/middleware");
+const { photoRevealLevel } = require("../web/photoReveal");
+
+// Photo uploads are kept in memory only until they've been re-encoded without metadata
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: photos.MAX_PHOTO_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!photos.ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new Error("Please upload a JPEG, PNG or WebP image"));
+    }
+    cb(null, true);
+  }
+});
+
+// Highest photo level a viewer may see of someone: their own photo in full,
+// nothing if either has blocked the other or the connection has ended, otherwise
+// whatever the mutual-consent reveal on their connection allows
+async function photoLevelForViewer(viewerId, ownerId) {
+  if (viewerId === ownerId) return 3;
+  if (await findBlock(viewerId, ownerId)) return 0;
+  const connectionResult = await pool.query(
+    `SELECT * FROM connections
+     WHERE (user1_id = $1 AND user2_id = $2) OR (user1_id = $2 AND user2_id = $1)`,
+    [viewerId, ownerId]
+  );
+  if (connectionResult.rows.length === 0) return 0;
+  // Ending a connection takes back any photos that were shared
+  if (connectionResult.rows[0].connection_state === "archived") return 0;
+  return photoRevealLevel(connectionResult.rows[0]);
+}
+
+// The upload form's multipart body, _csrf field included, isn't read by the app-wide
+// body parsers. app.js mounts this before the CSRF check so the check can see the field;
+// only signed-in, onboarded people get this far, and nothing is stored until the route below.
+function createPhotoUploadParser() {
+  const router = express.Router();
+
+  router.post("/photo", isAuthenticated, isOnboardingComplete, (req, res, next) => {
+    photoUpload.single("photo")(req, res, (err) => {
+      if (err) {
+        const message = err.code === "LIMIT_FILE_SIZE"
+          ? `Photos must be smaller than ${photos.MAX_PHOTO_BYTES / (1024 * 1024)} MB`
+          : err.message;
+        logger.warn(`Photo upload rejected for user ${req.session.userId}`, message);
+        return res.status(400).redirect(`/photo?error=${encodeURIComponent(message)}`);
+      }
+      next();
+    });
+  });
+
+  return router;
+}
+
+function createPhotosRouter({ uploadsDir }) {
+  const router = express.Router();
+
+  router.get("/photo", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    res.render("photos/photo", {
+      user: req.user,
+      error: req.query.error,
+      acceptedTypes: photos.ALLOWED_MIME_TYPES.join(",")
+    });
+  });
+
+  // The file was read by createPhotoUploadParser, before the CSRF check
+  router.post("/photo", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).redirect("/photo?error=Please choose a photo");
+      }
+
+      let photoPath;
+      try {
+        photoPath = await photos.processPhoto(req.file.buffer, uploadsDir, req.user.id);
+      } catch (error) {
+        logger.warn(`Photo processing failed for user ${req.user.id}`, error.message);
+        return res.status(400).redirect(`/photo?error=${encodeURIComponent(error.message)}`);
+      }
+
+      await pool.query("UPDATE users SET photo_path = $1 WHERE id = $2", [photoPath, req.user.id]);
+      await photos.removePhoto(uploadsDir, req.user.photo_path);
+
+      logger.info(`User ${req.user.id} uploaded a photo`);
+      res.redirect("/photo");
+    } catch (error) {
+      logger.error("Error uploading photo", error);
+      res.status(500).redirect("/photo?error=An error occurred. Please try again.");
+    }
+  });
+
+  router.post("/photo/delete", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      await pool.query("UPDATE users SET photo_path = NULL WHERE id = $1", [req.user.id]);
+      await photos.removePhoto(uploadsDir, req.user.photo_path);
+      logger.info(`User ${req.user.id} removed their photo`);
+      res.redirect("/photo");
+    } catch (error) {
+      logger.error("Error removing photo", error);
+      res.status(500).redirect("/photo?error=An error occurred. Please try again.");
+    }
+  });
+
+  // Serves the version of someone's photo the viewer is allowed to see
+  router.get("/photo/:userId", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      const ownerId = parseInt(req.params.userId, 10);
+      if (isNaN(ownerId)) {
+        return res.status(404).end();
+      }
+
+      const ownerResult = await pool.query("SELECT photo_path FROM users WHERE id = $1", [ownerId]);
+      const photoPath = ownerResult.rows[0]?.photo_path;
+      const level = photoPath ? await photoLevelForViewer(req.user.id, ownerId) : 0;
+
+      // Same response whether there's no photo or no permission, so nothing leaks
+      if (level === 0) {
+        return res.status(404).end();
+      }
+
+      res.set("Cache-Control", "private, no-store");
+      res.sendFile(photos.levelFilePath(uploadsDir, photoPath, level), (err) => {
+        if (err && !res.headersSent) {
+          logger.error(`Error sending photo for user ${ownerId}`, err);
+          res.status(404).end();
+        }
+      });
+    } catch (error) {
+      logger.error("Error serving photo", error);
+      res.status(500).end();
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPhotoUploadParser, createPhotosRouter };
@@ -0,0 +1,126 @@
+// Blocking and reporting from profiles and conversations
+const express = require("express");
+const pool = require("../db");
+const logger = require("../logger");
+const { findBlock, blockUser, unblockUser, createReport } = require("../safety");
+const { validateReport } = require("../validation");
+const { isAuthenticated, isOnboardingComplete } = require("../web/middleware");
+
+function createSafetyRouter() {
+  const router = express.Router();
+
+  router.get("/report/:userId", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      const otherUserId = parseInt(req.params.userId, 10);
+      if (isNaN(otherUserId) || otherUserId === req.user.id) {
+        return res.status(400).redirect("/");
+      }
+
+      const otherUserResult = await pool.query("SELECT id, name FROM users WHERE id = $1", [otherUserId]);
+      if (otherUserResult.rows.length === 0) {
+        return res.status(404).redirect("/");
+      }
+
+      const otherUser = otherUserResult.rows[0];
+      const block = await findBlock(req.user.id, otherUserId);
+      const blockedByMe = block && block.blocker_id === req.user.id;
+
+      res.render("safety/report", {
+        user: req.user,
+        otherUser,
+        blockedByMe,
+        sent: Boolean(req.query.sent),
+        error: req.query.error
+      });
+    } catch (error) {
+      logger.error("Error loading report page", error);
+      res.status(500).render("error", { message: "An error occurred" });
+    }
+  });
+
+  router.post("/report/:userId", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    const otherUserId = parseInt(req.params.userId, 10);
+    try {
+      if (isNaN(otherUserId) || otherUserId === req.user.id) {
+        return res.status(400).redirect("/");
+      }
+
+      const otherUserResult = await pool.query("SELECT 1 FROM users WHERE id = $1", [otherUserId]);
+      if (otherUserResult.rows.length === 0) {
+        return res.status(404).redirect("/");
+      }
+
+      const validation = validateReport(req.body);
+      if (validation.error) {
+        return res.status(400).redirect(`/report/${otherUserId}?error=${encodeURIComponent(validation.error)}`);
+      }
+
+      await createReport(req.user.id, otherUserId, validation.values);
+      if (req.body.block) {
+        await blockUser(req.user.id, otherUserId);
+      }
+
+      res.redirect(`/report/${otherUserId}?sent=1`);
+    } catch (error) {
+      logger.error("Error filing report", error);
+      res.status(500).redirect(isNaN(otherUserId) ? "/" : `/report/${otherUserId}?error=An error occurred`);
+    }
+  });
+
+  router.post("/block/:userId", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      const otherUserId = parseInt(req.params.userId, 10);
+      if (isNaN(otherUserId) || otherUserId === req.user.id) {
+        return res.status(400).redirect("/");
+      }
+
+      const otherUserResult = await pool.query("SELECT 1 FROM users WHERE id = $1", [otherUserId]);
+      if (otherUserResult.rows.length === 0) {
+        return res.status(404).redirect("/");
+      }
+
+      await blockUser(req.user.id, otherUserId);
+      res.redirect("/blocks");
+    } catch (error) {
+      logger.error("Error blocking user", error);
+      res.status(500).redirect("/");
+    }
+  });
+
+  router.get("/blocks", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      const blocksResult = await pool.query(
+        `SELECT b.blocked_id, b.created_at, u.name
+         FROM user_blocks b
+         JOIN users u ON u.id = b.blocked_id
+         WHERE b.blocker_id = $1
+         ORDER BY b.created_at DESC`,
+        [req.user.id]
+      );
+
+      res.render("safety/blocks", { user: req.user, blocks: blocksResult.rows });
+    } catch (error) {
+      logger.error("Error loading blocks", error);
+      res.status(500).render("error", { message: "An error occurred" });
+    }
+  });
+
+  router.post("/blocks/:userId/undo", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      const blockedUserId = parseInt(req.params.userId, 10);
+      if (isNaN(blockedUserId)) {
+        return res.status(400).redirect("/blocks");
+      }
+
+      await unblockUser(req.user.id, blockedUserId);
+      res.redirect("/blocks");
+    } catch (error) {
+      logger.error("Error unblocking user", error);
+      res.status(500).redirect("/blocks");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSafetyRouter };
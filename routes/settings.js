@@ -0,0 +1,417 @@
+// Settings people can change after onboarding: profile, imperfection answers,
+// discovery preferences, taking a break, email, password, two-step sign-in and where you're signed in. Also downloading your data and deleting
+// your account, which work before onboarding is complete too.
+const express = require("express");
+const bcrypt = require("bcryptjs");
+const logger = require("../logger");
+const { appUrl } = require("../mailer");
+const { saveDiscoveryPreferences } = require("../discovery");
+const { updateProfile, updateImperfections, changeEmail } = require("../account");
+const { changePassword } = require("../passwords");
+const { setAvailability } = require("../availability");
+const {
+  RECOVERY_CODE_COUNT,
+  generateTotpSecret,
+  totpSetup,
+  enableTwoFactor,
+  verifySecondFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  countRecoveryCodes
+} = require("../twofactor");
+const { listUserSessions, endUserSession, revokeAppSession, endAllUserSessions } = require("../sessions");
+const { ACCOUNT_DELETION_GRACE_DAYS, exportUserData, scheduleAccountDeletion, cancelAccountDeletion } = require("../privacy");
+const {
+  validateEmail,
+  validatePassword,
+  validateNameAndAge,
+  validateGender,
+  validateImperfectionAnswer,
+  validateDiscoveryPreferences,
+  validateAvailability
+} = require("../validation");
+const { isAuthenticated, isActiveAccount, isOnboardingComplete } = require("../web/middleware");
+
+// "YYYY-MM-DD" in local time, for a date input
+function dateInputValue(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+function createSettingsRouter({ loginLimiter }) {
+  const router = express.Router();
+
+  router.get("/settings", isAuthenticated, isOnboardingComplete, (req, res) => {
+    res.render("settings/index", { user: req.user });
+  });
+
+  // ===== PROFILE =====
+  router.get("/settings/profile", isAuthenticated, isOnboardingComplete, (req, res) => {
+    res.render("settings/profile", { user: req.user, error: req.query.error, saved: Boolean(req.query.saved) });
+  });
+
+  router.post("/settings/profile", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      const nameAndAge = validateNameAndAge(req.body.name, req.body.age);
+      const gender = validateGender(req.body.gender);
+      const error = nameAndAge.error || gender.error;
+      if (error) {
+        return res.status(400).redirect(`/settings/profile?error=${encodeURIComponent(error)}`);
+      }
+
+      await updateProfile(req.user.id, { ...nameAndAge.values, gender: gender.value });
+      res.redirect("/settings/profile?saved=1");
+    } catch (error) {
+      logger.error("Error saving profile", error);
+      res.status(500).redirect("/settings/profile?error=An error occurred");
+    }
+  });
+
+  // ===== IMPERFECTIONS =====
+  router.get("/settings/imperfections", isAuthenticated, isOnboardingComplete, (req, res) => {
+    res.render("settings/imperfections", { user: req.user, error: req.query.error, saved: Boolean(req.query.saved) });
+  });
+
+  router.post("/settings/imperfections", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      const first = validateImperfectionAnswer(req.body.imperfection_1);
+      const second = validateImperfectionAnswer(req.body.imperfection_2);
+      const error = first.error || second.error;
+      if (error) {
+        return res.status(400).redirect(`/settings/imperfections?error=${encodeURIComponent(error)}`);
+      }
+
+      const result = await updateImperfections(req.user, { imperfection_1: first.value, imperfection_2: second.value });
+      res.redirect(result.changed ? "/settings/imperfections?saved=1" : "/settings");
+    } catch (error) {
+      logger.error("Error saving imperfection answers", error);
+      res.status(500).redirect("/settings/imperfections?error=An error occurred");
+    }
+  });
+
+  // ===== PREFERENCES =====
+
+  router.get("/settings/preferences", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    res.render("settings/preferences", { user: req.user, error: req.query.error, saved: Boolean(req.query.saved) });
+  });
+
+  router.post("/settings/preferences", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      const { error, values } = validateDiscoveryPreferences(req.body);
+      if (error) {
+        return res.status(400).redirect(`/settings/preferences?error=${encodeURIComponent(error)}`);
+      }
+
+      await saveDiscoveryPreferences(req.user.id, values, false);
+      logger.info(`User ${req.user.id} updated discovery preferences`);
+      res.redirect("/settings/preferences?saved=1");
+    } catch (error) {
+      logger.error("Error saving discovery preferences", error);
+      res.status(500).redirect("/settings/preferences?error=An error occurred");
+    }
+  });
+
+  // ===== TAKING A BREAK =====
+  router.get("/settings/pause", isAuthenticated, isOnboardingComplete, (req, res) => {
+    const user = req.user;
+    const descriptions = {
+      available: "People can be suggested your profile, and you them.",
+      paused: "Nobody is suggested your profile, and you aren't shown suggestions. Your conversations carry on as usual.",
+      hibernating: "Your profile is hidden and your conversations are paused: they stay saved, nobody can write in them, and the people you're talking with see that you're taking a break."
+    };
+    res.render("settings/pause", {
+      user,
+      error: req.query.error,
+      saved: Boolean(req.query.saved),
+      descriptions,
+      resumeOn: user.resume_at ? dateInputValue(new Date(user.resume_at)) : ""
+    });
+  });
+
+  router.post("/settings/pause", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      const validation = validateAvailability(req.body);
+      if (validation.error) {
+        return res.status(400).redirect(`/settings/pause?error=${encodeURIComponent(validation.error)}`);
+      }
+
+      await setAvailability(req.user.id, validation.values.mode, validation.values.resumeAt);
+      res.redirect(validation.values.mode === "available" ? "/" : "/settings/pause?saved=1");
+    } catch (error) {
+      logger.error("Error saving availability", error);
+      res.status(500).redirect("/settings/pause?error=An error occurred");
+    }
+  });
+
+  // ===== EMAIL =====
+  router.get("/settings/email", isAuthenticated, isOnboardingComplete, (req, res) => {
+    res.render("settings/email", {
+      user: req.user,
+      error: req.query.error,
+      saved: Boolean(req.query.saved),
+      wait: parseInt(req.query.wait, 10) || 0
+    });
+  });
+
+  router.post("/settings/email", isAuthenticated, isOnboardingComplete, loginLimiter, async (req, res) => {
+    try {
+      const { email, current_password } = req.body;
+      if (!email || !validateEmail(email)) {
+        return res.status(400).redirect("/settings/email?error=Please enter a valid email address");
+      }
+      if (!current_password || !(await bcrypt.compare(current_password, req.user.password_hash))) {
+        logger.warn(`Email change with the wrong current password for user: ${req.user.id}`);
+        return res.status(401).redirect("/settings/email?error=Your current password is incorrect");
+      }
+
+      const { error, verification } = await changeEmail(req.user, email, appUrl(req));
+      if (error) {
+        return res.status(400).redirect(`/settings/email?error=${encodeURIComponent(error)}`);
+      }
+      const wait = verification.sent ? "" : `&wait=${verification.retryAfterMinutes}`;
+      res.redirect(`/settings/email?saved=1${wait}`);
+    } catch (error) {
+      logger.error("Error changing email", error);
+      res.status(500).redirect("/settings/email?error=An error occurred");
+    }
+  });
+
+  // ===== PASSWORD =====
+  router.get("/settings/password", isAuthenticated, isOnboardingComplete, (req, res) => {
+    res.render("settings/password", { user: req.user, error: req.query.error, saved: Boolean(req.query.saved) });
+  });
+
+  router.post("/settings/password", isAuthenticated, isOnboardingComplete, loginLimiter, async (req, res) => {
+    try {
+      const { current_password, password, password_confirm } = req.body;
+      if (!validatePassword(password)) {
+        return res.status(400).redirect("/settings/password?error=Password must be at least 8 characters long");
+      }
+      if (password !== password_confirm) {
+        return res.status(400).redirect("/settings/password?error=Passwords do not match");
+      }
+
+      const sessionGeneration = await changePassword(req.user.id, current_password, password);
+      if (sessionGeneration === null) {
+        return res.status(401).redirect("/settings/password?error=Your current password is incorrect");
+      }
+      // Other sessions are now outdated; this one stays signed in
+      req.session.sessionGeneration = sessionGeneration;
+      res.redirect("/settings/password?saved=1");
+    } catch (error) {
+      logger.error("Error changing password", error);
+      res.status(500).redirect("/settings/password?error=An error occurred");
+    }
+  });
+
+  // ===== TWO-STEP SIGN-IN =====
+  router.get("/settings/two-factor", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      const user = req.user;
+      res.render("settings/two-factor", {
+        user,
+        error: req.query.error,
+        turnedOff: req.query.saved === "off",
+        remaining: user.totp_enabled_at ? await countRecoveryCodes(user.id) : 0,
+        RECOVERY_CODE_COUNT
+      });
+    } catch (error) {
+      logger.error("Error loading two-step sign-in settings", error);
+      res.status(500).render("error", { message: "An error occurred", backHref: "/settings", backLabel: "Back to settings" });
+    }
+  });
+
+  // The secret waits in the session until a code from the app shows it was set up
+  router.get("/settings/two-factor/setup", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      if (req.user.totp_enabled_at) {
+        return res.redirect("/settings/two-factor");
+      }
+      if (!req.session.pendingTotpSecret) {
+        req.session.pendingTotpSecret = generateTotpSecret();
+      }
+      const secret = req.session.pendingTotpSecret;
+      const { qrCodeSvg } = await totpSetup(secret, req.user.email);
+      res.render("settings/two-factor-setup", { user: req.user, error: req.query.error, secret, qrCodeSvg });
+    } catch (error) {
+      logger.error("Error starting two-step sign-in setup", error);
+      res.status(500).render("error", { message: "An error occurred", backHref: "/settings", backLabel: "Back to settings" });
+    }
+  });
+
+  router.post("/settings/two-factor/setup", isAuthenticated, isOnboardingComplete, loginLimiter, async (req, res) => {
+    try {
+      const secret = req.session.pendingTotpSecret;
+      if (!secret || req.user.totp_enabled_at) {
+        return res.redirect("/settings/two-factor");
+      }
+
+      const codes = await enableTwoFactor(req.user, secret, req.body.code);
+      if (!codes) {
+        return res.status(400).redirect("/settings/two-factor/setup?error=That code didn't match. Check the time on your phone is right and try the newest code.");
+      }
+      delete req.session.pendingTotpSecret;
+      // Shown once on the next page, never put in a URL
+      req.session.newRecoveryCodes = codes;
+      res.redirect("/settings/two-factor/recovery-codes");
+    } catch (error) {
+      logger.error("Error turning on two-step sign-in", error);
+      res.status(500).redirect("/settings/two-factor/setup?error=An error occurred");
+    }
+  });
+
+  router.get("/settings/two-factor/recovery-codes", isAuthenticated, isOnboardingComplete, (req, res) => {
+    const codes = req.session.newRecoveryCodes;
+    if (!codes) {
+      return res.redirect("/settings/two-factor");
+    }
+    delete req.session.newRecoveryCodes;
+    res.render("settings/recovery-codes", { user: req.user, codes });
+  });
+
+  router.post("/settings/two-factor/recovery-codes", isAuthenticated, isOnboardingComplete, loginLimiter, async (req, res) => {
+    try {
+      if (!req.user.totp_enabled_at) {
+        return res.redirect("/settings/two-factor");
+      }
+      const { current_password } = req.body;
+      if (!current_password || !(await bcrypt.compare(current_password, req.user.password_hash))) {
+        return res.status(401).redirect("/settings/two-factor?error=Your current password is incorrect");
+      }
+
+      req.session.newRecoveryCodes = await regenerateRecoveryCodes(req.user.id);
+      res.redirect("/settings/two-factor/recovery-codes");
+    } catch (error) {
+      logger.error("Error creating recovery codes", error);
+      res.status(500).redirect("/settings/two-factor?error=An error occurred");
+    }
+  });
+
+  // Turning it off asks for both factors again, so an open laptop isn't enough
+  router.post("/settings/two-factor/disable", isAuthenticated, isOnboardingComplete, loginLimiter, async (req, res) => {
+    try {
+      if (!req.user.totp_enabled_at) {
+        return res.redirect("/settings/two-factor");
+      }
+      const { current_password, code } = req.body;
+      if (!current_password || !(await bcrypt.compare(current_password, req.user.password_hash))) {
+        logger.warn(`Turning off two-step sign-in with the wrong current password for user: ${req.user.id}`);
+        return res.status(401).redirect("/settings/two-factor?error=Your current password is incorrect");
+      }
+      if (!(await verifySecondFactor(req.user, code))) {
+        return res.status(401).redirect("/settings/two-factor?error=That code didn't work");
+      }
+
+      await disableTwoFactor(req.user);
+      res.redirect("/settings/two-factor?saved=off");
+    } catch (error) {
+      logger.error("Error turning off two-step sign-in", error);
+      res.status(500).redirect("/settings/two-factor?error=An error occurred");
+    }
+  });
+
+  // ===== WHERE YOU'RE SIGNED IN =====
+  router.get("/settings/sessions", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      const { web, app } = await listUserSessions(req.user.id);
+      res.render("settings/sessions", {
+        user: req.user,
+        error: req.query.error,
+        saved: req.query.saved === "1",
+        web,
+        app,
+        currentSid: req.sessionID
+      });
+    } catch (error) {
+      logger.error("Error loading sessions", error);
+      res.status(500).render("error", { message: "An error occurred", backHref: "/settings", backLabel: "Back to settings" });
+    }
+  });
+
+  router.post("/settings/sessions/app/:id/end", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      await revokeAppSession(req.user.id, parseInt(req.params.id, 10) || 0);
+      res.redirect("/settings/sessions?saved=1");
+    } catch (error) {
+      logger.error("Error signing out the app", error);
+      res.status(500).redirect("/settings/sessions?error=An error occurred");
+    }
+  });
+
+  router.post("/settings/sessions/end-all", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      await endAllUserSessions(req.user.id);
+      req.session.destroy(() => res.redirect("/login?signed_out=everywhere"));
+    } catch (error) {
+      logger.error("Error signing out everywhere", error);
+      res.status(500).redirect("/settings/sessions?error=An error occurred");
+    }
+  });
+
+  // Signing out this device from here works like the usual sign out
+  router.post("/settings/sessions/:id/end", isAuthenticated, isOnboardingComplete, async (req, res) => {
+    try {
+      const { web } = await listUserSessions(req.user.id);
+      const current = web.find((row) => row.sid === req.sessionID);
+      if (current && String(current.id) === req.params.id) {
+        logger.info(`User ${req.user.id} logged out`);
+        return req.session.destroy(() => res.redirect("/login"));
+      }
+      await endUserSession(req.user.id, parseInt(req.params.id, 10) || 0);
+      res.redirect("/settings/sessions?saved=1");
+    } catch (error) {
+      logger.error("Error signing out a session", error);
+      res.status(500).redirect("/settings/sessions?error=An error occurred");
+    }
+  });
+
+  // ===== DATA EXPORT AND ACCOUNT DELETION =====
+  router.get("/settings/export", isAuthenticated, isActiveAccount, async (req, res) => {
+    try {
+      const data = await exportUserData(req.user.id);
+      if (!data) {
+        return res.status(401).redirect("/login");
+      }
+      logger.info(`User ${req.user.id} downloaded their data`);
+      res.attachment(`connect-data-${data.exported_at.slice(0, 10)}.json`);
+      res.type("application/json").send(JSON.stringify(data, null, 2));
+    } catch (error) {
+      logger.error("Error exporting user data", error);
+      res.status(500).render("error", { message: "An error occurred. Please try again.", backHref: "/settings", backLabel: "Back to settings" });
+    }
+  });
+
+  router.get("/settings/delete", isAuthenticated, isActiveAccount, (req, res) => {
+    res.render("settings/delete", { user: req.user, error: req.query.error, graceDays: ACCOUNT_DELETION_GRACE_DAYS });
+  });
+
+  router.post("/settings/delete", isAuthenticated, isActiveAccount, loginLimiter, async (req, res) => {
+    try {
+      const user = req.user;
+      const { current_password } = req.body;
+      if (!current_password || !(await bcrypt.compare(current_password, user.password_hash))) {
+        logger.warn(`Account deletion with the wrong password for user: ${user.id}`);
+        return res.status(401).redirect("/settings/delete?error=Your password is incorrect");
+      }
+
+      await scheduleAccountDeletion(user.id);
+      req.session.destroy(() => res.redirect("/login?deletion=scheduled"));
+    } catch (error) {
+      logger.error("Error scheduling account deletion", error);
+      res.status(500).redirect("/settings/delete?error=An error occurred");
+    }
+  });
+
+  router.post("/settings/delete/cancel", isAuthenticated, isActiveAccount, async (req, res) => {
+    try {
+      await cancelAccountDeletion(req.user.id);
+      res.redirect("/");
+    } catch (error) {
+      logger.error("Error keeping account", error);
+      res.status(500).redirect("/settings/delete?error=An error occurred");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSettingsRouter };
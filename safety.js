@@ -0,0 +1,80 @@
+// Safety module
+// Blocking and reporting, shared by the HTML routes and the JSON API.
+// A block works both ways: neither person is suggested to the other, neither can
+// start a conversation, and any existing conversation between them is closed.
+const pool = require("./db");
+const logger = require("./logger");
+
+// How many of the latest messages are copied into a report
+const REPORT_SNAPSHOT_MESSAGES = 20;
+
+// The block between two people in either direction, or null
+async function findBlock(userIdA, userIdB) {
+  const result = await pool.query(
+    `SELECT blocker_id, blocked_id, created_at FROM user_blocks
+     WHERE (blocker_id = $1 AND blocked_id = $2) OR (blocker_id = $2 AND blocked_id = $1)
+     LIMIT 1`,
+    [userIdA, userIdB]
+  );
+  return result.rows[0] || null;
+}
+
+async function blockUser(blockerId, blockedId) {
+  await pool.query(
+    "INSERT INTO user_blocks (blocker_id, blocked_id) VALUES ($1, $2) ON CONFLICT (blocker_id, blocked_id) DO NOTHING",
+    [blockerId, blockedId]
+  );
+  logger.info(`User ${blockerId} blocked user ${blockedId}`);
+}
+
+// Returns false if there was no block to remove
+async function unblockUser(blockerId, blockedId) {
+  const result = await pool.query(
+    "DELETE FROM user_blocks WHERE blocker_id = $1 AND blocked_id = $2",
+    [blockerId, blockedId]
+  );
+  if (result.rowCount > 0) {
+    logger.info(`User ${blockerId} unblocked user ${blockedId}`);
+  }
+  return result.rowCount > 0;
+}
+
+// Store a report for moderators. If the two people have a conversation, the latest
+// messages are copied so the report still makes sense if messages change later.
+async function createReport(reporterId, reportedId, values) {
+  const connectionResult = await pool.query(
+    `SELECT id FROM connections
+     WHERE (user1_id = $1 AND user2_id = $2) OR (user1_id = $2 AND user2_id = $1)`,
+    [reporterId, reportedId]
+  );
+  const connectionId = connectionResult.rows[0]?.id || null;
+
+  let snapshot = [];
+  if (connectionId) {
+    const messagesResult = await pool.query(
+      `SELECT id, sender_id, message_text, created_at FROM messages
+       WHERE connection_id = $1
+       ORDER BY created_at DESC
+       LIMIT $2`,
+      [connectionId, REPORT_SNAPSHOT_MESSAGES]
+    );
+    snapshot = messagesResult.rows.reverse();
+  }
+
+  const result = await pool.query(
+    `INSERT INTO reports (reporter_id, reported_id, connection_id, category, details, message_snapshot)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+    [reporterId, reportedId, connectionId, values.category, values.details || null, JSON.stringify(snapshot)]
+  );
+
+  logger.warn(`Report ${result.rows[0].id} filed by user ${reporterId} against user ${reportedId} (${values.category})`);
+  return result.rows[0].id;
+}
+
+module.exports = {
+  REPORT_SNAPSHOT_MESSAGES,
+  findBlock,
+  blockUser,
+  unblockUser,
+  createReport
+};
@@ -0,0 +1,428 @@
+// Seed data
+// Generates onboarded people and conversations for local development and demos.
+// The same seed value always produces the same people, answers and messages, so a
+// bug found on seeded data can be reproduced. Timestamps are relative to when it runs.
+// Everything is flagged is_test_data, so "connect-admin purge-test-data" removes it
+// (and everything it touched) without affecting real accounts.
+const bcrypt = require("bcryptjs");
+const pool = require("./db");
+const logger = require("./logger");
+const compatibility = require("./compatibility");
+const { scoreConversationQuality, avatarEvolution } = require("./quality");
+const { isRepetitiveMessage } = require("./conversations");
+const { CLOSING_NOTES } = require("./validation");
+const { GHOSTING_ARCHIVE_DAYS } = require("./ghosting");
+
+const DEMO_PASSWORD = "connect-demo";
+const DEFAULT_SEED_USERS = 20;
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// ===== RANDOMNESS =====
+
+// FNV-1a, so string seeds ("demo", "bug-123") work as well as numbers
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+// mulberry32: small, fast and the same on every platform
+function createRandom(seed) {
+  let state = hashSeed(seed);
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  return {
+    next,
+    int,
+    chance: (probability) => next() < probability,
+    pick: (items) => items[Math.floor(next() * items.length)],
+    // A random subset with at least one item, in the original order
+    subset: (items) => {
+      const chosen = items.filter(() => next() < 0.5);
+      return chosen.length > 0 ? chosen : [items[int(0, items.length - 1)]];
+    }
+  };
+}
+
+// ===== WORD BANKS =====
+
+const FIRST_NAMES = {
+  woman: ["Maya", "Priya", "Amara", "Sofia", "Hannah", "Yuki", "Leila", "Grace", "Ines", "Chloe", "Nadia", "Ruth", "Zanele", "Mei", "Isabel"],
+  man: ["Daniel", "Tom", "Kwame", "Mateo", "Arjun", "Felix", "Omar", "Luca", "Ben", "Hiroshi", "Samuel", "Diego", "Ravi", "Jonah", "Emeka"],
+  nonbinary: ["Sam", "Alex", "Robin", "Kai", "Rowan", "Jules", "Sasha", "Ari", "River", "Noor"]
+};
+
+const GENDER_ANSWERS = {
+  woman: ["Woman", "Woman", "Female", "Trans woman", "Cis woman"],
+  man: ["Man", "Man", "Male", "Trans man", "Guy"],
+  nonbinary: ["Non-binary", "Genderqueer", "Non-binary", "Agender", "Genderfluid"]
+};
+
+// Answers to "When I'm stressed or overwhelmed, I usually..."
+const IMPERFECTIONS_1 = [
+  "go quiet and tidy everything in sight before I'm ready to talk about what's bothering me.",
+  "make lists, then lists of my lists, and forget to eat lunch.",
+  "crack jokes when things get serious, even when a joke isn't what anyone needs.",
+  "go for a long walk and rehearse the whole conversation in my head.",
+  "get short with people and then apologise an hour later.",
+  "say yes to everything and then quietly panic about my calendar.",
+  "retreat into a book or a game until the world feels smaller again.",
+  "call my sister and talk for an hour without getting to the point.",
+  "clean the kitchen at midnight because it's the one thing I can control.",
+  "overthink every message I send and rewrite it five times.",
+  "pretend everything is fine until it very obviously isn't.",
+  "bake far too much bread and give it to the neighbours.",
+  "go to the gym and lift heavy things until my head clears.",
+  "cancel plans and then feel guilty about cancelling plans.",
+  "need a lot of time alone before I can explain how I feel."
+];
+
+// Answers to "People close to me sometimes wish I was better at..."
+const IMPERFECTIONS_2 = [
+  "letting people help me instead of insisting I've got it all handled.",
+  "replying to messages within the same week.",
+  "saying what I actually want for dinner instead of \"anything is fine\".",
+  "not taking on every problem as mine to fix.",
+  "putting my phone away when we're together.",
+  "being on time, or at least texting when I'm running late.",
+  "asking for what I need before I'm already frustrated.",
+  "remembering birthdays without a reminder on my phone.",
+  "staying in touch with friends who live far away.",
+  "letting small things go instead of bringing them up again later.",
+  "slowing down and actually enjoying a weekend off.",
+  "hearing feedback without immediately getting defensive.",
+  "talking about feelings before they turn into a big conversation.",
+  "finishing the projects I get excited about and then abandon."
+];
+
+const INTENT_KEYS = ["long_term", "long_term", "open", "friendship_first"];
+const GENDER_KEYS = ["woman", "woman", "man", "man", "nonbinary"];
+
+const REACTIONS = [
+  "That makes a lot of sense.",
+  "I love that.",
+  "Ha, I relate to that more than I'd like to admit.",
+  "That's such a good way to put it.",
+  "Oh, I didn't expect that answer, in a good way.",
+  "Honestly that sounds lovely.",
+  "I've been thinking about what you said earlier.",
+  "That's really kind of you to share."
+];
+
+const SHARES = [
+  "I spent most of last weekend repotting plants and talking to them, which my flatmate finds very funny.",
+  "I grew up by the sea, so whenever I feel stuck I still go and find some water to sit next to.",
+  "I've been learning to cook the dishes my grandmother used to make, and failing at about half of them.",
+  "Work has been busy, but I've started leaving my laptop at the office, and it's made a real difference.",
+  "I took a pottery class last month and made the most lopsided mug you've ever seen. I use it every day.",
+  "I'm slowly reading my way through a stack of books friends have lent me over the years.",
+  "My idea of a perfect evening is a long dinner where nobody checks the time.",
+  "I moved here two years ago and I'm only now starting to feel like it's home.",
+  "I volunteer at a community garden on Saturdays, mostly pulling weeds and chatting.",
+  "I'm trying to get better at saying no to things so I have energy for the people I care about.",
+  "Running used to feel like punishment, but now it's the only time my head is quiet.",
+  "I still write letters to one old friend, on actual paper, and it's my favourite habit.",
+  "I'm a bit of a homebody, but I'll happily travel anywhere for good food.",
+  "The last concert I went to was a tiny jazz trio in a basement, and I haven't stopped thinking about it."
+];
+
+const QUESTIONS = [
+  "What does a really good Sunday look like for you?",
+  "What's something you've changed your mind about recently?",
+  "Who in your life makes you laugh the most?",
+  "What's a small thing that always makes your day better?",
+  "Where do you go when you need to think?",
+  "What are you looking forward to this month?",
+  "What's the best advice anyone has given you?",
+  "What did you want to be when you were little?",
+  "How do you like to spend time with people you're close to?",
+  "Is there a place you'd love to go back to?",
+  "What's something you're quietly proud of?",
+  "What does feeling at home mean to you?"
+];
+
+const SHORT_MESSAGES = ["hey", "hi", "ok", "lol", "yeah", "cool", "haha nice", "sure", "k", "nice", "same", "yep"];
+
+// What each generated conversation looks like. Picked in turn, so every state and
+// kind of message history appears once there are enough people.
+const SCENARIOS = [
+  { name: "deep", state: "connected", messages: [12, 24], style: "deep" },
+  { name: "one_sided", state: "connected", messages: [8, 14], style: "one_sided" },
+  { name: "just_opened", state: "exploring", messages: [0, 0], style: "deep" },
+  { name: "shallow", state: "connected", messages: [6, 12], style: "shallow" },
+  { name: "fading", state: "connected", messages: [8, 14], style: "fading", quietDays: [6, 12] },
+  { name: "closed_kindly", state: "archived", messages: [6, 12], style: "deep", archivedReason: "closed_kindly", quietDays: [2, 20] },
+  { name: "went_quiet", state: "archived", messages: [4, 8], style: "fading", archivedReason: "went_quiet", quietDays: [25, 40] },
+  { name: "getting_started", state: "connected", messages: [2, 5], style: "deep" }
+];
+
+// ===== GENERATOR =====
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function generateUser(random, index, seedSlug) {
+  const genderKey = random.pick(GENDER_KEYS);
+  const name = random.pick(FIRST_NAMES[genderKey]);
+  const age = random.chance(0.8) ? random.int(23, 45) : random.int(18, 70);
+  return {
+    index,
+    email: `${name.toLowerCase()}.${index + 1}@seed-${seedSlug}.example.test`,
+    name,
+    age,
+    gender: random.pick(GENDER_ANSWERS[genderKey]),
+    gender_category: genderKey,
+    interested_in: random.subset(["woman", "man", "nonbinary"]),
+    preferred_age_min: Math.max(18, age - random.int(3, 10)),
+    preferred_age_max: age + random.int(3, 12),
+    intent: random.pick(INTENT_KEYS),
+    imperfection_1: capitalize(random.pick(IMPERFECTIONS_1)),
+    imperfection_2: capitalize(random.pick(IMPERFECTIONS_2))
+  };
+}
+
+function deepMessage(random, isFirst) {
+  const parts = [];
+  if (!isFirst) parts.push(random.pick(REACTIONS));
+  parts.push(random.pick(SHARES));
+  if (isFirst || random.chance(0.6)) parts.push(random.pick(QUESTIONS));
+  return parts.join(" ");
+}
+
+// Messages as { sender (0 or 1), text, at }, oldest first
+function generateMessages(random, scenario, count, now) {
+  const messages = [];
+  let at = 0;
+  let sender = random.int(0, 1);
+
+  for (let i = 0; i < count; i++) {
+    // After the first message people mostly take turns, with the odd double message
+    if (i > 0 && random.chance(0.85)) sender = 1 - sender;
+    const laterHalf = i >= count / 2;
+
+    let text;
+    if (scenario.style === "shallow") {
+      text = random.pick(SHORT_MESSAGES);
+    } else if (scenario.style === "one_sided") {
+      text = sender === 0 ? deepMessage(random, i === 0) : random.pick(SHORT_MESSAGES);
+    } else if (scenario.style === "fading" && laterHalf) {
+      text = random.pick(SHORT_MESSAGES);
+    } else {
+      text = deepMessage(random, i === 0);
+    }
+
+    // Replies come quickly in good conversations; fading ones and short repliers take longer
+    const slow = (scenario.style === "one_sided" && sender === 1) || (scenario.style === "fading" && laterHalf);
+    at += slow ? random.int(12, 48) * HOUR_MS : random.int(5, 360) * MINUTE_MS;
+    messages.push({ sender, text, at });
+  }
+
+  // Shift the whole conversation so it ends a little while ago (or quietDays ago)
+  const end = now - (scenario.quietDays ? random.int(...scenario.quietDays) * DAY_MS : random.int(10, 600) * MINUTE_MS);
+  const shift = end - at;
+  return messages.map((message) => ({ ...message, at: message.at + shift }));
+}
+
+// All pairs of people, in a random order
+function shuffledPairs(random, userCount) {
+  const pairs = [];
+  for (let a = 0; a < userCount; a++) {
+    for (let b = a + 1; b < userCount; b++) pairs.push([a, b]);
+  }
+  for (let i = pairs.length - 1; i > 0; i--) {
+    const j = Math.floor(random.next() * (i + 1));
+    [pairs[i], pairs[j]] = [pairs[j], pairs[i]];
+  }
+  return pairs;
+}
+
+// Pure: the same options always give the same people and conversations.
+// Returns { users, connections }, where connections refer to people by index.
+function generateSeedData({ users = DEFAULT_SEED_USERS, seed = 1, now = Date.now() } = {}) {
+  const random = createRandom(seed);
+  const seedSlug = String(seed).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "0";
+
+  const people = Array.from({ length: users }, (_, index) => generateUser(random, index, seedSlug));
+
+  const pairs = shuffledPairs(random, users);
+  const connectionCount = Math.min(pairs.length, Math.max(SCENARIOS.length, users));
+  const connections = pairs.slice(0, connectionCount).map((pair, i) => {
+    const scenario = SCENARIOS[i % SCENARIOS.length];
+    // pair[0] is the one who writes at length in one-sided conversations
+    const [a, b] = random.chance(0.5) ? pair : [pair[1], pair[0]];
+    const messages = generateMessages(random, scenario, random.int(...scenario.messages), now);
+
+    let archivedBy = null;
+    if (scenario.archivedReason === "closed_kindly") {
+      archivedBy = random.int(0, 1);
+      const last = messages[messages.length - 1];
+      messages.push({ sender: archivedBy, text: random.pick(Object.values(CLOSING_NOTES)), at: last.at + random.int(5, 60) * MINUTE_MS });
+    }
+
+    return {
+      scenario: scenario.name,
+      state: scenario.state,
+      archivedReason: scenario.archivedReason || null,
+      archivedBy,
+      userIndexes: [a, b],
+      messages
+    };
+  });
+
+  return { users: people, connections };
+}
+
+// ===== WRITING TO THE DATABASE =====
+
+async function insertConnection(client, connection, userIds) {
+  const ids = connection.userIndexes.map((index) => userIds[index]);
+  const [user1Id, user2Id] = [Math.min(...ids), Math.max(...ids)];
+  const senderId = (sender) => ids[sender];
+  const lastMessage = connection.messages[connection.messages.length - 1];
+  // Closed with a note: archived as the note was sent. Went quiet: archived by the ghosting check.
+  const archivedAt = connection.state !== "archived" ? null
+    : connection.archivedReason === "went_quiet" ? new Date(lastMessage.at + GHOSTING_ARCHIVE_DAYS * DAY_MS)
+      : new Date(lastMessage.at);
+  const createdAt = new Date(connection.messages.length ? connection.messages[0].at - HOUR_MS : Date.now() - DAY_MS);
+
+  const result = await client.query(
+    `INSERT INTO connections (user1_id, user2_id, connection_state, created_at, last_message_at, message_count,
+                              last_activity_user1, last_activity_user2, archived_at, archived_reason, archived_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $5, $5, $7, $8, $9)
+     RETURNING *`,
+    [
+      user1Id, user2Id, connection.state, createdAt,
+      lastMessage ? new Date(lastMessage.at) : null,
+      connection.messages.length,
+      archivedAt,
+      connection.archivedReason,
+      connection.archivedBy === null ? null : senderId(connection.archivedBy)
+    ]
+  );
+  const row = result.rows[0];
+
+  const stored = [];
+  for (const message of connection.messages) {
+    const isRepetitive = isRepetitiveMessage(message.text, stored.slice(-10).reverse());
+    const inserted = await client.query(
+      `INSERT INTO messages (connection_id, sender_id, message_text, message_length, is_repetitive, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [row.id, senderId(message.sender), message.text, message.text.length, isRepetitive, new Date(message.at)]
+    );
+    stored.push(inserted.rows[0]);
+  }
+
+  // Scored the same way as a conversation people had in the app
+  const participants = [user1Id, user2Id];
+  const { score, factors } = scoreConversationQuality(stored, participants);
+  const evolution = avatarEvolution(score, stored, participants);
+  await client.query(
+    `UPDATE connections SET conversation_quality_score = $1, conversation_quality_factors = $2, mutual_avatar_evolution = $3
+     WHERE id = $4`,
+    [score, JSON.stringify(factors), evolution, row.id]
+  );
+  await client.query(
+    "UPDATE users SET avatar_evolution = GREATEST(avatar_evolution, $1) WHERE id = ANY($2)",
+    [evolution, participants]
+  );
+  await compatibility.recordConversationSignal(client, { ...row, conversation_quality_score: score, message_count: stored.length });
+}
+
+// Writes generated data in one transaction. Refuses if this seed was already used,
+// since the same seed always produces the same email addresses.
+async function seedDatabase({ users = DEFAULT_SEED_USERS, seed = 1, password = DEMO_PASSWORD, now = Date.now() } = {}) {
+  const data = generateSeedData({ users, seed, now });
+  const existing = await pool.query(
+    "SELECT COUNT(*)::int as count FROM users WHERE email = ANY($1)",
+    [data.users.map((user) => user.email)]
+  );
+  if (existing.rows[0].count > 0) {
+    return { alreadySeeded: true, users: [], connections: [] };
+  }
+
+  const passwordHash = await bcrypt.hash(password, 10);
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const userIds = [];
+    for (const user of data.users) {
+      const result = await client.query(
+        `INSERT INTO users (email, password_hash, name, age, gender, gender_category, imperfection_1, imperfection_2,
+                            interested_in, preferred_age_min, preferred_age_max, intent, onboarding_complete, is_test_data,
+                            email_verified)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, TRUE, TRUE, TRUE)
+         RETURNING *`,
+        [user.email, passwordHash, user.name, user.age, user.gender, user.gender_category, user.imperfection_1,
+          user.imperfection_2, user.interested_in, user.preferred_age_min, user.preferred_age_max, user.intent]
+      );
+      userIds.push(result.rows[0].id);
+      user.id = result.rows[0].id;
+    }
+
+    for (const connection of data.connections) {
+      await insertConnection(client, connection, userIds);
+      const [a, b] = connection.userIndexes.map((index) => data.users[index]);
+      await compatibility.recordImperfectionSignal(client, a, b);
+    }
+
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  logger.info(`Seeded ${data.users.length} people and ${data.connections.length} conversations (seed ${seed})`);
+  return { alreadySeeded: false, ...data };
+}
+
+async function countTestData() {
+  const result = await pool.query("SELECT COUNT(*)::int as count FROM users WHERE is_test_data = TRUE");
+  return result.rows[0].count;
+}
+
+// Deletes every test account with their connections, messages, reports and so on.
+// Deleting a user keeps conversations and reports for the other person, so those go first.
+async function purgeTestData() {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const testUsers = "SELECT id FROM users WHERE is_test_data = TRUE";
+    await client.query(`DELETE FROM reports WHERE reporter_id IN (${testUsers}) OR reported_id IN (${testUsers})`);
+    await client.query(`DELETE FROM connections WHERE user1_id IN (${testUsers}) OR user2_id IN (${testUsers})`);
+    const result = await client.query("DELETE FROM users WHERE is_test_data = TRUE");
+    await client.query("COMMIT");
+    logger.warn(`Purged ${result.rowCount} test account(s)`);
+    return result.rowCount;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  DEMO_PASSWORD,
+  DEFAULT_SEED_USERS,
+  SCENARIOS,
+  createRandom,
+  generateSeedData,
+  seedDatabase,
+  countTestData,
+  purgeTestData
+};
@@ -0,0 +1,33 @@
+// Entry point: checks the schema, serves the app and runs the background jobs
+require("dotenv").config();
+
+const logger = require("./logger");
+const { createApp } = require("./app");
+const { startGhostingDetector } = require("./ghosting");
+const { UPLOADS_DIR } = require("./photos");
+const { startAccountDeletionJob } = require("./privacy");
+const { startAutoResumeJob } = require("./availability");
+const { startSessionCleanup } = require("./sessions");
+const { assertMigrationsCurrent } = require("./migrator");
+
+// ===== ERROR HANDLER MIDDLEWARE =====
+process.on('unhandledRejection', (err) => {
+  logger.error("Unhandled Rejection", err);
+});
+
+const PORT = process.env.PORT || 3000;
+// Refuse to serve on a schema that doesn't match the code
+assertMigrationsCurrent()
+  .then(() => {
+    createApp().listen(PORT, () => {
+      logger.info(`Connect app running at http://localhost:${PORT}`);
+      startGhostingDetector();
+      startAccountDeletionJob(UPLOADS_DIR);
+      startAutoResumeJob();
+      startSessionCleanup();
+    });
+  })
+  .catch((error) => {
+    logger.error(`Not starting: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,216 @@
+// Web sessions
+// express-session keeps its sessions in Postgres (user_sessions) so they survive deploys
+// and are shared by every app instance. Each row also notes whose session it is, the
+// browser and roughly where it signed in from, for the "Where you're signed in" page.
+// API tokens are listed on the same page, as the Connect app.
+const session = require("express-session");
+const pool = require("./db");
+const logger = require("./logger");
+const realtime = require("./realtime");
+
+const SESSION_MAX_AGE_DAYS = 30;
+const SESSION_CLEANUP_MINUTES = 60;
+// Last seen is kept to the minute rather than written on every request
+const LAST_SEEN_INTERVAL_SECONDS = 60;
+
+function expiresAt(sess) {
+  const expires = sess.cookie && sess.cookie.expires;
+  return expires ? new Date(expires) : new Date(Date.now() + SESSION_MAX_AGE_DAYS * 24 * 60 * 60 * 1000);
+}
+
+class PgSessionStore extends session.Store {
+  get(sid, callback) {
+    pool.query("SELECT sess FROM user_sessions WHERE sid = $1 AND expires_at > CURRENT_TIMESTAMP", [sid])
+      .then((result) => callback(null, result.rows[0] ? result.rows[0].sess : null))
+      .catch(callback);
+  }
+
+  set(sid, sess, callback) {
+    const device = sess.device || {};
+    pool.query(
+      `INSERT INTO user_sessions (sid, sess, expires_at, user_id, user_agent, ip_address)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (sid) DO UPDATE SET sess = EXCLUDED.sess, expires_at = EXCLUDED.expires_at,
+         user_id = EXCLUDED.user_id, user_agent = EXCLUDED.user_agent, ip_address = EXCLUDED.ip_address,
+         last_seen_at = CURRENT_TIMESTAMP`,
+      [sid, JSON.stringify(sess), expiresAt(sess), sess.userId || null, device.userAgent || null, device.ip || null]
+    )
+      .then(() => callback && callback(null))
+      .catch((error) => callback && callback(error));
+  }
+
+  destroy(sid, callback) {
+    realtime.endSessionStreams(sid);
+    pool.query("DELETE FROM user_sessions WHERE sid = $1", [sid])
+      .then(() => callback && callback(null))
+      .catch((error) => callback && callback(error));
+  }
+
+  touch(sid, sess, callback) {
+    pool.query(
+      `UPDATE user_sessions SET expires_at = $2, last_seen_at = CURRENT_TIMESTAMP
+       WHERE sid = $1 AND last_seen_at < CURRENT_TIMESTAMP - make_interval(secs => $3)`,
+      [sid, expiresAt(sess), LAST_SEEN_INTERVAL_SECONDS]
+    )
+      .then(() => callback && callback(null))
+      .catch((error) => callback && callback(error));
+  }
+}
+
+// Only the network, never the exact address: 203.0.113.42 -> 203.0.113.0
+function approximateIp(ip) {
+  if (!ip) return null;
+  const v4 = /^(?:::ffff:)?(\d+\.\d+\.\d+)\.\d+$/.exec(ip);
+  if (v4) return `${v4[1]}.0`;
+  const groups = ip.split(":").filter(Boolean).slice(0, 3);
+  return groups.length > 0 ? `${groups.join(":")}::` : null;
+}
+
+// "Firefox on Windows", from the User-Agent header
+function describeDevice(userAgent) {
+  if (!userAgent) return "Unknown device";
+  const browser = [
+    [/Edg\//, "Edge"],
+    [/OPR\/|Opera/, "Opera"],
+    [/Firefox\//, "Firefox"],
+    [/Chrome\/|CriOS\//, "Chrome"],
+    [/Safari\//, "Safari"]
+  ].find(([pattern]) => pattern.test(userAgent));
+  const system = [
+    [/iPhone/, "iPhone"],
+    [/iPad/, "iPad"],
+    [/Android/, "Android"],
+    [/Windows/, "Windows"],
+    [/Mac OS X|Macintosh/, "macOS"],
+    [/CrOS/, "ChromeOS"],
+    [/Linux/, "Linux"]
+  ].find(([pattern]) => pattern.test(userAgent));
+  if (!browser && !system) return "Unknown device";
+  if (!system) return browser[1];
+  if (!browser) return system[1];
+  return `${browser[1]} on ${system[1]}`;
+}
+
+// Signs someone in under a new session id, so an id someone planted before sign-in is
+// worth nothing after it, and notes the device for the sessions page
+function startUserSession(req, user) {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate((error) => {
+      if (error) return reject(error);
+      req.session.userId = user.id;
+      req.session.sessionGeneration = user.session_generation || 0;
+      req.session.device = {
+        userAgent: (req.get("User-Agent") || "").slice(0, 500),
+        ip: approximateIp(req.ip)
+      };
+      resolve();
+    });
+  });
+}
+
+// Where someone is signed in: web sessions (current ones only, not those signed out by a
+// password change) and API tokens, most recently seen first
+async function listUserSessions(userId) {
+  const [web, app] = await Promise.all([
+    pool.query(
+      `SELECT s.id, s.sid, s.user_agent, s.ip_address, s.created_at, s.last_seen_at
+       FROM user_sessions s JOIN users u ON u.id = s.user_id
+       WHERE s.user_id = $1 AND s.expires_at > CURRENT_TIMESTAMP
+       AND COALESCE((s.sess->>'sessionGeneration')::int, 0) = u.session_generation
+       ORDER BY s.last_seen_at DESC`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT id, created_at, COALESCE(last_used_at, created_at) AS last_seen_at
+       FROM api_tokens
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       ORDER BY last_seen_at DESC`,
+      [userId]
+    )
+  ]);
+  return {
+    web: web.rows.map((row) => ({ ...row, device: describeDevice(row.user_agent) })),
+    app: app.rows
+  };
+}
+
+// Returns false if there was no such session of theirs
+async function endUserSession(userId, id) {
+  const result = await pool.query("DELETE FROM user_sessions WHERE id = $1 AND user_id = $2 RETURNING sid", [id, userId]);
+  if (result.rowCount > 0) {
+    realtime.endSessionStreams(result.rows[0].sid);
+    logger.info(`User ${userId} signed out session ${id}`);
+  }
+  return result.rowCount > 0;
+}
+
+// Whether a session is still signed in to an active account: not signed out, not ended
+// by a new password, and the account not deactivated or scheduled for deletion
+async function isSessionCurrent(sid, userId) {
+  const result = await pool.query(
+    `SELECT 1 FROM user_sessions s JOIN users u ON u.id = s.user_id
+     WHERE s.sid = $1 AND s.user_id = $2 AND s.expires_at > CURRENT_TIMESTAMP
+     AND COALESCE((s.sess->>'sessionGeneration')::int, 0) = u.session_generation
+     AND u.active AND u.deletion_scheduled_at IS NULL`,
+    [sid, userId]
+  );
+  return result.rows.length > 0;
+}
+
+async function revokeAppSession(userId, tokenId) {
+  const result = await pool.query(
+    "UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL",
+    [tokenId, userId]
+  );
+  if (result.rowCount > 0) {
+    logger.info(`User ${userId} signed out the app (token ${tokenId})`);
+  }
+  return result.rowCount > 0;
+}
+
+// Every browser and every app, this one included
+async function endAllUserSessions(userId) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query("DELETE FROM user_sessions WHERE user_id = $1", [userId]);
+    await client.query(
+      "UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL",
+      [userId]
+    );
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+  realtime.endUserStreams(userId);
+  logger.info(`User ${userId} signed out everywhere`);
+}
+
+async function pruneExpiredSessions() {
+  const result = await pool.query("DELETE FROM user_sessions WHERE expires_at <= CURRENT_TIMESTAMP");
+  return result.rowCount;
+}
+
+function startSessionCleanup() {
+  const run = () => pruneExpiredSessions().catch((error) => logger.error("Session cleanup failed", error));
+  setTimeout(run, 40 * 1000).unref();
+  setInterval(run, SESSION_CLEANUP_MINUTES * 60 * 1000).unref();
+}
+
+module.exports = {
+  SESSION_MAX_AGE_DAYS,
+  PgSessionStore,
+  approximateIp,
+  describeDevice,
+  startUserSession,
+  listUserSessions,
+  endUserSession,
+  isSessionCurrent,
+  revokeAppSession,
+  endAllUserSessions,
+  pruneExpiredSessions,
+  startSessionCleanup
+};
@@ -0,0 +1,171 @@
+// Data export and account deletion: the grace period, keeping the account, and what the
+// other person sees once it's gone
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { PASSWORD, startTestApp, createClient, registerAndOnboard, verifyEmail } = require("./helpers");
+const { purgeAccount, purgeDeletedAccounts } = require("../privacy");
+
+describe("data export and account deletion", () => {
+  let testApp;
+  let ana;
+  let ben;
+  let cy;
+  let anaId;
+  let connectionId;
+
+  const scheduledFor = async () =>
+    (await testApp.pool.query("SELECT deletion_scheduled_at FROM users WHERE id = $1", [anaId])).rows[0]?.deletion_scheduled_at;
+
+  before(async () => {
+    testApp = await startTestApp();
+    ana = createClient(testApp.baseUrl);
+    ben = createClient(testApp.baseUrl);
+    cy = createClient(testApp.baseUrl);
+    await registerAndOnboard(ana, { email: "ana@example.test", name: "Ana", age: 28, genderCategory: "woman", interestedIn: ["man"] });
+    await registerAndOnboard(ben, { email: "ben@example.test", name: "Ben", age: 30, genderCategory: "man", interestedIn: ["woman"] });
+    await registerAndOnboard(cy, { email: "cy@example.test", name: "Cy", age: 32, genderCategory: "man", interestedIn: ["woman"] });
+    for (const [client, email] of [[ana, "ana@example.test"], [ben, "ben@example.test"], [cy, "cy@example.test"]]) {
+      await verifyEmail(client, testApp.mail, email);
+    }
+    anaId = (await testApp.pool.query("SELECT id FROM users WHERE email = 'ana@example.test'")).rows[0].id;
+
+    await ben.get("/");
+    const started = await ben.post(`/start-conversation/${anaId}`);
+    connectionId = parseInt(/\/connection\/(\d+)/.exec(started.location)[1], 10);
+    await ben.post(`/connection/${connectionId}/message`, { message: "What does a good weekend look like for you?" });
+    await ana.post(`/connection/${connectionId}/message`, { message: "A long swim in the sea and a slow dinner with friends." });
+    await ben.post(`/report/${anaId}`, { category: "other", details: "Testing that reports outlive accounts" });
+
+    // A photo on disk, as if uploaded
+    fs.mkdirSync(path.join(testApp.uploadsDir, String(anaId)));
+    fs.writeFileSync(path.join(testApp.uploadsDir, String(anaId), "photo-full.jpg"), "not really a photo");
+  });
+
+  after(async () => {
+    await testApp.close();
+  });
+
+  it("exports what we store as a JSON download", async () => {
+    const res = await ana.get("/settings/export");
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-disposition"), /^attachment; filename="connect-data-\d{4}-\d{2}-\d{2}\.json"$/);
+
+    const data = res.json();
+    assert.equal(data.profile.email, "ana@example.test");
+    assert.equal(data.imperfection_answers.current.imperfection_1, "I go quiet for a day when I'm stressed about work");
+    assert.deepEqual(data.connections.map((c) => c.other_user.name), ["Ben"]);
+    assert.deepEqual(data.messages_sent.map((m) => m.message_text), ["A long swim in the sea and a slow dinner with friends."]);
+    assert.ok(Array.isArray(data.profile_views));
+    assert.equal(data.profile.password_hash, undefined);
+
+    const api = await ana.api("GET", "/me/export");
+    assert.equal(api.json().profile.email, "ana@example.test");
+  });
+
+  it("asks for the password before deleting", async () => {
+    const res = await ana.post("/settings/delete", { current_password: "not my password" });
+    assert.match(res.location, /^\/settings\/delete\?error=/);
+    assert.equal(await scheduledFor(), null);
+  });
+
+  it("hides the account and signs it out everywhere", async () => {
+    assert.match((await cy.get("/")).text, new RegExp(`href="/profile/${anaId}"`));
+    const otherDevice = createClient(testApp.baseUrl);
+    await otherDevice.post("/login", { email: "ana@example.test", password: PASSWORD });
+
+    const res = await ana.post("/settings/delete", { current_password: PASSWORD });
+    assert.equal(res.location, "/login?deletion=scheduled");
+    const days = (new Date(await scheduledFor()) - Date.now()) / (24 * 60 * 60 * 1000);
+    assert.ok(days > 13 && days <= 14, `scheduled ${days} days from now`);
+
+    assert.equal((await otherDevice.get("/")).location, "/login");
+    assert.doesNotMatch((await cy.get("/")).text, new RegExp(`href="/profile/${anaId}"`));
+    const views = async () => (await testApp.pool.query("SELECT COUNT(*)::int AS count FROM profile_views WHERE viewed_id = $1", [anaId])).rows[0].count;
+    const viewsBefore = await views();
+    const profile = await cy.get(`/profile/${anaId}`);
+    assert.equal(profile.status, 404);
+    assert.doesNotMatch(profile.text, /Ana/);
+    assert.equal((await cy.api("GET", `/profiles/${anaId}`)).status, 404);
+    assert.equal(await views(), viewsBefore, "the visit isn't recorded");
+    const login = await createClient(testApp.baseUrl).api("POST", "/auth/login", { json: { email: "ana@example.test", password: PASSWORD } });
+    assert.equal(login.status, 403);
+    assert.equal(login.json().error.code, "deletion_scheduled");
+  });
+
+  it("lets people keep their account by signing in during the grace period", async () => {
+    const login = await ana.post("/login", { email: "ana@example.test", password: PASSWORD });
+    assert.equal(login.location, "/settings/delete");
+    assert.equal((await ana.get("/")).location, "/settings/delete");
+    assert.match((await ana.get("/settings/delete")).text, /Keep my account/);
+
+    const kept = await ana.post("/settings/delete/cancel");
+    assert.equal(kept.location, "/");
+    assert.equal(await scheduledFor(), null);
+    assert.equal((await ana.get("/")).status, 200);
+  });
+
+  it("leaves an account kept after the deletion job picked it up alone", async () => {
+    await ana.post("/settings/delete", { current_password: PASSWORD });
+    await testApp.pool.query("UPDATE users SET deletion_scheduled_at = CURRENT_TIMESTAMP - INTERVAL '1 minute' WHERE id = $1", [anaId]);
+    // The job has listed Ana as due, then she signs in and keeps her account
+    await ana.post("/login", { email: "ana@example.test", password: PASSWORD });
+    await ana.post("/settings/delete/cancel");
+
+    assert.equal(await purgeAccount(testApp.uploadsDir, anaId), false);
+    assert.equal((await testApp.pool.query("SELECT 1 FROM users WHERE id = $1", [anaId])).rows.length, 1);
+    const connection = await testApp.pool.query("SELECT connection_state, archived_reason FROM connections WHERE id = $1", [connectionId]);
+    assert.deepEqual(connection.rows[0], { connection_state: "connected", archived_reason: null });
+  });
+
+  it("deletes the account after the grace period and keeps the other side of the history", async () => {
+    await ana.post("/settings/delete", { current_password: PASSWORD });
+    assert.equal(await purgeDeletedAccounts(testApp.uploadsDir), 0, "nothing is due yet");
+
+    await testApp.pool.query("UPDATE users SET deletion_scheduled_at = CURRENT_TIMESTAMP - INTERVAL '1 minute' WHERE id = $1", [anaId]);
+    assert.equal(await purgeDeletedAccounts(testApp.uploadsDir), 1);
+    assert.equal((await testApp.pool.query("SELECT 1 FROM users WHERE id = $1", [anaId])).rows.length, 0);
+    assert.equal(fs.existsSync(path.join(testApp.uploadsDir, String(anaId))), false);
+
+    const view = await ben.get(`/connection/${connectionId}`);
+    assert.equal(view.status, 200);
+    assert.match(view.text, /Conversation with a former member/);
+    assert.match(view.text, /A long swim in the sea/);
+    assert.match(view.text, /What does a good weekend look like for you\?/);
+    assert.match(view.text, /deleted their account/);
+    assert.doesNotMatch(view.text, /message-form/);
+
+    const sent = await ben.post(`/connection/${connectionId}/message`, { message: "Are you still there?" });
+    assert.equal(sent.location, `/connection/${connectionId}`);
+    const count = await testApp.pool.query("SELECT COUNT(*)::int AS count FROM messages WHERE connection_id = $1", [connectionId]);
+    assert.equal(count.rows[0].count, 2);
+
+    const api = await ben.api("GET", "/connections");
+    const [connection] = api.json().connections;
+    assert.deepEqual(connection.other_user, { id: null, name: "a former member" });
+    assert.equal(connection.closed, true);
+    assert.equal(connection.archived_reason, "account_deleted");
+
+    const past = await ben.get("/past-conversations");
+    assert.match(past.text, /a former member/);
+    const reports = await testApp.pool.query("SELECT reported_id FROM reports");
+    assert.deepEqual(reports.rows, [{ reported_id: null }]);
+  });
+
+  it("refuses export and deletion once the account is deactivated", async () => {
+    const otherDevice = createClient(testApp.baseUrl);
+    await otherDevice.post("/login", { email: "cy@example.test", password: PASSWORD });
+    await otherDevice.get("/settings/delete");
+    await testApp.pool.query("UPDATE users SET active = FALSE WHERE email = 'cy@example.test'");
+
+    const exported = await cy.get("/settings/export");
+    assert.match(exported.location, /^\/login\?error=This%20account%20has%20been%20deactivated/);
+    assert.doesNotMatch(exported.headers.get("content-disposition") || "", /attachment/);
+
+    const deleted = await otherDevice.post("/settings/delete", { current_password: PASSWORD });
+    assert.match(deleted.location, /^\/login\?error=This%20account%20has%20been%20deactivated/);
+    const cyRow = await testApp.pool.query("SELECT deletion_scheduled_at FROM users WHERE email = 'cy@example.test'");
+    assert.equal(cyRow.rows[0].deletion_scheduled_at, null);
+  });
+});
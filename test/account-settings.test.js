@@ -0,0 +1,134 @@
+// Account settings: profile, versioned imperfection answers, password and email changes
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { PASSWORD, startTestApp, createClient, registerAndOnboard, verifyEmail } = require("./helpers");
+
+const NEW_PASSWORD = "a different passphrase";
+const NEW_ANSWERS = {
+  imperfection_1: "I clean the whole flat instead of dealing with the problem",
+  imperfection_2: "Remembering to call people back when I said I would"
+};
+
+describe("account settings", () => {
+  let testApp;
+  let ana;
+  let ben;
+  let benId;
+
+  before(async () => {
+    testApp = await startTestApp();
+    ana = createClient(testApp.baseUrl);
+    ben = createClient(testApp.baseUrl);
+    await registerAndOnboard(ana, { email: "ana@example.test", name: "Ana", age: 28, genderCategory: "woman", interestedIn: ["man"] });
+    await registerAndOnboard(ben, { email: "ben@example.test", name: "Ben", age: 30, genderCategory: "man", interestedIn: ["woman"] });
+    await verifyEmail(ana, testApp.mail, "ana@example.test");
+    await verifyEmail(ben, testApp.mail, "ben@example.test");
+    benId = (await testApp.pool.query("SELECT id FROM users WHERE email = 'ben@example.test'")).rows[0].id;
+  });
+
+  after(async () => {
+    await testApp.close();
+  });
+
+  it("edits name, age and gender with the onboarding validation", async () => {
+    const tooYoung = await ben.post("/settings/profile", { name: "Ben", age: 17, gender: "Man" });
+    assert.match(tooYoung.location, /^\/settings\/profile\?error=/);
+
+    const saved = await ben.post("/settings/profile", { name: "Benjamin", age: 31, gender: "Man" });
+    assert.equal(saved.location, "/settings/profile?saved=1");
+    const settings = await ben.get("/settings");
+    assert.match(settings.text, /Benjamin, 31/);
+  });
+
+  it("keeps finished onboarding closed and points to settings", async () => {
+    const res = await ben.post("/onboarding/step-3", { imperfection_1: "Sneaking a new answer in through onboarding" });
+    assert.equal(res.location, "/settings");
+    const user = await testApp.pool.query("SELECT imperfection_1 FROM users WHERE id = $1", [benId]);
+    assert.equal(user.rows[0].imperfection_1, "I go quiet for a day when I'm stressed about work");
+  });
+
+  it("rejects imperfection answers onboarding would reject", async () => {
+    const emoji = await ben.post("/settings/imperfections", { ...NEW_ANSWERS, imperfection_1: "I hide under a blanket 😅 all day" });
+    assert.match(emoji.location, /^\/settings\/imperfections\?error=No%20emojis/);
+    const short = await ben.post("/settings/imperfections", { ...NEW_ANSWERS, imperfection_2: "Listening" });
+    assert.match(short.location, /^\/settings\/imperfections\?error=/);
+  });
+
+  it("versions imperfection edits and scores compatibility again", async () => {
+    // Ana seeing Ben works out their compatibility
+    await ana.get("/");
+    const before = await testApp.pool.query("SELECT imperfection_compatibility FROM compatibility_signals");
+    assert.equal(before.rows.length, 1);
+    assert.notEqual(before.rows[0].imperfection_compatibility, null);
+
+    const res = await ben.post("/settings/imperfections", NEW_ANSWERS);
+    assert.equal(res.location, "/settings/imperfections?saved=1");
+
+    const user = await testApp.pool.query("SELECT imperfection_1, imperfections_version FROM users WHERE id = $1", [benId]);
+    assert.equal(user.rows[0].imperfections_version, 2);
+    assert.equal(user.rows[0].imperfection_1, NEW_ANSWERS.imperfection_1);
+    const history = await testApp.pool.query("SELECT version, imperfection_1 FROM imperfection_answer_history WHERE user_id = $1", [benId]);
+    assert.deepEqual(history.rows, [{ version: 1, imperfection_1: "I go quiet for a day when I'm stressed about work" }]);
+    const after = await testApp.pool.query("SELECT imperfection_compatibility FROM compatibility_signals");
+    assert.equal(after.rows[0].imperfection_compatibility, null);
+
+    await ana.get("/");
+    const rescored = await testApp.pool.query("SELECT imperfection_compatibility FROM compatibility_signals");
+    assert.notEqual(rescored.rows[0].imperfection_compatibility, null);
+  });
+
+  it("lets people correct their answers again straight away", async () => {
+    const res = await ben.post("/settings/imperfections", { ...NEW_ANSWERS, imperfection_2: "Asking for help before things get out of hand" });
+    assert.equal(res.location, "/settings/imperfections?saved=1");
+    const user = await testApp.pool.query("SELECT imperfection_2, imperfections_version FROM users WHERE id = $1", [benId]);
+    assert.deepEqual(user.rows[0], { imperfection_2: "Asking for help before things get out of hand", imperfections_version: 3 });
+    assert.doesNotMatch((await ben.get("/settings/imperfections")).text, /disabled/);
+  });
+
+  it("changes the password after checking the current one", async () => {
+    const otherDevice = createClient(testApp.baseUrl);
+    await otherDevice.post("/login", { email: "ben@example.test", password: PASSWORD });
+    assert.equal((await otherDevice.get("/")).status, 200);
+
+    const wrong = await ben.post("/settings/password", { current_password: "not my password", password: NEW_PASSWORD, password_confirm: NEW_PASSWORD });
+    assert.match(wrong.location, /^\/settings\/password\?error=Your%20current%20password%20is%20incorrect$/);
+
+    const res = await ben.post("/settings/password", { current_password: PASSWORD, password: NEW_PASSWORD, password_confirm: NEW_PASSWORD });
+    assert.equal(res.location, "/settings/password?saved=1");
+    assert.equal((await ben.get("/")).status, 200, "this session stays signed in");
+    assert.equal((await otherDevice.get("/")).location, "/login");
+
+    const login = await createClient(testApp.baseUrl).post("/login", { email: "ben@example.test", password: NEW_PASSWORD });
+    assert.equal(login.location, "/");
+  });
+
+  it("changes the email and asks for it to be confirmed again", async () => {
+    const taken = await ben.post("/settings/email", { email: "ana@example.test", current_password: NEW_PASSWORD });
+    assert.match(taken.location, /^\/settings\/email\?error=That%20email%20belongs%20to%20another%20account$/);
+    const wrong = await ben.post("/settings/email", { email: "benjamin@example.test", current_password: PASSWORD });
+    assert.match(wrong.location, /^\/settings\/email\?error=/);
+
+    // The first verification email went out moments ago, so a new one has to wait
+    const throttled = await ben.post("/settings/email", { email: "Benjamin@example.test", current_password: NEW_PASSWORD });
+    assert.match(throttled.location, /^\/settings\/email\?saved=1&wait=\d+$/);
+    await testApp.pool.query("UPDATE users SET email = 'ben@example.test', email_verified = TRUE WHERE id = $1", [benId]);
+    await testApp.pool.query("UPDATE email_verification_tokens SET created_at = created_at - INTERVAL '10 minutes'");
+
+    const res = await ben.post("/settings/email", { email: "Benjamin@example.test", current_password: NEW_PASSWORD });
+    assert.equal(res.location, "/settings/email?saved=1");
+
+    const notice = testApp.mail.find((m) => m.to === "ben@example.test" && m.subject === "Your Connect email was changed");
+    assert.match(notice.text, /benjamin@example\.test/);
+    const me = await ben.api("GET", "/me");
+    assert.equal(me.json().user.email, "benjamin@example.test");
+    assert.equal(me.json().user.email_verified, false);
+    const home = await ana.get("/");
+    assert.doesNotMatch(home.text, new RegExp(`href="/profile/${benId}"`));
+
+    const oldLink = await verifyEmail(createClient(testApp.baseUrl), testApp.mail, "ben@example.test");
+    assert.equal(oldLink.status, 400);
+    const newLink = await verifyEmail(createClient(testApp.baseUrl), testApp.mail, "benjamin@example.test");
+    assert.equal(newLink.status, 200);
+    assert.match((await ana.get("/")).text, new RegExp(`href="/profile/${benId}"`));
+  });
+});
@@ -0,0 +1,136 @@
+// Taking a break: pausing, hibernating and coming back (by hand or on a chosen date)
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, createClient, registerAndOnboard, verifyEmail } = require("./helpers");
+const { resumeDueBreaks } = require("../availability");
+const { runGhostingCheck } = require("../ghosting");
+
+describe("taking a break", () => {
+  let testApp;
+  let ana;
+  let ben;
+  let cy;
+  let anaId;
+  let connectionId;
+
+  const messageCount = async () =>
+    (await testApp.pool.query("SELECT COUNT(*)::int AS count FROM messages WHERE connection_id = $1", [connectionId])).rows[0].count;
+  const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  // As if the last message was sent, and the conversation last opened, a month ago
+  const quietForAMonth = () =>
+    testApp.pool.query(
+      `UPDATE connections SET last_message_at = CURRENT_TIMESTAMP - INTERVAL '30 days',
+        last_activity_user1 = CURRENT_TIMESTAMP - INTERVAL '30 days', last_activity_user2 = CURRENT_TIMESTAMP - INTERVAL '30 days'
+       WHERE id = $1`,
+      [connectionId]
+    );
+
+  before(async () => {
+    testApp = await startTestApp();
+    ana = createClient(testApp.baseUrl);
+    ben = createClient(testApp.baseUrl);
+    cy = createClient(testApp.baseUrl);
+    await registerAndOnboard(ana, { email: "ana@example.test", name: "Ana", age: 28, genderCategory: "woman", interestedIn: ["man"] });
+    await registerAndOnboard(ben, { email: "ben@example.test", name: "Ben", age: 30, genderCategory: "man", interestedIn: ["woman"] });
+    await registerAndOnboard(cy, { email: "cy@example.test", name: "Cy", age: 32, genderCategory: "man", interestedIn: ["woman"] });
+    for (const [client, email] of [[ana, "ana@example.test"], [ben, "ben@example.test"], [cy, "cy@example.test"]]) {
+      await verifyEmail(client, testApp.mail, email);
+    }
+    anaId = (await testApp.pool.query("SELECT id FROM users WHERE email = 'ana@example.test'")).rows[0].id;
+
+    await ben.get("/");
+    const started = await ben.post(`/start-conversation/${anaId}`);
+    connectionId = parseInt(/\/connection\/(\d+)/.exec(started.location)[1], 10);
+    await ben.post(`/connection/${connectionId}/message`, { message: "What does a good weekend look like for you?" });
+  });
+
+  after(async () => {
+    await testApp.close();
+  });
+
+  it("pausing hides the profile but conversations carry on", async () => {
+    assert.match((await cy.get("/")).text, new RegExp(`href="/profile/${anaId}"`));
+
+    const res = await ana.post("/settings/pause", { availability: "paused" });
+    assert.equal(res.location, "/settings/pause?saved=1");
+
+    assert.doesNotMatch((await cy.get("/")).text, new RegExp(`href="/profile/${anaId}"`));
+    assert.equal((await cy.get(`/profile/${anaId}`)).status, 404);
+    assert.equal((await cy.api("GET", `/profiles/${anaId}`)).status, 404);
+    assert.equal((await cy.post(`/start-conversation/${anaId}`)).location, "/");
+    assert.match((await ben.get(`/profile/${anaId}`)).text, /Continue conversation/, "still seen by the people she's talking with");
+    const home = await ana.get("/");
+    assert.match(home.text, /Your profile is paused/);
+    assert.match(home.text, /New suggestions will be waiting when you're back/);
+
+    await ana.post(`/connection/${connectionId}/message`, { message: "A long swim in the sea and a slow dinner with friends." });
+    assert.equal(await messageCount(), 2);
+  });
+
+  it("hibernating pauses conversations with a gentle note", async () => {
+    await ana.post("/settings/pause", { availability: "hibernating" });
+
+    const view = await ben.get(`/connection/${connectionId}`);
+    assert.match(view.text, /Ana is taking a break from Connect for a while/);
+    assert.doesNotMatch(view.text, /message-form/);
+    assert.match((await ben.get("/")).text, /taking a break/);
+    assert.match((await ben.get(`/profile/${anaId}`)).text, /Ana is taking a break from Connect for a while/);
+    assert.equal((await cy.get(`/profile/${anaId}`)).status, 404);
+    assert.match((await ana.get(`/connection/${connectionId}`)).text, /You're hibernating/);
+
+    await ben.post(`/connection/${connectionId}/message`, { message: "Are you still around this week?" });
+    await ana.post(`/connection/${connectionId}/message`, { message: "Sneaking a reply in while I'm away" });
+    assert.equal(await messageCount(), 2);
+
+    const [connection] = (await ben.api("GET", "/connections")).json().connections;
+    assert.equal(connection.paused, true);
+    assert.equal(connection.closed, false);
+    const sent = await ben.api("POST", `/connections/${connectionId}/messages`, { json: { message: "Hello from the API" } });
+    assert.equal(sent.status, 403);
+    assert.equal(sent.json().error.code, "connection_paused");
+
+    // Nobody is going quiet while the conversation is paused
+    await quietForAMonth();
+    assert.equal(await runGhostingCheck(), 0);
+  });
+
+  it("only accepts a return date from tomorrow to a year ahead", async () => {
+    const past = await ana.post("/settings/pause", { availability: "hibernating", resume_on: "2020-01-01" });
+    assert.match(past.location, /^\/settings\/pause\?error=/);
+    const later = await ana.post("/settings/pause", { availability: "hibernating", resume_on: "2999-01-01" });
+    assert.match(later.location, /^\/settings\/pause\?error=/);
+
+    const res = await ana.post("/settings/pause", { availability: "hibernating", resume_on: tomorrow() });
+    assert.equal(res.location, "/settings/pause?saved=1");
+    assert.match((await ana.get("/settings/pause")).text, new RegExp(`value="${tomorrow()}"`));
+  });
+
+  it("comes back on the chosen date, without counting the break as going quiet", async () => {
+    assert.equal(await resumeDueBreaks(), 0, "not due yet");
+    await testApp.pool.query("UPDATE users SET resume_at = CURRENT_TIMESTAMP - INTERVAL '1 minute' WHERE id = $1", [anaId]);
+    assert.equal(await resumeDueBreaks(), 1);
+
+    const me = await ana.api("GET", "/me");
+    assert.equal(me.json().user.availability, "available");
+    assert.equal(me.json().user.resume_at, null);
+    assert.equal(await runGhostingCheck(), 0);
+
+    await ben.post(`/connection/${connectionId}/message`, { message: "Welcome back, how was the time away?" });
+    assert.equal(await messageCount(), 3);
+  });
+
+  it("can take a break through the API", async () => {
+    const res = await ana.api("PUT", "/me/availability", { json: { availability: "paused", resume_on: tomorrow() } });
+    assert.equal(res.status, 200);
+    assert.equal(res.json().user.availability, "paused");
+    assert.ok(res.json().user.resume_at);
+    assert.equal((await cy.api("GET", "/profiles/next")).json().profile, null);
+
+    const invalid = await ana.api("PUT", "/me/availability", { json: { availability: "away" } });
+    assert.equal(invalid.status, 400);
+
+    const back = await ana.post("/settings/pause", { availability: "available" });
+    assert.equal(back.location, "/");
+    assert.equal((await cy.api("GET", "/profiles/next")).json().profile.id, anaId);
+  });
+});
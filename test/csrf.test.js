@@ -0,0 +1,113 @@
+// CSRF protection: forms carry the session's token, and nothing changes over GET
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const { PASSWORD, startTestApp, createClient, registerAndOnboard, verifyEmail } = require("./helpers");
+
+describe("CSRF protection", () => {
+  let testApp;
+  let ana;
+  let ben;
+  let anaId;
+  let pngBytes;
+
+  const connectionCount = async () =>
+    (await testApp.pool.query("SELECT COUNT(*)::int AS count FROM connections")).rows[0].count;
+
+  before(async () => {
+    testApp = await startTestApp();
+    ana = createClient(testApp.baseUrl);
+    ben = createClient(testApp.baseUrl);
+    await registerAndOnboard(ana, { email: "ana@example.test", name: "Ana", age: 28, genderCategory: "woman", interestedIn: ["man"] });
+    await registerAndOnboard(ben, { email: "ben@example.test", name: "Ben", age: 30, genderCategory: "man", interestedIn: ["woman"] });
+    await verifyEmail(ana, testApp.mail, "ana@example.test");
+    await verifyEmail(ben, testApp.mail, "ben@example.test");
+    anaId = (await testApp.pool.query("SELECT id FROM users WHERE email = 'ana@example.test'")).rows[0].id;
+    pngBytes = await sharp({ create: { width: 8, height: 8, channels: 3, background: "#88aacc" } }).png().toBuffer();
+  });
+
+  after(async () => {
+    await testApp.close();
+  });
+
+  it("puts the token in every form", async () => {
+    const profile = await ben.get(`/profile/${anaId}`);
+    const forms = profile.text.match(/<form method="post"[^>]*>\s*<input type="hidden" name="_csrf" value="[^"]+" \/>/g) || [];
+    assert.equal(forms.length, (profile.text.match(/<form method="post"/g) || []).length);
+    assert.match(profile.text, new RegExp(`action="/start-conversation/${anaId}"`));
+  });
+
+  it("refuses a form posted without the token, or with someone else's", async () => {
+    const missing = await ben.request("POST", `/start-conversation/${anaId}`, { form: {}, csrf: false });
+    assert.equal(missing.status, 403);
+    assert.match(missing.text, /This page has expired/);
+
+    const anaToken = /name="_csrf" value="([^"]+)"/.exec((await ana.get("/")).text)[1];
+    const wrong = await ben.request("POST", `/start-conversation/${anaId}`, { form: { _csrf: anaToken }, csrf: false });
+    assert.equal(wrong.status, 403);
+    assert.equal(await connectionCount(), 0);
+
+    const started = await ben.post(`/start-conversation/${anaId}`);
+    assert.match(started.location, /^\/connection\/\d+$/);
+    assert.equal(await connectionCount(), 1);
+  });
+
+  it("no longer changes anything over GET", async () => {
+    assert.equal((await ana.get(`/skip-profile/${anaId + 1}`)).status, 404);
+    assert.equal((await ana.get("/logout")).status, 404);
+    assert.equal((await ana.get("/")).status, 200, "still signed in");
+  });
+
+  it("asks scripts and cookie-signed-in API calls for the token in a header", async () => {
+    const connectionId = (await testApp.pool.query("SELECT id FROM connections")).rows[0].id;
+    const script = await ana.request("POST", `/connection/${connectionId}/message`, { form: { message: "Hello!" }, csrf: false });
+    assert.equal(script.status, 403);
+
+    const api = await ana.request("PUT", "/api/v1/me/availability", { json: { availability: "paused" }, csrf: false });
+    assert.equal(api.status, 403);
+    assert.equal(api.json().error.code, "invalid_csrf_token");
+    assert.equal((await ana.api("PUT", "/me/availability", { json: { availability: "paused" } })).status, 200);
+
+    // A bearer token is never sent by a browser on its own, so it doesn't need one
+    const { token } = (await createClient(testApp.baseUrl).api("POST", "/auth/login", { json: { email: "ana@example.test", password: PASSWORD } })).json();
+    const withToken = await createClient(testApp.baseUrl).api("PUT", "/me/availability", { json: { availability: "available" }, token });
+    assert.equal(withToken.status, 200);
+  });
+
+  it("reads the photo upload form's token from its body, not the address", async () => {
+    const photo = (fields = {}) => {
+      const form = new FormData();
+      Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+      form.append("photo", new Blob([pngBytes], { type: "image/png" }), "photo.png");
+      return form;
+    };
+    const photoPath = async () => (await testApp.pool.query("SELECT photo_path FROM users WHERE id = $1", [anaId])).rows[0].photo_path;
+    const token = /name="_csrf" value="([^"]+)"/.exec((await ana.get("/photo")).text)[1];
+
+    const missing = await ana.request("POST", "/photo", { multipart: photo(), csrf: false });
+    assert.equal(missing.status, 403);
+    const inAddress = await ana.request("POST", `/photo?_csrf=${encodeURIComponent(token)}`, { multipart: photo(), csrf: false });
+    assert.equal(inAddress.status, 403);
+    assert.equal(await photoPath(), null);
+
+    // The form as a browser without JavaScript sends it
+    const uploaded = await ana.request("POST", "/photo", { multipart: photo({ _csrf: token }), csrf: false });
+    assert.equal(uploaded.location, "/photo");
+    assert.ok(await photoPath());
+
+    // Scripts can still send it in the header
+    const replaced = await ana.request("POST", "/photo", { multipart: photo() });
+    assert.equal(replaced.location, "/photo");
+  });
+
+  it("signs out with a form, and a new sign-in gets a new token", async () => {
+    const oldToken = /name="_csrf" value="([^"]+)"/.exec((await ana.get("/")).text)[1];
+    const res = await ana.post("/logout");
+    assert.equal(res.location, "/login");
+    assert.equal((await ana.get("/")).location, "/login");
+
+    await ana.post("/login", { email: "ana@example.test", password: PASSWORD });
+    const newToken = /name="_csrf" value="([^"]+)"/.exec((await ana.get("/")).text)[1];
+    assert.notEqual(newToken, oldToken);
+  });
+});
@@ -0,0 +1,74 @@
+// Discovery: two-way matching on who people want to meet, age and what they're looking for
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, createClient, registerAndOnboard, verifyEmail } = require("./helpers");
+
+describe("discovery", () => {
+  let testApp;
+  let ana;
+  let ben;
+  let cy;
+  let anaId;
+  let cyId;
+
+  const nextProfileId = async (client) => (await client.api("GET", "/profiles/next")).json().profile?.id ?? null;
+
+  before(async () => {
+    testApp = await startTestApp();
+    ana = createClient(testApp.baseUrl);
+    ben = createClient(testApp.baseUrl);
+    cy = createClient(testApp.baseUrl);
+    await registerAndOnboard(ana, { email: "ana@example.test", name: "Ana", age: 28, genderCategory: "woman", interestedIn: ["man"], intent: "long_term" });
+    await registerAndOnboard(ben, { email: "ben@example.test", name: "Ben", age: 30, genderCategory: "man", interestedIn: ["woman"], intent: "friendship_first" });
+    await registerAndOnboard(cy, { email: "cy@example.test", name: "Cy", age: 32, genderCategory: "man", interestedIn: ["woman"], intent: "open" });
+    for (const [client, email] of [[ana, "ana@example.test"], [ben, "ben@example.test"], [cy, "cy@example.test"]]) {
+      await verifyEmail(client, testApp.mail, email);
+    }
+    const ids = await testApp.pool.query("SELECT id, email FROM users");
+    anaId = ids.rows.find((row) => row.email === "ana@example.test").id;
+    cyId = ids.rows.find((row) => row.email === "cy@example.test").id;
+  });
+
+  after(async () => {
+    await testApp.close();
+  });
+
+  it("only suggests people looking for something that fits", async () => {
+    assert.equal(await nextProfileId(ana), cyId, "open to seeing where it goes fits anything");
+    assert.equal(await nextProfileId(cy), anaId);
+    assert.equal(await nextProfileId(ben), null, "friendship first and long-term don't fit");
+  });
+
+  it("turns away profile links that aren't a number", async () => {
+    const res = await ana.get("/profile/abc");
+    assert.equal(res.status, 302);
+    assert.equal(res.location, "/");
+    assert.equal((await ana.api("GET", "/profiles/abc")).status, 400);
+  });
+
+  it("follows a change of intent", async () => {
+    const saved = await ben.post("/settings/preferences", {
+      gender_category: "man",
+      interested_in: "woman",
+      preferred_age_min: 18,
+      preferred_age_max: 120,
+      intent: "long_term"
+    });
+    assert.match(saved.location, /^\/settings\/preferences\?saved/);
+    assert.equal(await nextProfileId(ben), anaId);
+  });
+
+  it("matches accounts from before intent was asked with anyone", async () => {
+    await ben.post("/settings/preferences", {
+      gender_category: "man",
+      interested_in: "woman",
+      preferred_age_min: 18,
+      preferred_age_max: 120,
+      intent: "friendship_first"
+    });
+    assert.equal(await nextProfileId(ben), null);
+
+    await testApp.pool.query("UPDATE users SET intent = NULL WHERE id = $1", [anaId]);
+    assert.equal(await nextProfileId(ben), anaId);
+  });
+});
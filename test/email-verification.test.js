@@ -0,0 +1,100 @@
+// Email verification: the link, throttled resends, and staying out of discovery until verified
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { PASSWORD, startTestApp, createClient, registerAndOnboard, verifyEmail } = require("./helpers");
+
+describe("email verification", () => {
+  let testApp;
+  let ana;
+  let ben;
+  let benId;
+  const verificationEmails = (to) =>
+    testApp.mail.filter((m) => m.to === to && m.subject === "Confirm your email for Connect");
+
+  before(async () => {
+    testApp = await startTestApp();
+    ana = createClient(testApp.baseUrl);
+    ben = createClient(testApp.baseUrl);
+    await registerAndOnboard(ana, { email: "ana@example.test", name: "Ana", age: 28, genderCategory: "woman", interestedIn: ["man"] });
+    await registerAndOnboard(ben, { email: "ben@example.test", name: "Ben", age: 30, genderCategory: "man", interestedIn: ["woman"] });
+    await verifyEmail(ana, testApp.mail, "ana@example.test");
+    benId = (await testApp.pool.query("SELECT id FROM users WHERE email = 'ben@example.test'")).rows[0].id;
+  });
+
+  after(async () => {
+    await testApp.close();
+  });
+
+  it("sends a link when someone registers", async () => {
+    assert.equal(verificationEmails("ben@example.test").length, 1);
+    assert.match(verificationEmails("ben@example.test")[0].text, /\/verify-email\?token=/);
+
+    const me = await ben.api("GET", "/me");
+    assert.equal(me.json().user.email_verified, false);
+  });
+
+  it("doesn't suggest unverified people to anyone", async () => {
+    const home = await ana.get("/");
+    assert.doesNotMatch(home.text, new RegExp(`href="/profile/${benId}"`));
+    const next = await ana.api("GET", "/profiles/next");
+    assert.equal(next.json().profile, null);
+  });
+
+  it("throttles resending", async () => {
+    const tooSoon = await ben.post("/verify-email/resend");
+    assert.match(tooSoon.location, /^\/\?verification=wait&minutes=\d+$/);
+    assert.equal(verificationEmails("ben@example.test").length, 1);
+
+    await testApp.pool.query("UPDATE email_verification_tokens SET created_at = created_at - INTERVAL '10 minutes'");
+    const resent = await ben.post("/verify-email/resend");
+    assert.equal(resent.location, "/?verification=sent");
+    assert.equal(verificationEmails("ben@example.test").length, 2);
+
+    const api = await ben.api("POST", "/auth/verify-email/resend");
+    assert.equal(api.status, 429);
+    assert.ok(parseInt(api.headers.get("retry-after"), 10) > 0);
+  });
+
+  it("caps how many links go out in a day", async () => {
+    await testApp.pool.query(
+      `INSERT INTO email_verification_tokens (user_id, token_hash, created_at, expires_at)
+       SELECT $1, md5(random()::text), CURRENT_TIMESTAMP - INTERVAL '1 hour', CURRENT_TIMESTAMP + INTERVAL '1 day'
+       FROM generate_series(1, 5)`,
+      [benId]
+    );
+    await testApp.pool.query("UPDATE email_verification_tokens SET created_at = created_at - INTERVAL '10 minutes'");
+    const res = await ben.post("/verify-email/resend");
+    assert.match(res.location, /^\/\?verification=wait&minutes=\d+$/);
+    assert.ok(parseInt(/minutes=(\d+)/.exec(res.location)[1], 10) > 60);
+  });
+
+  it("verifies with the link, even from another browser", async () => {
+    const elsewhere = createClient(testApp.baseUrl);
+    const res = await verifyEmail(elsewhere, testApp.mail, "ben@example.test");
+    assert.equal(res.status, 200);
+    assert.match(res.text, /your email is confirmed/);
+
+    const me = await ben.api("GET", "/me");
+    assert.equal(me.json().user.email_verified, true);
+    const home = await ana.get("/");
+    assert.match(home.text, new RegExp(`href="/profile/${benId}"`));
+  });
+
+  it("refuses used links and sends nothing once verified", async () => {
+    const reused = await verifyEmail(createClient(testApp.baseUrl), testApp.mail, "ben@example.test");
+    assert.equal(reused.status, 400);
+
+    const api = await ben.api("POST", "/auth/verify-email/resend");
+    assert.equal(api.status, 409);
+    const bad = await createClient(testApp.baseUrl).api("POST", "/auth/verify-email", { json: { token: "not-a-token" } });
+    assert.equal(bad.json().error.code, "invalid_token");
+  });
+
+  it("sends a link to people who register through the API", async () => {
+    const api = createClient(testApp.baseUrl);
+    const res = await api.api("POST", "/auth/register", { json: { email: "cy@example.test", password: PASSWORD } });
+    assert.equal(res.status, 201);
+    assert.equal(res.json().user.email_verified, false);
+    assert.equal(verificationEmails("cy@example.test").length, 1);
+  });
+});
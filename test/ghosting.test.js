@@ -0,0 +1,95 @@
+// Going quiet: the ghosting check's nudge, closure offer and archive, away from UTC
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, createClient, registerAndOnboard, verifyEmail } = require("./helpers");
+const { runGhostingCheck } = require("../ghosting");
+
+describe("going quiet", () => {
+  let testApp;
+  let ana;
+  let ben;
+  let anaId;
+  let benId;
+  let connectionId;
+  let originalTz;
+
+  // As if ben's last message was sent, and ana last opened the conversation, this long ago.
+  // stageFor backdates the step the check last took, if there was one.
+  const quietFor = (interval, stageFor = interval) =>
+    testApp.pool.query(
+      `UPDATE connections SET last_message_at = CURRENT_TIMESTAMP - $2::interval,
+        last_activity_user1 = CURRENT_TIMESTAMP - $2::interval, last_activity_user2 = CURRENT_TIMESTAMP - $2::interval,
+        ghosting_stage_at = CASE WHEN ghosting_stage IS NULL THEN NULL ELSE CURRENT_TIMESTAMP - $3::interval END
+       WHERE id = $1`,
+      [connectionId, interval, stageFor]
+    );
+  const connection = async () =>
+    (await testApp.pool.query("SELECT * FROM connections WHERE id = $1", [connectionId])).rows[0];
+  const noticesFor = async (userId) =>
+    (await testApp.pool.query("SELECT kind FROM notices WHERE user_id = $1 ORDER BY id", [userId])).rows.map((n) => n.kind);
+
+  before(async () => {
+    // West of UTC, so a time read or compared in the wrong zone would be hours out
+    originalTz = process.env.TZ;
+    process.env.TZ = "America/Los_Angeles";
+
+    testApp = await startTestApp();
+    ana = createClient(testApp.baseUrl);
+    ben = createClient(testApp.baseUrl);
+    await registerAndOnboard(ana, { email: "ana@example.test", name: "Ana", age: 28, genderCategory: "woman", interestedIn: ["man"] });
+    await registerAndOnboard(ben, { email: "ben@example.test", name: "Ben", age: 30, genderCategory: "man", interestedIn: ["woman"] });
+    for (const [client, email] of [[ana, "ana@example.test"], [ben, "ben@example.test"]]) {
+      await verifyEmail(client, testApp.mail, email);
+    }
+    anaId = (await testApp.pool.query("SELECT id FROM users WHERE email = 'ana@example.test'")).rows[0].id;
+    benId = (await testApp.pool.query("SELECT id FROM users WHERE email = 'ben@example.test'")).rows[0].id;
+
+    await ben.get("/");
+    const started = await ben.post(`/start-conversation/${anaId}`);
+    connectionId = parseInt(/\/connection\/(\d+)/.exec(started.location)[1], 10);
+    await ben.post(`/connection/${connectionId}/message`, { message: "What does a good weekend look like for you?" });
+  });
+
+  after(async () => {
+    await testApp.close();
+    if (originalTz === undefined) delete process.env.TZ;
+    else process.env.TZ = originalTz;
+  });
+
+  it("nudges the quiet person once the nudge threshold has passed, not before", async () => {
+    await quietFor("4 days 22 hours");
+    assert.equal(await runGhostingCheck(), 0);
+    assert.equal((await connection()).ghosting_stage, null);
+
+    await quietFor("5 days 2 hours");
+    assert.equal(await runGhostingCheck(), 1);
+    const nudged = await connection();
+    assert.equal(nudged.ghosting_stage, "nudged");
+    assert.equal(nudged.ghosting_quiet_user_id, anaId);
+    assert.deepEqual(await noticesFor(anaId), ["ghosting_nudge"]);
+    assert.deepEqual(await noticesFor(benId), []);
+  });
+
+  it("offers closure after the closure threshold", async () => {
+    await quietFor("9 days 22 hours", "4 days 22 hours");
+    assert.equal(await runGhostingCheck(), 0);
+
+    await quietFor("10 days 2 hours", "5 days 2 hours");
+    assert.equal(await runGhostingCheck(), 1);
+    assert.equal((await connection()).ghosting_stage, "closure_offered");
+  });
+
+  it("archives the conversation after the archive threshold, with a note to both", async () => {
+    await quietFor("20 days 22 hours", "10 days 22 hours");
+    assert.equal(await runGhostingCheck(), 0);
+    assert.notEqual((await connection()).connection_state, "archived");
+
+    await quietFor("21 days 2 hours", "11 days 2 hours");
+    assert.equal(await runGhostingCheck(), 1);
+    const archived = await connection();
+    assert.equal(archived.connection_state, "archived");
+    assert.equal(archived.archived_reason, "went_quiet");
+    assert.deepEqual(await noticesFor(benId), ["went_quiet_archived"]);
+    assert.ok((await noticesFor(anaId)).includes("went_quiet_archived"));
+  });
+});
@@ -0,0 +1,189 @@
+// Integration test helpers
+// startTestApp() creates a throwaway database on the local PostgreSQL server (from
+// TEST_DATABASE_URL, or the same settings the app uses), migrates it, and serves the
+// app on a random port. close() stops the server and drops the database again.
+// Email goes to testApp.mail (a list of { to, subject, text }) instead of being sent.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Client, Pool } = require("pg");
+const db = require("../db");
+const { createApp } = require("../app");
+const { migrateUp } = require("../migrator");
+
+const PASSWORD = "correct horse battery";
+
+function serverConfig() {
+  if (process.env.TEST_DATABASE_URL) {
+    return { connectionString: process.env.TEST_DATABASE_URL, options: db.poolConfigFromEnv().options };
+  }
+  return db.poolConfigFromEnv();
+}
+
+// The same server settings, pointed at another database
+function withDatabase(config, database) {
+  if (config.connectionString) {
+    const url = new URL(config.connectionString);
+    url.pathname = `/${database}`;
+    return { ...config, connectionString: url.toString() };
+  }
+  return { ...config, database };
+}
+
+async function onMaintenanceDatabase(sql) {
+  const client = new Client(withDatabase(serverConfig(), "postgres"));
+  await client.connect();
+  try {
+    await client.query(sql);
+  } finally {
+    await client.end();
+  }
+}
+
+async function startTestApp() {
+  const database = `connect_test_${process.pid}_${Date.now()}`;
+  await onMaintenanceDatabase(`CREATE DATABASE ${database}`);
+
+  const pool = new Pool({ ...withDatabase(serverConfig(), database), max: 5 });
+  const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), "connect-uploads-"));
+  const mail = [];
+  const mailer = { send: async (message) => { mail.push(message); } };
+  const app = createApp({ pool, uploadsDir, mailer });
+  await migrateUp();
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    pool,
+    uploadsDir,
+    mail,
+    async close() {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+      await pool.end();
+      fs.rmSync(uploadsDir, { recursive: true, force: true });
+      await onMaintenanceDatabase(`DROP DATABASE IF EXISTS ${database} WITH (FORCE)`);
+    }
+  };
+}
+
+// A browser stand-in: keeps the session cookie and doesn't follow redirects,
+// so tests can check where each step sends people. Like a browser filling in a form,
+// it sends the CSRF token from the session's pages with every POST (unless csrf: false).
+function createClient(baseUrl) {
+  let cookie = null;
+  let csrf = { cookie: null, token: null };
+
+  const haveCsrfToken = () => csrf.token !== null && csrf.cookie === cookie;
+
+  // Opens a page with a form on it, following redirects from /login (signed-in people
+  // are sent on to the home page, onboarding or whatever else applies to them)
+  async function loadCsrfToken() {
+    let urlPath = "/login";
+    for (let hops = 0; hops < 5 && !haveCsrfToken(); hops++) {
+      const res = await request("GET", urlPath);
+      if (!res.location) break;
+      urlPath = res.location;
+    }
+    return haveCsrfToken() ? csrf.token : "";
+  }
+
+  // multipart: a FormData, sent with the token in the X-CSRF-Token header like a script would
+  async function request(method, urlPath, { form, json, multipart, token, csrf: sendCsrfToken = true } = {}) {
+    const headers = {};
+    // The API only asks for it when it's called with the session cookie
+    if (sendCsrfToken && method !== "GET" && !token && (form || !json || cookie)) {
+      const csrfToken = await loadCsrfToken();
+      if (json || multipart) {
+        headers["X-CSRF-Token"] = csrfToken;
+      } else {
+        form = { _csrf: csrfToken, ...form };
+      }
+    }
+    if (cookie) headers.Cookie = cookie;
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    let body;
+    if (form) {
+      const params = new URLSearchParams();
+      Object.entries(form).forEach(([name, value]) => {
+        [].concat(value).forEach((item) => params.append(name, String(item)));
+      });
+      body = params;
+    } else if (json) {
+      headers["Content-Type"] = "application/json";
+      body = JSON.stringify(json);
+    } else if (multipart) {
+      body = multipart;
+    }
+
+    const res = await fetch(baseUrl + urlPath, { method, headers, body, redirect: "manual" });
+    const setCookie = res.headers.get("set-cookie");
+    if (setCookie) {
+      cookie = setCookie.split(";")[0];
+    }
+    const text = await res.text();
+    const csrfMatch = /name="_csrf" value="([^"]+)"/.exec(text);
+    if (csrfMatch) {
+      csrf = { cookie, token: csrfMatch[1] };
+    } else if ((res.headers.get("location") || "").startsWith("/login")) {
+      // Sent to sign in: the session may have ended, and its token with it
+      csrf = { cookie: null, token: null };
+    }
+    return {
+      status: res.status,
+      location: res.headers.get("location"),
+      headers: res.headers,
+      text,
+      json: () => JSON.parse(text)
+    };
+  }
+
+  return {
+    get: (urlPath, options) => request("GET", urlPath, options),
+    post: (urlPath, form) => request("POST", urlPath, { form }),
+    request,
+    api: (method, urlPath, options) => request(method, `/api/v1${urlPath}`, options)
+  };
+}
+
+// Goes through all five onboarding steps with the web forms
+async function onboard(client, { name, age, genderCategory, interestedIn, intent = "long_term" }) {
+  await client.post("/onboarding/step-1", { name, age });
+  await client.post("/onboarding/step-2", { gender: genderCategory === "woman" ? "Woman" : "Man" });
+  await client.post("/onboarding/step-3", { imperfection_1: "I go quiet for a day when I'm stressed about work" });
+  await client.post("/onboarding/step-4", { imperfection_2: "I leave dishes in the sink far longer than I should" });
+  return client.post("/onboarding/step-5", {
+    gender_category: genderCategory,
+    interested_in: interestedIn,
+    preferred_age_min: 18,
+    preferred_age_max: 120,
+    intent
+  });
+}
+
+// Follows the newest verification link emailed to this address
+async function verifyEmail(client, mail, email) {
+  const message = mail.filter((m) => m.to === email && /\/verify-email\?token=/.test(m.text)).at(-1);
+  if (!message) {
+    throw new Error(`No verification email for ${email}`);
+  }
+  return client.get(/\/verify-email\?token=[A-Za-z0-9_-]+/.exec(message.text)[0]);
+}
+
+async function registerAndOnboard(client, profile) {
+  await client.post("/register", { email: profile.email, password: PASSWORD, password_confirm: PASSWORD });
+  return onboard(client, profile);
+}
+
+module.exports = {
+  PASSWORD,
+  startTestApp,
+  createClient,
+  onboard,
+  registerAndOnboard,
+  verifyEmail
+};
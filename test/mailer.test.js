@@ -0,0 +1,64 @@
+// Outgoing email: production never falls back to keeping links on the server, and
+// never builds them from the request's Host header
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMailer, appUrl } = require("../mailer");
+const { createApp } = require("../app");
+
+describe("mailer", () => {
+  const env = Object.fromEntries(
+    ["NODE_ENV", "SESSION_SECRET", "MAIL_TRANSPORT", "SMTP_HOST", "APP_URL"].map((name) => [name, process.env[name]])
+  );
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(env)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+
+  it("prints to the log outside production", () => {
+    delete process.env.NODE_ENV;
+    assert.equal(typeof createMailer("console").send, "function");
+  });
+
+  it("refuses the console and file transports in production", () => {
+    process.env.NODE_ENV = "production";
+    assert.throws(() => createMailer("console"), /doesn't send email/);
+    assert.throws(() => createMailer("file"), /doesn't send email/);
+    assert.equal(typeof createMailer("smtp").send, "function");
+  });
+
+  it("stops a production server without a mail server from starting", () => {
+    process.env.NODE_ENV = "production";
+    process.env.SESSION_SECRET = "test-secret";
+    process.env.APP_URL = "https://connect.example";
+    delete process.env.MAIL_TRANSPORT;
+    delete process.env.SMTP_HOST;
+    assert.throws(() => createApp({ pool: {} }), /doesn't send email/);
+  });
+
+  it("stops a production server without APP_URL from starting", () => {
+    process.env.NODE_ENV = "production";
+    process.env.SESSION_SECRET = "test-secret";
+    process.env.SMTP_HOST = "smtp.example";
+    delete process.env.MAIL_TRANSPORT;
+    delete process.env.APP_URL;
+    assert.throws(() => createApp({ pool: {} }), /APP_URL must be set/);
+  });
+
+  it("never takes email links from the Host header in production", () => {
+    const req = { protocol: "https", get: () => "attacker.example" };
+    delete process.env.APP_URL;
+    delete process.env.NODE_ENV;
+    assert.equal(appUrl(req), "https://attacker.example", "fine for local development");
+
+    process.env.NODE_ENV = "production";
+    assert.throws(() => appUrl(req), /APP_URL must be set/);
+    process.env.APP_URL = "https://connect.example/";
+    assert.equal(appUrl(req), "https://connect.example");
+  });
+});
@@ -0,0 +1,122 @@
+// Forgotten passwords: reset links by email, single use, expiry, and signing out everywhere
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { PASSWORD, startTestApp, createClient, registerAndOnboard } = require("./helpers");
+
+const NEW_PASSWORD = "a brand new passphrase";
+
+function resetLink(mail) {
+  const match = /\/reset-password\?token=([A-Za-z0-9_-]+)/.exec(mail.text);
+  assert.ok(match, "no reset link in the email");
+  return { path: match[0], token: match[1] };
+}
+
+describe("password reset", () => {
+  let testApp;
+  let signedIn;
+  let apiToken;
+  // Registering sends a verification email too
+  const resetEmails = () => testApp.mail.filter((m) => m.subject === "Reset your Connect password");
+
+  before(async () => {
+    testApp = await startTestApp();
+    signedIn = createClient(testApp.baseUrl);
+    await registerAndOnboard(signedIn, {
+      email: "sam@example.test",
+      name: "Sam",
+      age: 40,
+      genderCategory: "man",
+      interestedIn: ["woman"]
+    });
+    const login = await createClient(testApp.baseUrl).api("POST", "/auth/login", {
+      json: { email: "sam@example.test", password: PASSWORD }
+    });
+    apiToken = login.json().token;
+  });
+
+  after(async () => {
+    await testApp.close();
+  });
+
+  it("answers the same for unknown emails and sends nothing", async () => {
+    const res = await createClient(testApp.baseUrl).post("/forgot-password", { email: "nobody@example.test" });
+    assert.equal(res.location, "/forgot-password?sent=1");
+    assert.equal(resetEmails().length, 0);
+  });
+
+  it("emails a link that only the newest request can use", async () => {
+    const browser = createClient(testApp.baseUrl);
+    await browser.post("/forgot-password", { email: "Sam@example.test" });
+    await browser.post("/forgot-password", { email: "sam@example.test" });
+    assert.equal(resetEmails().length, 2);
+    assert.equal(resetEmails()[1].to, "sam@example.test");
+
+    const stored = await testApp.pool.query("SELECT token_hash FROM password_reset_tokens");
+    const [first, second] = resetEmails().map(resetLink);
+    assert.ok(stored.rows.every((row) => row.token_hash !== second.token), "tokens are stored hashed");
+
+    const old = await browser.get(first.path);
+    assert.equal(old.status, 400);
+    const current = await browser.get(second.path);
+    assert.equal(current.status, 200);
+    assert.match(current.text, /Choose a new password/);
+  });
+
+  it("rejects mismatched passwords without using up the link", async () => {
+    const { token } = resetLink(resetEmails()[1]);
+    const res = await createClient(testApp.baseUrl).post("/reset-password", {
+      token,
+      password: NEW_PASSWORD,
+      password_confirm: "something else entirely"
+    });
+    assert.match(res.location, /^\/reset-password\?token=.*&error=Passwords%20do%20not%20match$/);
+    assert.equal((await createClient(testApp.baseUrl).get(resetLink(resetEmails()[1]).path)).status, 200);
+  });
+
+  it("changes the password and signs the account out everywhere", async () => {
+    assert.equal((await signedIn.get("/")).status, 200);
+
+    const browser = createClient(testApp.baseUrl);
+    const { token, path } = resetLink(resetEmails()[1]);
+    const res = await browser.post("/reset-password", { token, password: NEW_PASSWORD, password_confirm: NEW_PASSWORD });
+    assert.equal(res.location, "/login?reset=done");
+
+    const stale = await signedIn.get("/");
+    assert.equal(stale.location, "/login");
+    const me = await createClient(testApp.baseUrl).api("GET", "/me", { token: apiToken });
+    assert.equal(me.status, 401);
+
+    const oldPassword = await browser.post("/login", { email: "sam@example.test", password: PASSWORD });
+    assert.match(oldPassword.location, /^\/login\?error=/);
+    const newPassword = await browser.post("/login", { email: "sam@example.test", password: NEW_PASSWORD });
+    assert.equal(newPassword.location, "/");
+
+    const reused = await createClient(testApp.baseUrl).get(path);
+    assert.equal(reused.status, 400);
+  });
+
+  it("refuses expired links", async () => {
+    await createClient(testApp.baseUrl).post("/forgot-password", { email: "sam@example.test" });
+    await testApp.pool.query("UPDATE password_reset_tokens SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 minute'");
+    const { token } = resetLink(resetEmails().at(-1));
+
+    const res = await createClient(testApp.baseUrl).api("POST", "/auth/password-reset/confirm", {
+      json: { token, password: "yet another passphrase" }
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.json().error.code, "invalid_token");
+  });
+
+  it("works through the API too", async () => {
+    const api = createClient(testApp.baseUrl);
+    const requested = await api.api("POST", "/auth/password-reset", { json: { email: "sam@example.test" } });
+    assert.equal(requested.status, 202);
+
+    const { token } = resetLink(resetEmails().at(-1));
+    const confirmed = await api.api("POST", "/auth/password-reset/confirm", { json: { token, password: "api chosen passphrase" } });
+    assert.equal(confirmed.status, 204);
+
+    const login = await api.api("POST", "/auth/login", { json: { email: "sam@example.test", password: "api chosen passphrase" } });
+    assert.equal(login.status, 200);
+  });
+});
@@ -0,0 +1,80 @@
+// Conversation quality: both people have to take part for a conversation to score well
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { scoreConversationQuality, avatarEvolution } = require("../quality");
+
+const ANA = 1;
+const BEN = 2;
+const START = new Date("2026-01-05T18:00:00Z").getTime();
+
+// [sender, text] pairs, an hour apart
+function conversation(turns) {
+  return turns.map(([sender_id, message_text], index) => ({
+    sender_id,
+    message_text,
+    message_length: message_text.length,
+    is_repetitive: false,
+    created_at: new Date(START + index * 60 * 60 * 1000)
+  }));
+}
+
+const ESSAYS = [
+  "I spent most of the weekend walking the coast path with my sister, and it reminded me how much I miss having long days with nowhere to be. What do you do when you need to slow down?",
+  "I've been thinking about what you said earlier about moving cities. I did that twice in my twenties and both times it took me a good year before anywhere felt like home. How long have you been where you are now?",
+  "Cooking is the thing that calms me down most. I'll spend a whole Sunday on a stew that nobody asked for, mostly for the chopping and the smell of it. Is there something like that for you, something you do just for the doing?"
+];
+
+describe("conversation quality", () => {
+  it("scores an empty conversation as zero", () => {
+    const { score, factors } = scoreConversationQuality([], [ANA, BEN]);
+    assert.equal(score, 0);
+    assert.deepEqual(factors, { depth: 0, balance: 0, questions: 0, responsiveness: 0, trajectory: 0 });
+  });
+
+  it("scores essays answered with \"ok\" low", () => {
+    const messages = conversation(ESSAYS.flatMap((essay) => [[ANA, essay], [BEN, "ok"]]));
+    const { score, factors } = scoreConversationQuality(messages, [ANA, BEN]);
+    assert.ok(score < 0.35, `lopsided conversation scored ${score}`);
+    assert.ok(factors.depth < 0.1, `depth ${factors.depth}`);
+    assert.ok(factors.balance < 0.7, `balance ${factors.balance}`);
+  });
+
+  it("scores essays that get no reply at all low", () => {
+    const messages = conversation(ESSAYS.map((essay) => [ANA, essay]));
+    const { score, factors } = scoreConversationQuality(messages, [ANA, BEN]);
+    assert.ok(score < 0.25, `one-sided conversation scored ${score}`);
+    assert.equal(factors.depth, 0);
+    assert.equal(factors.responsiveness, 0);
+  });
+
+  it("scores a balanced conversation well", () => {
+    const messages = conversation([
+      [ANA, ESSAYS[0]],
+      [BEN, "Honestly, I go for a swim. Early, before anyone else is up, when the water is flat and cold. It resets my whole week. Have you ever tried sea swimming?"],
+      [ANA, ESSAYS[1]],
+      [BEN, "Almost four years now. The first winter was lonely, but a running club turned strangers into the people I call on a bad day. What made you move?"],
+      [ANA, ESSAYS[2]],
+      [BEN, "Bread. Kneading dough is the only time my head goes completely quiet, and I love that it can't be rushed. I'd trade you a loaf for a bowl of that stew."]
+    ]);
+    const { score, factors } = scoreConversationQuality(messages, [ANA, BEN]);
+    assert.ok(score > 0.7, `balanced conversation scored ${score}`);
+    assert.ok(factors.depth > 0.8, `depth ${factors.depth}`);
+    assert.ok(factors.balance > 0.8, `balance ${factors.balance}`);
+    assert.ok(factors.questions > 0.8, `questions ${factors.questions}`);
+  });
+
+  it("ranks the balanced conversation above the lopsided one, and evolves avatars accordingly", () => {
+    const lopsided = conversation(ESSAYS.flatMap((essay) => [[ANA, essay], [BEN, "ok"]]));
+    const balanced = conversation(ESSAYS.flatMap((essay) => [[ANA, essay], [BEN, essay]]));
+    const lopsidedScore = scoreConversationQuality(lopsided, [ANA, BEN]).score;
+    const balancedScore = scoreConversationQuality(balanced, [ANA, BEN]).score;
+    assert.ok(balancedScore > lopsidedScore + 0.3, `${balancedScore} vs ${lopsidedScore}`);
+    assert.ok(avatarEvolution(balancedScore, balanced, [ANA, BEN]) > avatarEvolution(lopsidedScore, lopsided, [ANA, BEN]));
+  });
+
+  it("doesn't count repetitive messages as depth", () => {
+    const messages = conversation(ESSAYS.flatMap((essay) => [[ANA, essay], [BEN, essay]]));
+    messages.filter((m) => m.sender_id === BEN).forEach((m) => { m.is_repetitive = true; });
+    assert.equal(scoreConversationQuality(messages, [ANA, BEN]).factors.depth, 0);
+  });
+});
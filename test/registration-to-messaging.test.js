@@ -0,0 +1,200 @@
+// From signing up to talking: registration, onboarding, discovery and messaging
+// through the web pages, then the same conversation through the JSON API.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { PASSWORD, startTestApp, createClient, onboard, registerAndOnboard, verifyEmail } = require("./helpers");
+
+describe("registration through messaging", () => {
+  let testApp;
+  let alice;
+  let bob;
+  let aliceId;
+  let bobId;
+  let connectionId;
+
+  before(async () => {
+    testApp = await startTestApp();
+    alice = createClient(testApp.baseUrl);
+    bob = createClient(testApp.baseUrl);
+  });
+
+  after(async () => {
+    await testApp.close();
+  });
+
+  it("registers a new account and starts onboarding", async () => {
+    const res = await alice.post("/register", {
+      email: "alice@example.test",
+      password: PASSWORD,
+      password_confirm: PASSWORD
+    });
+    assert.equal(res.status, 302);
+    assert.equal(res.location, "/onboarding/step-1");
+
+    const home = await alice.get("/");
+    assert.equal(home.status, 302);
+    assert.equal(home.location, "/onboarding/step-1");
+  });
+
+  it("refuses a second account with the same email", async () => {
+    const res = await createClient(testApp.baseUrl).post("/register", {
+      email: "Alice@example.test",
+      password: PASSWORD,
+      password_confirm: PASSWORD
+    });
+    assert.equal(res.status, 409);
+    assert.match(res.text, /Email already registered/);
+  });
+
+  it("keeps someone on the step until the answer is acceptable", async () => {
+    await alice.post("/onboarding/step-1", { name: "Alice", age: 31 });
+    await alice.post("/onboarding/step-2", { gender: "Woman" });
+    const res = await alice.post("/onboarding/step-3", { imperfection_1: "messy" });
+    assert.match(res.location, /^\/onboarding\/step-3\?error=/);
+  });
+
+  it("completes onboarding for both people", async () => {
+    const aliceDone = await onboard(alice, {
+      name: "Alice",
+      age: 31,
+      genderCategory: "woman",
+      interestedIn: ["man"]
+    });
+    assert.equal(aliceDone.location, "/");
+
+    const bobDone = await registerAndOnboard(bob, {
+      email: "bob@example.test",
+      name: "Bob",
+      age: 33,
+      genderCategory: "man",
+      interestedIn: ["woman"]
+    });
+    assert.equal(bobDone.location, "/");
+
+    const users = await testApp.pool.query("SELECT id, email, onboarding_complete FROM users ORDER BY id");
+    assert.deepEqual(users.rows.map((u) => [u.email, u.onboarding_complete]), [
+      ["alice@example.test", true],
+      ["bob@example.test", true]
+    ]);
+    [aliceId, bobId] = users.rows.map((u) => u.id);
+  });
+
+  it("keeps people out of discovery until they confirm their email", async () => {
+    const home = await alice.get("/");
+    assert.doesNotMatch(home.text, new RegExp(`href="/profile/${bobId}"`));
+    assert.match(home.text, /Please confirm your email address/);
+
+    assert.equal((await verifyEmail(alice, testApp.mail, "alice@example.test")).location, "/?verified=1");
+    assert.equal((await verifyEmail(bob, testApp.mail, "bob@example.test")).location, "/?verified=1");
+  });
+
+  it("shows each person the other in discovery", async () => {
+    const home = await alice.get("/");
+    assert.equal(home.status, 200);
+    assert.match(home.text, new RegExp(`href="/profile/${bobId}"`));
+
+    const profile = await alice.get(`/profile/${bobId}`);
+    assert.equal(profile.status, 200);
+    assert.match(profile.text, /Bob, 33/);
+    assert.match(profile.text, new RegExp(`action="/start-conversation/${bobId}"`));
+  });
+
+  it("starts a conversation and delivers messages both ways", async () => {
+    const started = await alice.post(`/start-conversation/${bobId}`);
+    assert.equal(started.status, 302);
+    const match = /^\/connection\/(\d+)$/.exec(started.location);
+    assert.ok(match, `unexpected redirect to ${started.location}`);
+    connectionId = parseInt(match[1], 10);
+
+    const sent = await alice.post(`/connection/${connectionId}/message`, {
+      message: "Hi Bob, what does a good Sunday look like for you?"
+    });
+    assert.equal(sent.location, `/connection/${connectionId}`);
+
+    const bobView = await bob.get(`/connection/${connectionId}`);
+    assert.equal(bobView.status, 200);
+    assert.match(bobView.text, /what does a good Sunday look like for you\?/);
+
+    await bob.post(`/connection/${connectionId}/message`, { message: "Slow breakfast, then a long walk somewhere new." });
+    const aliceView = await alice.get(`/connection/${connectionId}`);
+    assert.match(aliceView.text, /Slow breakfast, then a long walk somewhere new\./);
+  });
+
+  it("doesn't offer the same person again once they're talking", async () => {
+    const home = await bob.get("/");
+    assert.doesNotMatch(home.text, new RegExp(`href="/profile/${aliceId}"`));
+  });
+
+  it("rejects empty messages and keeps outsiders out", async () => {
+    const empty = await alice.post(`/connection/${connectionId}/message`, { message: "   " });
+    assert.equal(empty.location, `/connection/${connectionId}`);
+
+    const eve = createClient(testApp.baseUrl);
+    await registerAndOnboard(eve, {
+      email: "eve@example.test",
+      name: "Eve",
+      age: 29,
+      genderCategory: "woman",
+      interestedIn: ["man"]
+    });
+    const peek = await eve.get(`/connection/${connectionId}`);
+    assert.equal(peek.location, "/");
+    const intrude = await eve.post(`/connection/${connectionId}/message`, { message: "Hello there, both of you" });
+    assert.equal(intrude.location, "/");
+
+    const count = await testApp.pool.query("SELECT COUNT(*)::int AS count FROM messages WHERE connection_id = $1", [connectionId]);
+    assert.equal(count.rows[0].count, 2);
+  });
+
+  it("serves the same conversation through the API", async () => {
+    const api = createClient(testApp.baseUrl);
+    const login = await api.api("POST", "/auth/login", { json: { email: "bob@example.test", password: PASSWORD } });
+    assert.equal(login.status, 200);
+    const { token } = login.json();
+
+    const sent = await api.api("POST", `/connections/${connectionId}/messages`, {
+      token,
+      json: { message: "Where would you walk, if you could pick anywhere?" }
+    });
+    assert.equal(sent.status, 201);
+
+    const list = await api.api("GET", `/connections/${connectionId}/messages`, { token });
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.json().messages.map((m) => m.sender_id), [aliceId, bobId, bobId]);
+  });
+
+  it("scores a conversation held through the API the same way", async () => {
+    // As if nobody had opened the conversation page yet
+    await testApp.pool.query(
+      "UPDATE connections SET conversation_quality_score = 0, conversation_quality_factors = NULL, mutual_avatar_evolution = 0 WHERE id = $1",
+      [connectionId]
+    );
+    await testApp.pool.query("UPDATE users SET avatar_evolution = 0");
+    await testApp.pool.query("DELETE FROM compatibility_signals");
+
+    const tokens = {};
+    for (const email of ["alice@example.test", "bob@example.test"]) {
+      tokens[email] = (await createClient(testApp.baseUrl).api("POST", "/auth/login", { json: { email, password: PASSWORD } })).json().token;
+    }
+    const replies = [
+      ["alice@example.test", "Somewhere along the coast, where the path climbs over the cliffs and you can see the whole bay. Have you been up north?"],
+      ["bob@example.test", "Only once, years ago with my brother. We got caught in the rain and ended up in a tiny café for the whole afternoon."],
+      ["alice@example.test", "That sounds like the best kind of ruined plan. What did you two talk about for all those hours?"],
+      ["bob@example.test", "Mostly our dad, who had just retired and had no idea what to do with himself. It was the first real talk we'd had in ages."]
+    ];
+    for (const [email, message] of replies) {
+      const sent = await createClient(testApp.baseUrl).api("POST", `/connections/${connectionId}/messages`, { token: tokens[email], json: { message } });
+      assert.equal(sent.status, 201);
+    }
+
+    const [connection] = (await createClient(testApp.baseUrl).api("GET", "/connections", { token: tokens["alice@example.test"] })).json().connections;
+    assert.ok(connection.conversation_quality_score > 0);
+    assert.deepEqual(Object.keys(connection.conversation_quality_factors).sort(), ["balance", "depth", "questions", "responsiveness", "trajectory"]);
+    assert.ok(connection.mutual_avatar_evolution > 0);
+
+    const avatars = await testApp.pool.query("SELECT avatar_evolution FROM users WHERE id IN ($1, $2)", [aliceId, bobId]);
+    assert.ok(avatars.rows.every((row) => parseFloat(row.avatar_evolution) > 0));
+    const signals = await testApp.pool.query("SELECT conversation_compatibility FROM compatibility_signals");
+    assert.equal(signals.rows.length, 1);
+  });
+});
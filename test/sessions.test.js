@@ -0,0 +1,112 @@
+// Sessions: kept in Postgres, a fresh session id on every sign-in, and signing out other devices
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { PASSWORD, startTestApp, createClient, registerAndOnboard, verifyEmail } = require("./helpers");
+const { approximateIp, describeDevice } = require("../sessions");
+
+describe("sessions", () => {
+  let testApp;
+  let ana;
+
+  const sessionCookie = (res) => (res.headers.get("set-cookie") || "").split(";")[0];
+  const signIn = async (client = createClient(testApp.baseUrl)) => {
+    const res = await client.post("/login", { email: "ana@example.test", password: PASSWORD });
+    return { client, res };
+  };
+
+  before(async () => {
+    testApp = await startTestApp();
+    ana = createClient(testApp.baseUrl);
+    await registerAndOnboard(ana, { email: "ana@example.test", name: "Ana", age: 28, genderCategory: "woman", interestedIn: ["man"] });
+  });
+
+  after(async () => {
+    await testApp.close();
+  });
+
+  it("are stored in the database, under a new id on every sign-in", async () => {
+    const { client, res } = await signIn();
+    const first = sessionCookie(res);
+    assert.ok(first);
+    assert.equal((await client.get("/")).status, 200);
+
+    const { res: again } = await signIn(client);
+    const second = sessionCookie(again);
+    assert.ok(second);
+    assert.notEqual(second, first);
+
+    const sids = (await testApp.pool.query("SELECT sid FROM user_sessions")).rows.map((row) => row.sid);
+    const sidOf = (cookie) => decodeURIComponent(cookie.split("=")[1]).slice(2).split(".")[0];
+    assert.ok(sids.includes(sidOf(second)));
+    assert.ok(!sids.includes(sidOf(first)), "the old session is gone");
+  });
+
+  it("lists each device, marking this one", async () => {
+    const page = await ana.get("/settings/sessions");
+    assert.equal(page.status, 200);
+    assert.equal((page.text.match(/action="\/settings\/sessions\/\d+\/end"/g) || []).length, 2);
+    assert.equal((page.text.match(/This device/g) || []).length, 1);
+    assert.match(page.text, /near 127\.0\.0\.0/);
+  });
+
+  it("signs out another device", async () => {
+    const { client } = await signIn();
+    const other = (await testApp.pool.query("SELECT id FROM user_sessions ORDER BY created_at DESC, id DESC LIMIT 1")).rows[0].id;
+
+    const res = await ana.post(`/settings/sessions/${other}/end`);
+    assert.equal(res.location, "/settings/sessions?saved=1");
+    assert.equal((await client.get("/")).location, "/login");
+    assert.equal((await ana.get("/")).status, 200, "still signed in here");
+  });
+
+  it("signs out everywhere, the app included", async () => {
+    const { client } = await signIn();
+    const api = createClient(testApp.baseUrl);
+    const { token } = (await api.api("POST", "/auth/login", { json: { email: "ana@example.test", password: PASSWORD } })).json();
+    assert.match((await ana.get("/settings/sessions")).text, /Connect app/);
+
+    const res = await ana.post("/settings/sessions/end-all");
+    assert.equal(res.location, "/login?signed_out=everywhere");
+    assert.equal((await ana.get("/")).location, "/login");
+    assert.equal((await client.get("/")).location, "/login");
+    assert.equal((await api.api("GET", "/me", { token })).status, 401);
+    assert.equal((await testApp.pool.query("SELECT COUNT(*)::int AS count FROM user_sessions")).rows[0].count, 0);
+  });
+
+  it("closes live conversation updates when signing out everywhere", async () => {
+    const ben = createClient(testApp.baseUrl);
+    await registerAndOnboard(ben, { email: "ben@example.test", name: "Ben", age: 30, genderCategory: "man", interestedIn: ["woman"] });
+    await verifyEmail(ben, testApp.mail, "ben@example.test");
+    const { client, res } = await signIn();
+    await verifyEmail(client, testApp.mail, "ana@example.test");
+    const anaId = (await testApp.pool.query("SELECT id FROM users WHERE email = 'ana@example.test'")).rows[0].id;
+    const started = await ben.post(`/start-conversation/${anaId}`);
+    assert.match(started.location, /^\/connection\/\d+$/);
+
+    const stream = await fetch(`${testApp.baseUrl}${started.location}/events`, { headers: { Cookie: sessionCookie(res) } });
+    assert.equal(stream.status, 200);
+    const reader = stream.body.getReader();
+    await reader.read();
+
+    // From another device, so it isn't only this session's own sign-out
+    const { client: otherDevice } = await signIn();
+    await otherDevice.post("/settings/sessions/end-all");
+    const timeout = new Promise((resolve) => setTimeout(() => resolve({ timedOut: true }), 2000));
+    let result;
+    do {
+      result = await Promise.race([reader.read(), timeout]);
+    } while (!result.done && !result.timedOut);
+    assert.equal(result.done, true, "the stream was closed");
+  });
+
+  it("only keeps the network part of the address and a short device name", () => {
+    assert.equal(approximateIp("203.0.113.42"), "203.0.113.0");
+    assert.equal(approximateIp("::ffff:198.51.100.7"), "198.51.100.0");
+    assert.equal(approximateIp("2001:db8:85a3:8d3:1319:8a2e:370:7348"), "2001:db8:85a3::");
+    assert.equal(
+      describeDevice("Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0"),
+      "Firefox on Windows"
+    );
+    assert.equal(describeDevice(""), "Unknown device");
+  });
+});
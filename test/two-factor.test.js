@@ -0,0 +1,105 @@
+// Two-step sign-in: setting it up, signing in with a code or a recovery code, and turning it off
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { PASSWORD, startTestApp, createClient, registerAndOnboard } = require("./helpers");
+const { totpCode, totpStep } = require("../twofactor");
+
+describe("two-step sign-in", () => {
+  let testApp;
+  let ana;
+  let secret;
+  let recoveryCodes;
+  let setupCode;
+
+  const signInWithPassword = async () => {
+    const client = createClient(testApp.baseUrl);
+    const res = await client.post("/login", { email: "ana@example.test", password: PASSWORD });
+    return { client, res };
+  };
+
+  before(async () => {
+    testApp = await startTestApp();
+    ana = createClient(testApp.baseUrl);
+    await registerAndOnboard(ana, { email: "ana@example.test", name: "Ana", age: 28, genderCategory: "woman", interestedIn: ["man"] });
+  });
+
+  after(async () => {
+    await testApp.close();
+  });
+
+  it("is set up by scanning a QR code and confirming a code", async () => {
+    const setup = await ana.get("/settings/two-factor/setup");
+    assert.match(setup.text, /<svg[^>]*>/);
+    secret = /class="totp-key">([A-Z2-7 ]+)</.exec(setup.text)[1].replace(/ /g, "");
+    assert.equal((await ana.get("/settings/two-factor/setup")).text.includes(secret.slice(0, 4)), true, "same secret until confirmed");
+
+    // A code from five minutes ago
+    const wrong = await ana.post("/settings/two-factor/setup", { code: totpCode(secret, totpStep() - 10) });
+    assert.match(wrong.location, /^\/settings\/two-factor\/setup\?error=/);
+
+    setupCode = totpCode(secret, totpStep());
+    const res = await ana.post("/settings/two-factor/setup", { code: setupCode });
+    assert.equal(res.location, "/settings/two-factor/recovery-codes");
+    const shown = await ana.get("/settings/two-factor/recovery-codes");
+    recoveryCodes = [...shown.text.matchAll(/<li>([a-z2-7]{5}-[a-z2-7]{5})<\/li>/g)].map((match) => match[1]);
+    assert.equal(recoveryCodes.length, 10);
+    assert.equal((await ana.get("/settings/two-factor/recovery-codes")).location, "/settings/two-factor", "shown only once");
+
+    const stored = await testApp.pool.query("SELECT code_hash FROM recovery_codes");
+    assert.equal(stored.rows.length, 10);
+    assert.ok(stored.rows.every((row) => !recoveryCodes.includes(row.code_hash)));
+    assert.ok(testApp.mail.find((m) => m.subject === "Two-step sign-in is on for your Connect account"));
+  });
+
+  it("asks for a code before signing in", async () => {
+    const { client, res } = await signInWithPassword();
+    assert.equal(res.location, "/login/two-factor");
+    assert.equal((await client.get("/")).location, "/login", "not signed in yet");
+
+    const wrong = await client.post("/login/two-factor", { code: "12345" });
+    assert.match(wrong.location, /^\/login\/two-factor\?error=/);
+    // The code used to set it up can't be used again
+    const replayed = await client.post("/login/two-factor", { code: setupCode });
+    assert.match(replayed.location, /^\/login\/two-factor\?error=/);
+
+    const signedIn = await client.post("/login/two-factor", { code: totpCode(secret, totpStep() + 1) });
+    assert.equal(signedIn.location, "/");
+    assert.equal((await client.get("/")).status, 200);
+  });
+
+  it("accepts each recovery code once", async () => {
+    const first = await signInWithPassword();
+    const res = await first.client.post("/login/two-factor", { code: recoveryCodes[0].toUpperCase() });
+    assert.equal(res.location, "/");
+
+    const second = await signInWithPassword();
+    const reused = await second.client.post("/login/two-factor", { code: recoveryCodes[0] });
+    assert.match(reused.location, /^\/login\/two-factor\?error=/);
+    assert.match((await ana.get("/settings/two-factor")).text, /9 of 10 recovery codes left/);
+  });
+
+  it("needs the code for API sign-in too", async () => {
+    const api = createClient(testApp.baseUrl);
+    const missing = await api.api("POST", "/auth/login", { json: { email: "ana@example.test", password: PASSWORD } });
+    assert.equal(missing.status, 401);
+    assert.equal(missing.json().error.code, "two_factor_required");
+
+    const res = await api.api("POST", "/auth/login", { json: { email: "ana@example.test", password: PASSWORD, two_factor_code: recoveryCodes[1] } });
+    assert.equal(res.status, 200);
+    assert.equal(res.json().user.two_factor_enabled, true);
+  });
+
+  it("is turned off only with the password and a code", async () => {
+    const wrongPassword = await ana.post("/settings/two-factor/disable", { current_password: "not my password", code: recoveryCodes[2] });
+    assert.match(wrongPassword.location, /^\/settings\/two-factor\?error=Your%20current%20password/);
+    const noCode = await ana.post("/settings/two-factor/disable", { current_password: PASSWORD, code: totpCode(secret, totpStep() - 10) });
+    assert.match(noCode.location, /^\/settings\/two-factor\?error=/);
+
+    const res = await ana.post("/settings/two-factor/disable", { current_password: PASSWORD, code: recoveryCodes[2] });
+    assert.equal(res.location, "/settings/two-factor?saved=off");
+    assert.equal((await testApp.pool.query("SELECT COUNT(*)::int AS count FROM recovery_codes")).rows[0].count, 0);
+
+    const { res: login } = await signInWithPassword();
+    assert.equal(login.location, "/");
+  });
+});
@@ -0,0 +1,51 @@
+// Pages: one layout and stylesheet, and everything people type is escaped
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, createClient, registerAndOnboard } = require("./helpers");
+
+describe("pages", () => {
+  let testApp;
+  let ana;
+  let ben;
+  let anaId;
+
+  before(async () => {
+    testApp = await startTestApp();
+    ana = createClient(testApp.baseUrl);
+    ben = createClient(testApp.baseUrl);
+    await registerAndOnboard(ana, { email: "ana@example.test", name: `Ana "A&B" onmouseover="x"`, age: 28, genderCategory: "woman", interestedIn: ["man"] });
+    await registerAndOnboard(ben, { email: "ben@example.test", name: "Ben", age: 30, genderCategory: "man", interestedIn: ["woman"] });
+    anaId = (await testApp.pool.query("SELECT id FROM users WHERE email = 'ana@example.test'")).rows[0].id;
+  });
+
+  after(async () => {
+    await testApp.close();
+  });
+
+  it("share the layout and stylesheet", async () => {
+    const login = await createClient(testApp.baseUrl).get("/login");
+    assert.match(login.text, /<link rel="stylesheet" href="\/css\/app\.css">/);
+    assert.doesNotMatch(login.text, /<style>/);
+
+    const css = await createClient(testApp.baseUrl).get("/css/app.css");
+    assert.equal(css.status, 200);
+    assert.match(css.headers.get("content-type"), /text\/css/);
+  });
+
+  it("escape the error in the address", async () => {
+    const res = await createClient(testApp.baseUrl).get(`/login?error=${encodeURIComponent(`<img src=x onerror="alert(1)">`)}`);
+    assert.doesNotMatch(res.text, /<img src=x/);
+    assert.match(res.text, /&lt;img src=x onerror=&#34;alert\(1\)&#34;&gt;/);
+  });
+
+  it("escape names and messages", async () => {
+    const profile = await ben.get(`/profile/${anaId}`);
+    assert.doesNotMatch(profile.text, /onmouseover="x"/);
+    assert.match(profile.text, /Ana &#34;A&amp;B&#34; onmouseover=&#34;x&#34;/);
+
+    const started = await ben.post(`/start-conversation/${anaId}`);
+    await ben.post(`${started.location}/message`, { message: `Hi "you" & <b>hello</b>` });
+    const conversation = await ana.get(started.location);
+    assert.match(conversation.text, /Hi &#34;you&#34; &amp; bhello\/b/);
+  });
+});
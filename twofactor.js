@@ -0,0 +1,233 @@
+// Two-step sign-in
+// Optional time-based codes from an authenticator app (TOTP, RFC 6238), asked for after
+// the password. The QR code for setting up the app is drawn here rather than by an
+// outside service, so the secret never leaves the server. Recovery codes are for when the
+// app isn't at hand: ten single-use codes, shown once and stored only as SHA-256 hashes.
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const pool = require("./db");
+const logger = require("./logger");
+const { sendMail } = require("./mailer");
+
+const TOTP_ISSUER = "Connect";
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes from one step either side of now are accepted, for phone clocks that are a little off
+const TOTP_WINDOW_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+  let bits = "";
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, "0");
+  }
+  let text = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    text += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return text;
+}
+
+function base32Decode(text) {
+  let bits = "";
+  for (const char of text.replace(/=+$/, "").toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error("Invalid base32 text");
+    bits += value.toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function totpStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+}
+
+function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+// The time step a code belongs to, or null if it isn't a code for around now
+function matchTotpStep(secret, code, now = Date.now()) {
+  const digits = String(code || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(digits)) return null;
+  const step = totpStep(now);
+  for (let offset = -TOTP_WINDOW_STEPS; offset <= TOTP_WINDOW_STEPS; offset++) {
+    if (crypto.timingSafeEqual(Buffer.from(totpCode(secret, step + offset)), Buffer.from(digits))) {
+      return step + offset;
+    }
+  }
+  return null;
+}
+
+// What the authenticator app scans: the otpauth:// link as an SVG QR code
+async function totpSetup(secret, email) {
+  const url = `otpauth://totp/${encodeURIComponent(`${TOTP_ISSUER}:${email}`)}?secret=${secret}` +
+    `&issuer=${encodeURIComponent(TOTP_ISSUER)}&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+  const qrCodeSvg = await QRCode.toString(url, { type: "svg", margin: 1, width: 200 });
+  return { url, qrCodeSvg };
+}
+
+// Recovery codes are compared without dashes, spaces or case
+function hashRecoveryCode(code) {
+  const normalized = String(code || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+// Replaces someone's recovery codes with a new set and returns them, formatted "xxxxx-xxxxx"
+async function replaceRecoveryCodes(client, userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+  await client.query("DELETE FROM recovery_codes WHERE user_id = $1", [userId]);
+  for (const code of codes) {
+    await client.query("INSERT INTO recovery_codes (user_id, code_hash) VALUES ($1, $2)", [userId, hashRecoveryCode(code)]);
+  }
+  return codes;
+}
+
+function sendTwoFactorNotice(user, subject, text) {
+  sendMail({ to: user.email, subject, text }).catch((error) =>
+    logger.error(`Couldn't send the two-step sign-in notice for user ${user.id}`, error)
+  );
+}
+
+// Turns two-step sign-in on, once a code shows the app was set up with this secret.
+// Returns the recovery codes to show once, or null if the code was wrong (or it's already on).
+async function enableTwoFactor(user, secret, code) {
+  const step = matchTotpStep(secret, code);
+  if (step === null) return null;
+
+  const client = await pool.connect();
+  let codes;
+  try {
+    await client.query("BEGIN");
+    const result = await client.query(
+      `UPDATE users SET totp_secret = $1, totp_enabled_at = CURRENT_TIMESTAMP, totp_last_step = $2
+       WHERE id = $3 AND totp_enabled_at IS NULL`,
+      [secret, step, user.id]
+    );
+    if (result.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+    codes = await replaceRecoveryCodes(client, user.id);
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+  logger.info(`User ${user.id} turned on two-step sign-in`);
+
+  sendTwoFactorNotice(user, "Two-step sign-in is on for your Connect account",
+    `Two-step sign-in is now on for your Connect account: after your password, we'll ask for a code from your authenticator app.
+
+Keep your recovery codes somewhere safe. Each one signs you in once if your phone isn't at hand.
+
+If you didn't make this change, please reset your password and get in touch with us straight away.`);
+  return codes;
+}
+
+// Checks a code from the authenticator app, or a recovery code. Each code works only once.
+// Returns "app" or "recovery_code" for the kind of code that was accepted, or null.
+async function verifySecondFactor(user, code) {
+  if (!user.totp_enabled_at) return null;
+
+  const step = matchTotpStep(user.totp_secret, code);
+  if (step !== null) {
+    // Only a code from a later step than the last one used, so a code seen over someone's shoulder can't be replayed
+    const result = await pool.query(
+      "UPDATE users SET totp_last_step = $2 WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)",
+      [user.id, step]
+    );
+    return result.rowCount > 0 ? "app" : null;
+  }
+
+  const result = await pool.query(
+    `UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL`,
+    [user.id, hashRecoveryCode(code)]
+  );
+  if (result.rowCount === 0) return null;
+  logger.info(`User ${user.id} used a recovery code`);
+  return "recovery_code";
+}
+
+async function disableTwoFactor(user) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query(
+      "UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = $1",
+      [user.id]
+    );
+    await client.query("DELETE FROM recovery_codes WHERE user_id = $1", [user.id]);
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+  logger.info(`User ${user.id} turned off two-step sign-in`);
+
+  sendTwoFactorNotice(user, "Two-step sign-in is off for your Connect account",
+    `Two-step sign-in was just turned off for your Connect account, so signing in only needs your password now.
+
+If you didn't make this change, please reset your password and get in touch with us straight away.`);
+}
+
+// A new set of recovery codes; the old ones stop working
+async function regenerateRecoveryCodes(userId) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const codes = await replaceRecoveryCodes(client, userId);
+    await client.query("COMMIT");
+    logger.info(`User ${userId} got new recovery codes`);
+    return codes;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function countRecoveryCodes(userId) {
+  const result = await pool.query(
+    "SELECT COUNT(*)::int AS count FROM recovery_codes WHERE user_id = $1 AND used_at IS NULL",
+    [userId]
+  );
+  return result.rows[0].count;
+}
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  generateTotpSecret,
+  totpStep,
+  totpCode,
+  totpSetup,
+  enableTwoFactor,
+  verifySecondFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  countRecoveryCodes
+};
@@ -0,0 +1,202 @@
+// Validation helpers
+// Shared by the HTML routes and the JSON API. Validators that check a whole
+// form return { error } on failure or { value(s) } on success.
+
+function validateEmail(email) {
+  const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return re.test(String(email).toLowerCase()) && email.length <= 255;
+}
+
+function validatePassword(password) {
+  return password && password.length >= 8 && password.length <= 255;
+}
+
+function sanitizeString(str) {
+  return String(str).trim().substring(0, 255).replace(/[<>]/g, "");
+}
+
+function sanitizeLongText(str) {
+  return String(str).trim().substring(0, 500).replace(/[<>]/g, "");
+}
+
+// Onboarding step 1
+function validateNameAndAge(name, age) {
+  if (!name || !age) {
+    return { error: "Name and age are required" };
+  }
+
+  const sanitizedName = sanitizeString(name);
+  if (sanitizedName.length < 2) {
+    return { error: "Name must be at least 2 characters" };
+  }
+
+  const ageNum = parseInt(age, 10);
+  if (isNaN(ageNum) || ageNum < 18 || ageNum > 120) {
+    return { error: "Please enter a valid age (18-120)" };
+  }
+
+  return { values: { name: sanitizedName, age: ageNum } };
+}
+
+// Onboarding step 2
+function validateGender(gender) {
+  if (!gender || sanitizeString(gender).length === 0) {
+    return { error: "Gender is required" };
+  }
+  return { value: sanitizeString(gender) };
+}
+
+// Onboarding steps 3 and 4: one honest sentence, no emojis
+function validateImperfectionAnswer(text) {
+  const answer = sanitizeLongText(text || "");
+
+  if (answer.length === 0) {
+    return { error: "Please provide an answer" };
+  }
+
+  const emojiRegex = /[\u{1F300}-\u{1F9FF}]/gu;
+  if (emojiRegex.test(answer)) {
+    return { error: "No emojis, please. Just words." };
+  }
+
+  const words = answer.split(/\s+/).filter(w => w.length > 0);
+  if (words.length < 4) {
+    return { error: "Please describe behavior or situations, not just single words or phrases." };
+  }
+
+  return { value: answer };
+}
+
+// Discovery preferences
+// gender stays free text; gender_category is the group people choose from when saying who they want to meet
+const GENDER_CATEGORIES = { woman: "Women", man: "Men", nonbinary: "Non-binary people" };
+const OWN_GENDER_CATEGORIES = { woman: "A woman", man: "A man", nonbinary: "Non-binary" };
+const INTENTS = {
+  long_term: "Something long-term",
+  open: "Open to seeing where it goes",
+  friendship_first: "Friendship first"
+};
+
+function validateDiscoveryPreferences(body) {
+  const genderCategory = body.gender_category;
+  const interestedIn = [].concat(body.interested_in || []);
+  const ageMin = parseInt(body.preferred_age_min, 10);
+  const ageMax = parseInt(body.preferred_age_max, 10);
+  const intent = body.intent;
+
+  if (!Object.keys(OWN_GENDER_CATEGORIES).includes(genderCategory)) {
+    return { error: "Please choose the group that fits you best" };
+  }
+  if (interestedIn.length === 0 || !interestedIn.every(c => Object.keys(GENDER_CATEGORIES).includes(c))) {
+    return { error: "Please choose who you'd like to meet" };
+  }
+  if (isNaN(ageMin) || isNaN(ageMax) || ageMin < 18 || ageMax > 120 || ageMin > ageMax) {
+    return { error: "Please enter a valid age range (18-120)" };
+  }
+  if (!Object.keys(INTENTS).includes(intent)) {
+    return { error: "Please choose what you're looking for" };
+  }
+
+  return { values: { genderCategory, interestedIn: [...new Set(interestedIn)], ageMin, ageMax, intent } };
+}
+
+// Taking a break: paused profiles aren't suggested, hibernating also pauses conversations
+const AVAILABILITY_MODES = {
+  available: "Visible",
+  paused: "Paused",
+  hibernating: "Hibernating"
+};
+const MAX_BREAK_DAYS = 365;
+
+// resume_on is an optional date (YYYY-MM-DD) to end the break on, from tomorrow to a year ahead
+function validateAvailability(body, now = new Date()) {
+  const mode = body.availability;
+  if (!Object.keys(AVAILABILITY_MODES).includes(mode)) {
+    return { error: "Please choose how you'd like to be seen" };
+  }
+  if (mode === "available" || !body.resume_on) {
+    return { values: { mode, resumeAt: null } };
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(body.resume_on));
+  const resumeAt = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+  const latest = new Date(now.getTime() + MAX_BREAK_DAYS * 24 * 60 * 60 * 1000);
+  if (!resumeAt || isNaN(resumeAt) || resumeAt <= now || resumeAt > latest) {
+    return { error: "Please choose a date to come back between tomorrow and a year from now" };
+  }
+  return { values: { mode, resumeAt } };
+}
+
+// Reports
+const REPORT_CATEGORIES = {
+  harassment: "Harassment or bullying",
+  inappropriate: "Sexual or inappropriate messages",
+  hate: "Hate or discrimination",
+  threats: "Threats or feeling unsafe",
+  scam: "Scam, spam or asking for money",
+  fake: "Fake profile or impersonation",
+  underage: "May be under 18",
+  other: "Something else"
+};
+
+function validateReport(body) {
+  const category = body.category;
+  const details = sanitizeLongText(body.details || "");
+
+  if (!Object.keys(REPORT_CATEGORIES).includes(category)) {
+    return { error: "Please choose what happened" };
+  }
+  if (category === "other" && details.length === 0) {
+    return { error: "Please tell us a little about what happened" };
+  }
+
+  return { values: { category, details } };
+}
+
+// Closing notes for ending a connection: one of these, or the person's own words
+const CLOSING_NOTES = {
+  kind_goodbye:
+    "Thank you for the conversations we've had. I don't think I'm able to keep this going, " +
+    "and I wanted to tell you rather than just go quiet. I wish you all the best.",
+  different_things:
+    "I've really enjoyed talking with you, but I've realised we're looking for different things. Take care of yourself.",
+  met_someone:
+    "I've started seeing someone and want to give that a fair chance. Thank you for being so easy to talk to.",
+  stepping_back:
+    "I need to step back from dating for a while. Thank you for your kindness, and good luck."
+};
+
+function validateClosingNote(body) {
+  if (body.note_id && body.note_id !== "own") {
+    if (!Object.keys(CLOSING_NOTES).includes(body.note_id)) {
+      return { error: "Please choose a closing note" };
+    }
+    return { value: CLOSING_NOTES[body.note_id] };
+  }
+
+  const note = sanitizeLongText(body.note || "");
+  if (note.split(/\s+/).filter(w => w.length > 0).length < 4) {
+    return { error: "Please write a few words to close the conversation kindly" };
+  }
+  return { value: note };
+}
+
+module.exports = {
+  validateEmail,
+  validatePassword,
+  sanitizeString,
+  sanitizeLongText,
+  validateNameAndAge,
+  validateGender,
+  validateImperfectionAnswer,
+  GENDER_CATEGORIES,
+  OWN_GENDER_CATEGORIES,
+  INTENTS,
+  validateDiscoveryPreferences,
+  AVAILABILITY_MODES,
+  validateAvailability,
+  REPORT_CATEGORIES,
+  validateReport,
+  CLOSING_NOTES,
+  validateClosingNote
+};
@@ -0,0 +1,118 @@
+// Email verification
+// New accounts get a link by email, and aren't suggested to anyone in discovery until
+// it's clicked. Links work for VERIFICATION_TOKEN_TTL_HOURS; only their SHA-256 hash is
+// stored. Sending is throttled per account: one email every VERIFICATION_RESEND_MINUTES,
+// and no more than VERIFICATION_EMAILS_PER_DAY in any 24 hours.
+const crypto = require("crypto");
+const pool = require("./db");
+const logger = require("./logger");
+const { sendMail } = require("./mailer");
+
+const VERIFICATION_TOKEN_TTL_HOURS = parseInt(process.env.VERIFICATION_TOKEN_TTL_HOURS || "48", 10);
+const VERIFICATION_RESEND_MINUTES = parseInt(process.env.VERIFICATION_RESEND_MINUTES || "5", 10);
+const VERIFICATION_EMAILS_PER_DAY = parseInt(process.env.VERIFICATION_EMAILS_PER_DAY || "5", 10);
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Seconds until this account may be sent another link (0 if it may now)
+async function secondsUntilNextEmail(userId) {
+  const result = await pool.query(
+    `SELECT COUNT(*)::int AS sent_today,
+      EXTRACT(EPOCH FROM MAX(created_at) + make_interval(mins => $2) - CURRENT_TIMESTAMP)::float AS resend_wait,
+      EXTRACT(EPOCH FROM MIN(created_at) + INTERVAL '1 day' - CURRENT_TIMESTAMP)::float AS daily_wait
+     FROM email_verification_tokens
+     WHERE user_id = $1 AND created_at > CURRENT_TIMESTAMP - INTERVAL '1 day'`,
+    [userId, VERIFICATION_RESEND_MINUTES]
+  );
+  const { sent_today, resend_wait, daily_wait } = result.rows[0];
+  if (sent_today === 0) return 0;
+  const wait = sent_today >= VERIFICATION_EMAILS_PER_DAY
+    ? Math.max(resend_wait, daily_wait)
+    : resend_wait;
+  return Math.max(0, Math.ceil(wait));
+}
+
+// Emails a verification link unless the account is verified or was sent one too recently.
+// user needs id, email and email_verified. Returns { sent } or { sent: false, reason,
+// retryAfterMinutes }, reason being "already_verified" or "throttled". Doesn't wait for
+// the email itself to go out.
+async function sendVerificationEmail(user, appUrl) {
+  if (user.email_verified) {
+    return { sent: false, reason: "already_verified" };
+  }
+  const wait = await secondsUntilNextEmail(user.id);
+  if (wait > 0) {
+    return { sent: false, reason: "throttled", retryAfterMinutes: Math.ceil(wait / 60) };
+  }
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  await pool.query(
+    `INSERT INTO email_verification_tokens (user_id, token_hash, expires_at)
+     VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(hours => $3))`,
+    [user.id, hashToken(token), VERIFICATION_TOKEN_TTL_HOURS]
+  );
+  logger.info(`Verification email requested for user ${user.id}`);
+
+  sendMail({
+    to: user.email,
+    subject: "Confirm your email for Connect",
+    text: `Welcome to Connect.
+
+Please confirm that this is your email address:
+${appUrl}/verify-email?token=${token}
+
+Until you do, your profile isn't suggested to anyone. The link works for ${VERIFICATION_TOKEN_TTL_HOURS} hours.
+
+If you didn't create a Connect account, you can ignore this email.`
+  }).catch((error) => logger.error(`Couldn't send the verification email for user ${user.id}`, error));
+
+  return { sent: true };
+}
+
+// Marks the account as verified and uses up its links. Returns the user id, or null
+// if the token is unknown, expired or already used.
+async function verifyEmail(token) {
+  if (!token) return null;
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const used = await client.query(
+      `UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       RETURNING user_id`,
+      [hashToken(token)]
+    );
+    if (used.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    const userId = used.rows[0].user_id;
+    await client.query(
+      "UPDATE users SET email_verified = TRUE, email_verified_at = CURRENT_TIMESTAMP WHERE id = $1",
+      [userId]
+    );
+    await client.query(
+      "UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL",
+      [userId]
+    );
+    await client.query("COMMIT");
+    logger.info(`User ${userId} verified their email`);
+    return userId;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  VERIFICATION_TOKEN_TTL_HOURS,
+  VERIFICATION_RESEND_MINUTES,
+  VERIFICATION_EMAILS_PER_DAY,
+  sendVerificationEmail,
+  verifyEmail
+};
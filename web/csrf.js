@@ -0,0 +1,51 @@
+// CSRF protection for the HTML routes
+// Each session gets a random token. Every form that posts carries it in a hidden _csrf
+// field (views/partials/csrf.ejs; scripts send it as an X-CSRF-Token header instead; the
+// photo upload form's multipart body is parsed before this check, see app.js), and
+// any other request that changes something without it is refused, so another site can't
+// submit forms as someone.
+const crypto = require("crypto");
+const logger = require("../logger");
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+function csrfToken(req) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString("base64url");
+  }
+  return req.session.csrfToken;
+}
+
+function hasValidCsrfToken(req) {
+  const expected = req.session && req.session.csrfToken;
+  const sent = (req.body && req.body._csrf) || req.get("X-CSRF-Token");
+  if (!expected || typeof sent !== "string" || sent.length !== expected.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(sent), Buffer.from(expected));
+}
+
+// Gives views csrfToken() for their forms (the token is only created once a form needs
+// it), and refuses requests without it. The JSON API checks the token itself, and only
+// for requests signed in with the session cookie rather than a bearer token (see api/v1.js).
+function csrfProtection(req, res, next) {
+  res.locals.csrfToken = () => csrfToken(req);
+  if (SAFE_METHODS.includes(req.method) || req.path.startsWith("/api/") || hasValidCsrfToken(req)) {
+    return next();
+  }
+  logger.warn(`Refused ${req.method} ${req.path} without a valid CSRF token`);
+  if (!req.accepts("html")) {
+    return res.status(403).json({ error: "This page has expired. Please reload it and try again." });
+  }
+  res.status(403).render("error", {
+    heading: "This page has expired",
+    message: "Please go back, reload the page and try again."
+  });
+}
+
+module.exports = {
+  SAFE_METHODS,
+  csrfToken,
+  hasValidCsrfToken,
+  csrfProtection
+};
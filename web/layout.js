@@ -0,0 +1,19 @@
+// Page layout: every view in views/ is rendered inside views/layout.ejs
+// Registered as the "ejs" view engine in app.js, so res.render("auth/login", { ... })
+// renders the page and then the layout around it. Views escape everything they output
+// with <%= %>; <%- %> is only for partials and the layout's body.
+const path = require("path");
+const ejs = require("ejs");
+
+const LAYOUT_FILE = path.join(__dirname, "..", "views", "layout.ejs");
+
+function renderWithLayout(file, options, callback) {
+  ejs.renderFile(file, options, (error, body) => {
+    if (error) return callback(error);
+    ejs.renderFile(LAYOUT_FILE, { ...options, body }, callback);
+  });
+}
+
+module.exports = {
+  renderWithLayout
+};
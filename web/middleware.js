@@ -0,0 +1,105 @@
+// Session and onboarding checks for the HTML routes
+const pool = require("../db");
+const logger = require("../logger");
+
+// Middleware to check if user is authenticated
+function isAuthenticated(req, res, next) {
+  if (req.session.userId) {
+    return next();
+  }
+  res.status(401).redirect("/login");
+}
+
+// Helper to get current user with error handling
+async function getCurrentUser(req) {
+  if (!req.session.userId) return null;
+  try {
+    const result = await pool.query("SELECT * FROM users WHERE id = $1", [
+      req.session.userId
+    ]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error("Error fetching current user", error);
+    return null;
+  }
+}
+
+// Signs out web sessions from before the account's password was last reset
+async function endOutdatedSessions(req, res, next) {
+  if (!req.session.userId) return next();
+  try {
+    const result = await pool.query("SELECT session_generation FROM users WHERE id = $1", [
+      req.session.userId
+    ]);
+    const user = result.rows[0];
+    if (user && user.session_generation === (req.session.sessionGeneration || 0)) {
+      return next();
+    }
+    req.session.regenerate((err) => next(err));
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Middleware to check if onboarding is complete
+// Deactivated by a moderator: end the session
+function endDeactivatedSession(req, res) {
+  req.session.destroy(() => res.redirect("/login?error=This account has been deactivated"));
+}
+
+// For pages that work before onboarding is complete and while the account is
+// scheduled for deletion, but not once a moderator has deactivated it. Sets req.user.
+async function isActiveAccount(req, res, next) {
+  try {
+    const user = await getCurrentUser(req);
+    if (!user) {
+      return res.status(401).redirect("/login");
+    }
+    if (!user.active) {
+      return endDeactivatedSession(req, res);
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    logger.error("Error checking account status", error);
+    res.status(500).send("An error occurred. Please try again.");
+  }
+}
+
+async function isOnboardingComplete(req, res, next) {
+  if (req.session.userId) {
+    try {
+      const userResult = await pool.query("SELECT * FROM users WHERE id = $1", [
+        req.session.userId
+      ]);
+      if (userResult.rows.length > 0) {
+        const user = userResult.rows[0];
+        if (!user.active) {
+          return endDeactivatedSession(req, res);
+        }
+        // Scheduled for deletion: the only thing left to do is keep it (or not)
+        if (user.deletion_scheduled_at) {
+          return res.redirect("/settings/delete");
+        }
+        if (user.onboarding_complete) {
+          req.user = user;
+          return next();
+        }
+      }
+    } catch (error) {
+      logger.error("Error checking onboarding status", error);
+      return res.status(500).send("An error occurred. Please try again.");
+    }
+    res.redirect("/onboarding/step-1");
+  } else {
+    res.status(401).redirect("/login");
+  }
+}
+
+module.exports = {
+  isAuthenticated,
+  endOutdatedSessions,
+  getCurrentUser,
+  isActiveAccount,
+  isOnboardingComplete
+};
@@ -0,0 +1,98 @@
+// Photo reveal (mutual consent): state machine, levels and what the card on the conversation
+// page shows (views/partials/photo-reveal.ejs)
+
+// Photo reveal thresholds (mutual_avatar_evolution, 0.0 to 1.0)
+const PHOTO_REVEAL_THRESHOLD = 0.5; // Reveal can be requested once the connection is deepening
+const PHOTO_REVEAL_PARTIAL_THRESHOLD = 0.65; // After consent, blurred photos sharpen to partial
+const PHOTO_REVEAL_FULL_THRESHOLD = 0.8; // ...and finally to full (state becomes 'revealed')
+const PHOTO_REVEAL_ACTIONS = ["request", "accept", "decline", "revoke"];
+
+// Which side of the connection (1 or 2) a user is on
+function connectionSlot(connection, userId) {
+  return connection.user1_id === userId ? 1 : 2;
+}
+
+// Photo reveal state machine. Returns the next photo_reveal_state,
+// or null if the action isn't allowed from the current state.
+//   none -> requested_by_N         (N asks, once evolution reaches the threshold)
+//   requested_by_N -> mutual_consent_N  (the other person accepts)
+//   requested_by_N -> none         (the other person declines)
+//   anything but none -> none      (either person revokes; the requester can withdraw)
+//   mutual_consent_N -> revealed   (automatic, see advancePhotoReveal)
+function nextPhotoRevealState(connection, userId, action) {
+  const state = connection.photo_reveal_state || "none";
+  const slot = connectionSlot(connection, userId);
+  const otherSlot = slot === 1 ? 2 : 1;
+  const evolution = parseFloat(connection.mutual_avatar_evolution) || 0;
+
+  switch (action) {
+    case "request":
+      return state === "none" && evolution >= PHOTO_REVEAL_THRESHOLD ? `requested_by_${slot}` : null;
+    case "accept":
+      return state === `requested_by_${otherSlot}` ? `mutual_consent_${otherSlot}` : null;
+    case "decline":
+      return state === `requested_by_${otherSlot}` ? "none" : null;
+    case "revoke":
+      return state !== "none" && state !== `requested_by_${otherSlot}` ? "none" : null;
+    default:
+      return null;
+  }
+}
+
+// Once both people have consented, the reveal completes as the connection deepens
+function advancePhotoReveal(state, evolution) {
+  if (state && state.startsWith("mutual_consent_") && evolution >= PHOTO_REVEAL_FULL_THRESHOLD) {
+    return "revealed";
+  }
+  return state || "none";
+}
+
+// Photo level the two people can see of each other: 0=none, 1=blur, 2=partial, 3=full
+function photoRevealLevel(connection) {
+  const state = connection.photo_reveal_state || "none";
+  const evolution = parseFloat(connection.mutual_avatar_evolution) || 0;
+  if (state === "revealed") return 3;
+  if (state.startsWith("mutual_consent_")) {
+    return evolution >= PHOTO_REVEAL_PARTIAL_THRESHOLD ? 2 : 1;
+  }
+  return 0;
+}
+
+// Which step of the photo reveal card someone sees:
+//   locked     - not deep enough yet to ask
+//   can_ask    - they can ask to share photos
+//   asked      - they asked and are waiting
+//   was_asked  - the other person asked them
+//   sharing    - both agreed; stage says how clear the photos are
+function photoRevealStep(connection, userId) {
+  const state = connection.photo_reveal_state || "none";
+  const slot = connectionSlot(connection, userId);
+  const evolution = parseFloat(connection.mutual_avatar_evolution) || 0;
+
+  if (state === "none") {
+    return { step: evolution >= PHOTO_REVEAL_THRESHOLD ? "can_ask" : "locked" };
+  }
+  if (state === `requested_by_${slot}`) {
+    return { step: "asked" };
+  }
+  if (state.startsWith("requested_by_")) {
+    return { step: "was_asked" };
+  }
+  return {
+    step: "sharing",
+    stage: ["", "blurred", "partially visible", "fully visible"][photoRevealLevel(connection)],
+    revealed: state === "revealed"
+  };
+}
+
+module.exports = {
+  PHOTO_REVEAL_THRESHOLD,
+  PHOTO_REVEAL_PARTIAL_THRESHOLD,
+  PHOTO_REVEAL_FULL_THRESHOLD,
+  PHOTO_REVEAL_ACTIONS,
+  connectionSlot,
+  nextPhotoRevealState,
+  advancePhotoReveal,
+  photoRevealLevel,
+  photoRevealStep
+};